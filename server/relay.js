@@ -0,0 +1,172 @@
+// Collaboration relay for PlayPower Notes. Keeps one Y.Doc per room and relays the y-websocket
+// sync and awareness protocol between the editors in that room.
+//
+//   npm run relay            # ws://localhost:1234
+//   PORT=4000 HOST=0.0.0.0 COLLAB_DATA_DIR=./collab-data npm run relay
+//
+// Rooms stay in memory so editors that were offline can merge their changes when they reconnect.
+// Set COLLAB_DATA_DIR to also keep them across restarts.
+import fs from 'fs'
+import path from 'path'
+import { WebSocketServer } from 'ws'
+import * as Y from 'yjs'
+import * as syncProtocol from 'y-protocols/sync'
+import * as awarenessProtocol from 'y-protocols/awareness'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+
+const PORT = Number(process.env.PORT || 1234)
+const HOST = process.env.HOST || 'localhost'
+const DATA_DIR = process.env.COLLAB_DATA_DIR || null
+const PING_INTERVAL = 30000
+const PERSIST_DELAY = 2000
+
+const MESSAGE_SYNC = 0
+const MESSAGE_AWARENESS = 1
+const MESSAGE_QUERY_AWARENESS = 3
+
+const rooms = new Map()
+
+function roomFile(name) {
+  return path.join(DATA_DIR, `${encodeURIComponent(name)}.bin`)
+}
+
+function persist(room) {
+  if (!DATA_DIR) return
+  clearTimeout(room.persistTimer)
+  room.persistTimer = setTimeout(() => {
+    fs.writeFile(roomFile(room.name), Y.encodeStateAsUpdate(room.doc), error => {
+      if (error) console.error(`Failed to save room ${room.name}:`, error.message)
+    })
+  }, PERSIST_DELAY)
+}
+
+function send(conn, message) {
+  if (conn.readyState !== conn.OPEN) return
+  conn.send(message, error => { if (error) conn.close() })
+}
+
+function broadcast(room, message) {
+  room.conns.forEach((_, conn) => send(conn, message))
+}
+
+function getRoom(name) {
+  let room = rooms.get(name)
+  if (room) return room
+
+  const doc = new Y.Doc()
+  if (DATA_DIR && fs.existsSync(roomFile(name))) {
+    Y.applyUpdate(doc, fs.readFileSync(roomFile(name)))
+  }
+  const awareness = new awarenessProtocol.Awareness(doc)
+  awareness.setLocalState(null)
+  // conn -> awareness client ids it controls, so they can be cleared when it disconnects
+  room = { name, doc, awareness, conns: new Map(), persistTimer: null }
+
+  doc.on('update', update => {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, MESSAGE_SYNC)
+    syncProtocol.writeUpdate(encoder, update)
+    broadcast(room, encoding.toUint8Array(encoder))
+    persist(room)
+  })
+
+  awareness.on('update', ({ added, updated, removed }, origin) => {
+    const controlled = room.conns.get(origin)
+    if (controlled) {
+      added.forEach(id => controlled.add(id))
+      removed.forEach(id => controlled.delete(id))
+    }
+    const changed = [...added, ...updated, ...removed]
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS)
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changed))
+    broadcast(room, encoding.toUint8Array(encoder))
+  })
+
+  rooms.set(name, room)
+  return room
+}
+
+function handleMessage(conn, room, data) {
+  const decoder = decoding.createDecoder(new Uint8Array(data))
+  const encoder = encoding.createEncoder()
+  switch (decoding.readVarUint(decoder)) {
+    case MESSAGE_SYNC:
+      encoding.writeVarUint(encoder, MESSAGE_SYNC)
+      syncProtocol.readSyncMessage(decoder, encoder, room.doc, conn)
+      // Only step 1 produces a reply (step 2); a bare message type means nothing to send
+      if (encoding.length(encoder) > 1) send(conn, encoding.toUint8Array(encoder))
+      break
+    case MESSAGE_AWARENESS:
+      awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), conn)
+      break
+    case MESSAGE_QUERY_AWARENESS:
+      encoding.writeVarUint(encoder, MESSAGE_AWARENESS)
+      encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, Array.from(room.awareness.getStates().keys())))
+      send(conn, encoding.toUint8Array(encoder))
+      break
+  }
+}
+
+function onConnection(conn, req) {
+  let name
+  let room
+  try {
+    name = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1))
+    if (!name) {
+      conn.close(4000, 'Missing room name')
+      return
+    }
+    room = getRoom(name)
+  } catch (error) {
+    // A malformed room name or an unreadable saved room ends this connection, not the relay
+    console.error(`Rejected connection to ${req.url}:`, error.message)
+    conn.close(4000, 'Bad room')
+    return
+  }
+  room.conns.set(conn, new Set())
+  conn.binaryType = 'arraybuffer'
+
+  conn.on('message', data => {
+    try {
+      handleMessage(conn, room, data)
+    } catch (error) {
+      console.error(`Bad message in room ${name}:`, error.message)
+    }
+  })
+
+  let alive = true
+  conn.on('pong', () => { alive = true })
+  const pingId = setInterval(() => {
+    if (!alive) return conn.terminate()
+    alive = false
+    conn.ping()
+  }, PING_INTERVAL)
+
+  conn.on('close', () => {
+    clearInterval(pingId)
+    const controlled = room.conns.get(conn)
+    room.conns.delete(conn)
+    awarenessProtocol.removeAwarenessStates(room.awareness, Array.from(controlled), null)
+  })
+
+  // Start the handshake: send our state vector and the current presence
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, MESSAGE_SYNC)
+  syncProtocol.writeSyncStep1(encoder, room.doc)
+  send(conn, encoding.toUint8Array(encoder))
+  const states = room.awareness.getStates()
+  if (states.size) {
+    const awarenessEncoder = encoding.createEncoder()
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS)
+    encoding.writeVarUint8Array(awarenessEncoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, Array.from(states.keys())))
+    send(conn, encoding.toUint8Array(awarenessEncoder))
+  }
+}
+
+if (DATA_DIR) fs.mkdirSync(DATA_DIR, { recursive: true })
+
+const wss = new WebSocketServer({ port: PORT, host: HOST })
+wss.on('connection', onConnection)
+wss.on('listening', () => console.log(`Collaboration relay listening on ws://${HOST}:${PORT}`))
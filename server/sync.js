@@ -0,0 +1,257 @@
+// Sync server for PlayPower Notes: a notes CRUD REST API with per-user bearer tokens.
+//
+//   npm run sync-server                       # http://localhost:8787
+//   npm run sync-server -- add-user alice     # creates (or resets) alice and prints her token
+//
+// Env: PORT, HOST, SYNC_DATA_DIR (default ./sync-data), SYNC_ALLOWED_ORIGIN (default *).
+// Every change bumps a per-user revision number; clients pull everything newer than the last
+// revision they saw and send the revision their edit is based on, so stale writes get a 409.
+//
+//   GET    /api/me                         -> { user }
+//   GET    /api/notes?since=<rev>          -> { rev, changes: [{ id, rev, note } | { id, rev, deleted, deletedAt }] }
+//   GET    /api/notes/:id                  -> { id, rev, note }
+//   POST   /api/notes         { note }     -> 201 { id, rev }
+//   PUT    /api/notes/:id     { note, baseRev } -> { id, rev } | 409 { id, rev, note | deleted }
+//   DELETE /api/notes/:id?baseRev=<rev>    -> { id, rev } | 409 { id, rev, note }
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import crypto from 'crypto'
+
+const PORT = Number(process.env.PORT || 8787)
+const HOST = process.env.HOST || 'localhost'
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data')
+const ALLOWED_ORIGIN = process.env.SYNC_ALLOWED_ORIGIN || '*'
+const MAX_BODY_BYTES = 10 * 1024 * 1024
+const USERS_FILE = path.join(DATA_DIR, 'users.json')
+// Kept apart from users.json, so no user name can map onto it
+const STORES_DIR = path.join(DATA_DIR, 'stores')
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback
+    throw error
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+function writeJson(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify(value))
+  fs.renameSync(tmp, file)
+}
+
+function addUser(name) {
+  if (!/^[\w.-]+$/.test(name || '')) {
+    console.error('Usage: npm run sync-server -- add-user <name>   (letters, digits, . _ -)')
+    process.exit(1)
+  }
+  fs.mkdirSync(DATA_DIR, { recursive: true })
+  const users = readJson(USERS_FILE, {})
+  const token = crypto.randomBytes(24).toString('base64url')
+  users[name] = { tokenHash: hashToken(token), createdAt: Date.now() }
+  writeJson(USERS_FILE, users)
+  console.log(`Token for ${name} (shown once, paste it into the app's sync settings):\n${token}`)
+}
+
+function authenticate(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '')
+  if (!match) throw new HttpError(401, 'Missing bearer token')
+  const hash = hashToken(match[1])
+  const users = readJson(USERS_FILE, {})
+  const name = Object.keys(users).find(n => crypto.timingSafeEqual(Buffer.from(users[n].tokenHash), Buffer.from(hash)))
+  if (!name) throw new HttpError(401, 'Invalid token')
+  return name
+}
+
+// Per-user store: { rev, notes: { [id]: { rev, note } | { rev, deleted: true, deletedAt } } }
+const stores = new Map()
+const locks = new Map()
+
+function storeFile(user) {
+  return path.join(STORES_DIR, `${user}.json`)
+}
+
+function loadStore(user) {
+  if (!stores.has(user)) {
+    // Stores used to sit beside users.json; move one over the first time its user syncs
+    const legacy = path.join(DATA_DIR, `${user}.json`)
+    if (user !== 'users' && !fs.existsSync(storeFile(user)) && fs.existsSync(legacy)) fs.renameSync(legacy, storeFile(user))
+    stores.set(user, readJson(storeFile(user), { rev: 0, notes: {} }))
+  }
+  return stores.get(user)
+}
+
+// Requests for one user run one at a time so revision numbers never interleave
+function withUserLock(user, task) {
+  const run = (locks.get(user) || Promise.resolve()).then(task)
+  locks.set(user, run.catch(() => {}))
+  return run
+}
+
+function entryResponse(id, entry) {
+  return entry.deleted
+    ? { id, rev: entry.rev, deleted: true, deletedAt: entry.deletedAt }
+    : { id, rev: entry.rev, note: entry.note }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      let body
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {}
+      } catch {
+        reject(new HttpError(400, 'Body must be JSON'))
+        return
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) reject(new HttpError(400, 'Body must be a JSON object'))
+      else resolve(body)
+    })
+    req.on('error', reject)
+  })
+}
+
+function validNote(note, id) {
+  if (!note || typeof note !== 'object' || Array.isArray(note)) throw new HttpError(400, 'Body must contain a note object')
+  if (id && note.id !== undefined && note.id !== id) throw new HttpError(400, 'Note id does not match the URL')
+  return note
+}
+
+function putNote(user, id, note, baseRev) {
+  const store = loadStore(user)
+  const current = store.notes[id]
+  // A client that has never seen the note sends no baseRev; that only conflicts with a live note
+  const stale = current && (baseRev === undefined || baseRev === null ? !current.deleted : current.rev !== baseRev)
+  if (stale) return { status: 409, body: entryResponse(id, current) }
+  store.rev += 1
+  store.notes[id] = { rev: store.rev, note: { ...note, id } }
+  writeJson(storeFile(user), store)
+  return { status: current ? 200 : 201, body: { id, rev: store.rev } }
+}
+
+function decodeId(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    throw new HttpError(400, 'Malformed note id')
+  }
+}
+
+async function route(req, user, url) {
+  const parts = url.pathname.split('/').filter(Boolean)
+  if (parts[0] !== 'api') throw new HttpError(404, 'Not found')
+
+  if (parts[1] === 'me' && parts.length === 2 && req.method === 'GET') {
+    return { status: 200, body: { user } }
+  }
+  if (parts[1] !== 'notes' || parts.length > 3) throw new HttpError(404, 'Not found')
+  const id = parts[2] ? decodeId(parts[2]) : null
+
+  if (!id && req.method === 'GET') {
+    const since = Number(url.searchParams.get('since') || 0)
+    const store = loadStore(user)
+    const changes = Object.entries(store.notes)
+      .filter(([, entry]) => entry.rev > since)
+      .sort((a, b) => a[1].rev - b[1].rev)
+      .map(([noteId, entry]) => entryResponse(noteId, entry))
+    return { status: 200, body: { rev: store.rev, changes } }
+  }
+
+  if (!id && req.method === 'POST') {
+    const { note } = await readBody(req)
+    validNote(note)
+    const newId = typeof note.id === 'string' && note.id ? note.id : crypto.randomUUID()
+    return withUserLock(user, () => putNote(user, newId, note, undefined))
+  }
+
+  if (!id) throw new HttpError(405, 'Method not allowed')
+
+  if (req.method === 'GET') {
+    const entry = loadStore(user).notes[id]
+    if (!entry || entry.deleted) throw new HttpError(404, 'Note not found')
+    return { status: 200, body: entryResponse(id, entry) }
+  }
+
+  if (req.method === 'PUT') {
+    const { note, baseRev } = await readBody(req)
+    validNote(note, id)
+    return withUserLock(user, () => putNote(user, id, note, baseRev))
+  }
+
+  if (req.method === 'DELETE') {
+    const baseRev = url.searchParams.has('baseRev') ? Number(url.searchParams.get('baseRev')) : undefined
+    return withUserLock(user, () => {
+      const store = loadStore(user)
+      const current = store.notes[id]
+      if (!current || current.deleted) return { status: 200, body: { id, rev: current?.rev ?? store.rev } }
+      if (baseRev !== undefined && current.rev !== baseRev) return { status: 409, body: entryResponse(id, current) }
+      store.rev += 1
+      store.notes[id] = { rev: store.rev, deleted: true, deletedAt: Date.now() }
+      writeJson(storeFile(user), store)
+      return { status: 200, body: { id, rev: store.rev } }
+    })
+  }
+
+  throw new HttpError(405, 'Method not allowed')
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function startServer() {
+  fs.mkdirSync(STORES_DIR, { recursive: true })
+  if (!Object.keys(readJson(USERS_FILE, {})).length) {
+    console.warn('No users yet. Create one with: npm run sync-server -- add-user <name>')
+  }
+
+  const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN)
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      res.end()
+      return
+    }
+    try {
+      const user = authenticate(req)
+      const { status, body } = await route(req, user, new URL(req.url, 'http://sync'))
+      sendJson(res, status, body)
+    } catch (error) {
+      if (!(error instanceof HttpError)) console.error(error)
+      sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' })
+    }
+  })
+
+  server.listen(PORT, HOST, () => console.log(`Sync server listening on http://${HOST}:${PORT} (data in ${DATA_DIR})`))
+}
+
+if (process.argv[2] === 'add-user') addUser(process.argv[3])
+else startServer()
@@ -0,0 +1,142 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { spawn, execFileSync } from 'child_process'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const SERVER = fileURLToPath(new URL('./sync.js', import.meta.url))
+const PORT = 18000 + Math.floor(Math.random() * 1000)
+const BASE = `http://localhost:${PORT}/api`
+
+let dataDir
+let server
+const tokens = {}
+
+function env() {
+  return { ...process.env, PORT: String(PORT), SYNC_DATA_DIR: dataDir }
+}
+
+function addUser(name) {
+  return execFileSync('node', [SERVER, 'add-user', name], { env: env() }).toString().trim().split('\n').pop()
+}
+
+async function api(user, apiPath, { method = 'GET', body, raw } = {}) {
+  const res = await fetch(`${BASE}${apiPath}`, {
+    method,
+    headers: { ...(user ? { Authorization: `Bearer ${tokens[user] ?? user}` } : {}), 'Content-Type': 'application/json' },
+    body: raw ?? (body === undefined ? undefined : JSON.stringify(body))
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+beforeAll(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'))
+  tokens.alice = addUser('alice')
+  tokens.bob = addUser('bob')
+  server = spawn('node', [SERVER], { env: env(), stdio: ['ignore', 'pipe', 'inherit'] })
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve() })
+    server.on('exit', code => reject(new Error(`Sync server exited with ${code}`)))
+  })
+})
+
+afterAll(() => {
+  server?.kill()
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+describe('auth', () => {
+  it('rejects requests without a token', async () => {
+    expect((await api(null, '/me')).status).toBe(401)
+  })
+
+  it('rejects unknown tokens', async () => {
+    expect((await api('not-a-token', '/me')).status).toBe(401)
+  })
+
+  it('names the user a token belongs to', async () => {
+    expect(await api('alice', '/me')).toEqual({ status: 200, body: { user: 'alice' } })
+  })
+
+  it('keeps users apart', async () => {
+    await api('alice', '/notes/private', { method: 'PUT', body: { note: { title: 'mine' } } })
+    expect((await api('bob', '/notes/private')).status).toBe(404)
+  })
+})
+
+describe('revisions', () => {
+  it('creates, updates and lists notes by revision', async () => {
+    const created = await api('bob', '/notes/n1', { method: 'PUT', body: { note: { title: 'one' } } })
+    expect(created.status).toBe(201)
+    const updated = await api('bob', '/notes/n1', { method: 'PUT', body: { note: { title: 'two' }, baseRev: created.body.rev } })
+    expect(updated.status).toBe(200)
+    expect(updated.body.rev).toBeGreaterThan(created.body.rev)
+    const since = await api('bob', `/notes?since=${created.body.rev}`)
+    expect(since.body.changes).toEqual([{ id: 'n1', rev: updated.body.rev, note: { title: 'two', id: 'n1' } }])
+  })
+
+  it('answers a write based on an old revision with 409 and the current note', async () => {
+    const first = await api('bob', '/notes/n2', { method: 'PUT', body: { note: { title: 'a' } } })
+    const second = await api('bob', '/notes/n2', { method: 'PUT', body: { note: { title: 'b' }, baseRev: first.body.rev } })
+    const stale = await api('bob', '/notes/n2', { method: 'PUT', body: { note: { title: 'c' }, baseRev: first.body.rev } })
+    expect(stale.status).toBe(409)
+    expect(stale.body).toEqual({ id: 'n2', rev: second.body.rev, note: { title: 'b', id: 'n2' } })
+  })
+
+  it('treats a write without a revision to an existing note as a conflict', async () => {
+    await api('bob', '/notes/n3', { method: 'PUT', body: { note: { title: 'a' } } })
+    expect((await api('bob', '/notes/n3', { method: 'PUT', body: { note: { title: 'b' } } })).status).toBe(409)
+  })
+
+  it('deletes, and refuses a stale delete', async () => {
+    const first = await api('bob', '/notes/n4', { method: 'PUT', body: { note: { title: 'a' } } })
+    await api('bob', '/notes/n4', { method: 'PUT', body: { note: { title: 'b' }, baseRev: first.body.rev } })
+    expect((await api('bob', `/notes/n4?baseRev=${first.body.rev}`, { method: 'DELETE' })).status).toBe(409)
+    const current = await api('bob', '/notes/n4')
+    const deleted = await api('bob', `/notes/n4?baseRev=${current.body.rev}`, { method: 'DELETE' })
+    expect(deleted.status).toBe(200)
+    expect((await api('bob', '/notes/n4')).status).toBe(404)
+    const change = (await api('bob', `/notes?since=${current.body.rev}`)).body.changes.find(c => c.id === 'n4')
+    expect(change).toMatchObject({ id: 'n4', rev: deleted.body.rev, deleted: true })
+  })
+
+  it('lets a note be written again after it was deleted', async () => {
+    await api('bob', '/notes/n5', { method: 'PUT', body: { note: { title: 'a' } } })
+    await api('bob', '/notes/n5', { method: 'DELETE' })
+    expect((await api('bob', '/notes/n5', { method: 'PUT', body: { note: { title: 'again' } } })).status).toBe(200)
+  })
+})
+
+describe('body validation', () => {
+  it('rejects bodies that are not JSON', async () => {
+    expect((await api('alice', '/notes/x', { method: 'PUT', raw: '{nope' })).status).toBe(400)
+  })
+
+  it('rejects JSON bodies that are not objects', async () => {
+    for (const raw of ['null', '[]', '42', '"note"']) {
+      expect((await api('alice', '/notes/x', { method: 'PUT', raw })).status).toBe(400)
+      expect((await api('alice', '/notes', { method: 'POST', raw })).status).toBe(400)
+    }
+  })
+
+  it('rejects a missing note or one whose id does not match the URL', async () => {
+    expect((await api('alice', '/notes/x', { method: 'PUT', body: {} })).status).toBe(400)
+    expect((await api('alice', '/notes/x', { method: 'PUT', body: { note: [] } })).status).toBe(400)
+    expect((await api('alice', '/notes/x', { method: 'PUT', body: { note: { id: 'y' } } })).status).toBe(400)
+  })
+
+  it('rejects malformed note ids', async () => {
+    expect((await api('alice', '/notes/%E0%A4%A')).status).toBe(400)
+  })
+})
+
+describe('storage', () => {
+  it('keeps a user named "users" away from the credentials file', async () => {
+    tokens.users = addUser('users')
+    await api('users', '/notes/n1', { method: 'PUT', body: { note: { title: 'x' } } })
+    expect((await api('alice', '/me')).status).toBe(200)
+    expect(Object.keys(JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8')))).toEqual(['alice', 'bob', 'users'])
+  })
+})
@@ -1,136 +1,76 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
-import { FaRegStickyNote, FaSun, FaMoon, FaSearch, FaPlus, FaTrash, FaThumbtack } from 'react-icons/fa'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useEditor, EditorContent } from '@tiptap/react'
+import { FaRegStickyNote, FaSun, FaMoon, FaSearch, FaPlus, FaTrash, FaThumbtack, FaShareAlt, FaHistory, FaMarkdown, FaTags, FaLock, FaShieldAlt, FaUsers, FaSyncAlt, FaProjectDiagram, FaTasks, FaKeyboard, FaPrint, FaBolt, FaRegFileAlt, FaBrain } from 'react-icons/fa'
+import { encryptString, decryptString } from './lib/crypto.js'
+import { parseShareHash, clearShareHash } from './lib/share.js'
+import { openCollabRoom, createCollabSession, seedCollabState, parseCollabHash, clearCollabHash, loadCollabUser, saveCollabUser } from './lib/collab.js'
+import { htmlToText, htmlFragment, sanitizeHtml } from './lib/html.js'
+import { saveToStorage, loadFromStorage } from './lib/storage.js'
+import { loadNotes, saveNotes, loadNotesById, persistedVersion, markPersisted, isQuotaError, estimateUsage, attachmentUsage, collectAttachmentGarbage } from './lib/db.js'
+import { attachmentIds, loadNoteAttachments, withheldAttachments, importAttachments, formatBytes } from './lib/attachments.js'
+import { onRemoteNoteChanges } from './lib/tabSync.js'
+import { startSync, queueSyncChanges, DEFAULT_SYNC_SETTINGS } from './lib/sync.js'
+import { loadSecureSetting, saveSecureSetting, removeSecureSetting } from './lib/vault.js'
+import { recordSnapshot } from './lib/history.js'
+import { exportMarkdown, importMarkdown, isMarkdownImport } from './lib/markdown.js'
+import { downloadBlob, dateStamp } from './lib/download.js'
+import { buildSearchIndex, parseQuery, isEmptyQuery, searchNotes, highlight, snippet } from './lib/search.js'
+import ShareDialog from './components/ShareDialog.jsx'
+import SharedNoteViewer from './components/SharedNoteViewer.jsx'
+import HistoryPanel from './components/HistoryPanel.jsx'
+import TrashList from './components/TrashList.jsx'
+import Toast from './components/Toast.jsx'
+import NotebookTree, { NOTE_DRAG_TYPE } from './components/NotebookTree.jsx'
+import TagBrowser from './components/TagBrowser.jsx'
+import VaultSettings from './components/VaultSettings.jsx'
+import { createNotebook, descendantIds, canMoveNotebook, removeNotebook } from './lib/notebooks.js'
+import { tagCounts, replaceTags, tagQuery } from './lib/tags.js'
+import { streamAI, isAIAvailable, needsNetwork, heuristicResult, AI_PROMPTS, DEFAULT_AI_SETTINGS } from './lib/ai.js'
+import AISettings from './components/AISettings.jsx'
+import AIPanel from './components/AIPanel.jsx'
+import GrammarPopover from './components/GrammarPopover.jsx'
+import DictionaryDialog from './components/DictionaryDialog.jsx'
+import ConflictDialog from './components/ConflictDialog.jsx'
+import SyncSettings from './components/SyncSettings.jsx'
+import ImportWizard from './components/ImportWizard.jsx'
+import { buildExport, parseExport, planImport, applyImport, defaultChoice, ImportError } from './lib/backup.js'
+import CollabDialog from './components/CollabDialog.jsx'
+import CollabBar from './components/CollabBar.jsx'
+import FormatControls from './components/FormatControls.jsx'
+import { createExtensions } from './lib/editor.js'
+import { createLinkResolver, linkEdges, renameLinks, searchLinkTargets } from './lib/links.js'
+import Backlinks from './components/Backlinks.jsx'
+import NoteGraph from './components/NoteGraph.jsx'
+import TasksView from './components/TasksView.jsx'
+import { openTasks, setTaskChecked, notifyDueTasks } from './lib/tasks.js'
+import CommandPalette from './components/CommandPalette.jsx'
+import ShortcutSettings from './components/ShortcutSettings.jsx'
+import SiteExportDialog from './components/SiteExportDialog.jsx'
+import { printNote, exportSite } from './lib/publish.js'
+import NewNoteMenu from './components/NewNoteMenu.jsx'
+import TemplateManager from './components/TemplateManager.jsx'
+import QuickCapture from './components/QuickCapture.jsx'
+import { DEFAULT_TEMPLATES, fillTemplate, placeCursor } from './lib/templates.js'
+import RelatedNotes from './components/RelatedNotes.jsx'
+import { relatedNotes, searchByMeaning } from './lib/semantic.js'
+import { isOnline, onOnlineChange } from './lib/network.js'
+import { onUpdateAvailable, applyUpdate, onLaunchFiles } from './lib/pwa.js'
+import { FORMAT_COMMANDS, loadShortcuts, saveShortcuts, eventShortcut, formatShortcut } from './lib/commands.js'
+import { checkGrammar, fetchLanguages, filterIgnored, clearGrammarMarks, markGrammarMatches, resolveGrammarMarks, isSpellingMatch, AUTO_LANGUAGE, FALLBACK_LANGUAGES, DEFAULT_DICTIONARY, GRAMMAR_NEEDS_NETWORK } from './lib/grammar.js'
 import './App.css'
 
-// Storage helpers - using localStorage for persistent storage
-function saveToStorage(key, value) {
-  try {
-    localStorage.setItem(key, JSON.stringify(value))
-  } catch (error) {
-    console.warn('Failed to save to localStorage:', error)
-  }
-}
-
-function loadFromStorage(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key)
-    return raw ? JSON.parse(raw) : fallback
-  } catch (error) {
-    console.warn('Failed to load from localStorage:', error)
-    return fallback
-  }
-}
-
-// Crypto helpers (AES-GCM with PBKDF2)
-async function deriveKey(password, salt) {
-  const enc = new TextEncoder()
-  const baseKey = await crypto.subtle.importKey('raw', enc.encode(password), { name: 'PBKDF2' }, false, ['deriveKey'])
-  return crypto.subtle.deriveKey(
-    { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
-    baseKey,
-    { name: 'AES-GCM', length: 256 },
-    false,
-    ['encrypt', 'decrypt']
-  )
-}
-async function encryptString(content, password) {
-  const enc = new TextEncoder()
-  const salt = crypto.getRandomValues(new Uint8Array(16))
-  const iv = crypto.getRandomValues(new Uint8Array(12))
-  const key = await deriveKey(password, salt)
-  const cipherBuf = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(content))
-  return {
-    salt: btoa(String.fromCharCode(...salt)),
-    iv: btoa(String.fromCharCode(...iv)),
-    ciphertext: btoa(String.fromCharCode(...new Uint8Array(cipherBuf)))
-  }
-}
-async function decryptString(encrypted, password) {
-  const dec = new TextDecoder()
-  const salt = Uint8Array.from(atob(encrypted.salt), c => c.charCodeAt(0))
-  const iv = Uint8Array.from(atob(encrypted.iv), c => c.charCodeAt(0))
-  const data = Uint8Array.from(atob(encrypted.ciphertext), c => c.charCodeAt(0))
-  const key = await deriveKey(password, salt)
-  const plainBuf = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data)
-  return dec.decode(plainBuf)
-}
-
-// Env-configurable endpoints and models
-const OPENAI_API_BASE = import.meta?.env?.VITE_OPENAI_API_BASE || 'https://api.openai.com/v1'
-const OPENAI_MODEL = import.meta?.env?.VITE_OPENAI_MODEL || 'gpt-4o-mini'
-const LT_API_URL = import.meta?.env?.VITE_LT_API_URL || 'https://api.languagetool.org/v2'
-
-// AI helpers (OpenAI optional; fallback heuristics)
-async function callOpenAI(prompt, apiKey) {
-  if(!apiKey) return null
-  try{
-    const res = await fetch(`${OPENAI_API_BASE}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL,
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant for a notes app.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.2,
-        max_tokens: 120
-      })
-    })
-    const data = await res.json()
-    return data?.choices?.[0]?.message?.content?.trim() ?? null
-  } catch {
-    return null
-  }
-}
-function heuristicSummary(text) {
-  const cleaned = text.replace(/\s+/g, ' ').trim()
-  return cleaned.length > 160 ? cleaned.slice(0, 157) + '…' : cleaned
-}
-function heuristicTags(text) {
-  const words = Array.from(new Set((text.toLowerCase().match(/[a-z]{4,}/g) || [])))
-    .filter(w => !['this','that','with','from','your','have','about','there','their','which','will','into','only','also','been','were','when','what','where','then','than','because','while','these','those','such','some','more','most'].includes(w))
-  return words.slice(0, 5)
-}
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_TRASH_DAYS = 30
 
-// Grammar check via LanguageTool (env-configurable)
-async function languageToolCheck(text) {
-  try {
-    const res = await fetch(`${LT_API_URL}/check`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({ text, language: 'en-US' })
-    })
-    const data = await res.json()
-    return data?.matches || []
-  } catch {
-    return []
-  }
-}
+function Toolbar({ editor, online, onGlossary, onSummarize, onTags, onGrammar, language, detectedLanguage, onLanguageChange, isEncrypted, onEncryptToggle, historyOpen, onHistoryToggle, onExportMarkdown, onPrint, isCollaborating, onCollaborate }) {
+  const [isProcessing, setIsProcessing] = useState(false)
+  const [languages, setLanguages] = useState(FALLBACK_LANGUAGES)
 
-// Glossary extraction
-async function extractGlossary(text, apiKey){
-  const heuristic = () => {
-    const terms = Array.from(new Set((text.match(/\b([A-Z][a-zA-Z]{2,})\b/g) || [])))
-    return terms.slice(0, 10).map(t => ({ term: t, definition: 'Important term detected from context.' }))
-  }
-  const ai = await callOpenAI(`Extract up to 10 key terms with brief definitions as JSON array of {term, definition} from this note:\n\n${text}`, apiKey)
-  try {
-    if (ai) {
-      const jsonStart = ai.indexOf('[')
-      const jsonStr = jsonStart >= 0 ? ai.slice(jsonStart) : ai
-      const parsed = JSON.parse(jsonStr)
-      if (Array.isArray(parsed)) return parsed
-    }
-  } catch {}
-  return heuristic()
-}
+  // The server's language list is only fetched once someone opens the picker
+  const loadLanguages = () => fetchLanguages().then(setLanguages)
+  const detectedName = detectedLanguage && (languages.find(l => l.code === detectedLanguage)?.name || detectedLanguage)
 
-function Toolbar({ onCommand, onFontSize, onAlign, onGlossary, onSummarize, onTags, onGrammar, isEncrypted, onEncryptToggle }) {
-  const [isProcessing, setIsProcessing] = useState(false)
+  const grammarOffline = !online && GRAMMAR_NEEDS_NETWORK
 
   const handleAIAction = async (action) => {
     setIsProcessing(true)
@@ -140,34 +80,8 @@ function Toolbar({ onCommand, onFontSize, onAlign, onGlossary, onSummarize, onTa
 
   return (
     <div className="toolbar">
-      <div className="toolbar-group">
-        <button className="toolbar-btn" onClick={() => onCommand('bold')} title="Bold">
-          <b>B</b>
-        </button>
-        <button className="toolbar-btn" onClick={() => onCommand('italic')} title="Italic">
-          <i>I</i>
-        </button>
-        <button className="toolbar-btn" onClick={() => onCommand('underline')} title="Underline">
-          <u>U</u>
-        </button>
-      </div>
-      
-      <div className="toolbar-group">
-        <select className="toolbar-select" onChange={e => onFontSize(e.target.value)} defaultValue="16" title="Font Size">
-          <option value="12">12px</option>
-          <option value="14">14px</option>
-          <option value="16">16px</option>
-          <option value="20">20px</option>
-          <option value="24">24px</option>
-        </select>
-      </div>
+      <FormatControls editor={editor} />
 
-      <div className="toolbar-group">
-        <button className="toolbar-btn" onClick={() => onAlign('left')} title="Align Left">⟸</button>
-        <button className="toolbar-btn" onClick={() => onAlign('center')} title="Align Center">≡</button>
-        <button className="toolbar-btn" onClick={() => onAlign('right')} title="Align Right">⟹</button>
-      </div>
-      
       <div className="toolbar-spacer" />
       
       <div className="toolbar-group ai-tools">
@@ -180,9 +94,50 @@ function Toolbar({ onCommand, onFontSize, onAlign, onGlossary, onSummarize, onTa
         <button className="toolbar-btn ai-btn" onClick={() => handleAIAction(onTags)} disabled={isProcessing}>
           {isProcessing ? '...' : 'Tags'}
         </button>
-        <button className="toolbar-btn ai-btn" onClick={() => handleAIAction(onGrammar)} disabled={isProcessing}>
+        <button
+          className="toolbar-btn ai-btn"
+          onClick={() => handleAIAction(onGrammar)}
+          disabled={isProcessing || grammarOffline}
+          title={grammarOffline ? 'Grammar checks need a connection. You are offline.' : undefined}
+        >
           {isProcessing ? '...' : 'Grammar'}
         </button>
+        <select
+          className="toolbar-select"
+          value={language}
+          onFocus={loadLanguages}
+          onChange={e => onLanguageChange(e.target.value)}
+          title="Grammar check language"
+        >
+          <option value={AUTO_LANGUAGE}>{detectedName ? `Auto (${detectedName})` : 'Auto-detect'}</option>
+          {!languages.some(l => l.code === language) && language !== AUTO_LANGUAGE && <option value={language}>{language}</option>}
+          {languages.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+        </select>
+      </div>
+
+      <div className="toolbar-group">
+        <button className={`toolbar-btn ${historyOpen ? 'active' : ''}`} onClick={onHistoryToggle} title="Version history">
+          <FaHistory />
+        </button>
+        <button className="toolbar-btn" onClick={onExportMarkdown} title="Export as Markdown">
+          <FaMarkdown />
+        </button>
+        <button
+          className="toolbar-btn"
+          onClick={onPrint}
+          disabled={isEncrypted}
+          title={isEncrypted ? 'Decrypt the note to print it' : 'Print or save as PDF'}
+        >
+          <FaPrint />
+        </button>
+        <button
+          className={`toolbar-btn ${isCollaborating ? 'active' : ''}`}
+          onClick={onCollaborate}
+          disabled={isEncrypted}
+          title={isEncrypted ? 'Encrypted notes cannot be edited together' : 'Collaborate'}
+        >
+          <FaUsers />
+        </button>
       </div>
 
       <div className="encrypt-toggle">
@@ -196,7 +151,12 @@ function Toolbar({ onCommand, onFontSize, onAlign, onGlossary, onSummarize, onTa
   )
 }
 
-function NotesList({ notes, onSelect, onCreate, onDelete, onPin, activeId, onSearch, search }) {
+function Highlighted({ segments }) {
+  return segments.map((seg, i) => seg.match ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>)
+}
+
+function NotesList({ notes, matches, templates, onSelect, onCreate, onManageTemplates, onDelete, onPin, onShare, onTagClick, activeId, onSearch, search, searchMode, onSearchModeChange, meaningSearch }) {
+  const byMeaning = searchMode === 'meaning'
   return (
     <div className="notes-list">
       <div className="notes-list-header">
@@ -204,15 +164,29 @@ function NotesList({ notes, onSelect, onCreate, onDelete, onPin, activeId, onSea
           <FaSearch className="search-icon" />
           <input 
             className="search-input" 
-            placeholder="Search notes…" 
+            placeholder={byMeaning ? 'Describe what you’re looking for…' : 'Search notes… tag:, is:pinned, "phrase"'}
+            title={byMeaning ? undefined : 'Operators: tag:name, is:pinned, is:encrypted, before:YYYY-MM-DD, after:YYYY-MM-DD, "exact phrase"'}
             value={search} 
             onChange={e => onSearch(e.target.value)} 
           />
+          <button
+            className={`search-mode ${byMeaning ? 'active' : ''}`}
+            onClick={() => onSearchModeChange(byMeaning ? 'words' : 'meaning')}
+            title={byMeaning ? 'Searching by meaning. Click to match words instead.' : 'Search by meaning'}
+            aria-pressed={byMeaning}
+          >
+            <FaBrain />
+          </button>
         </div>
-        <button className="create-btn" onClick={onCreate}>
+        {byMeaning && meaningSearch?.engine && (
+          <div className="search-mode-hint">
+            {meaningSearch.engine === 'embeddings' ? 'Ranked by meaning (AI embeddings)' : 'Ranked by shared words (no embeddings provider)'}
+          </div>
+        )}
+        <NewNoteMenu templates={templates} onCreate={onCreate} onManage={onManageTemplates} className="create-btn">
           <FaPlus />
           <span>New</span>
-        </button>
+        </NewNoteMenu>
       </div>
       <div className="notes-items">
         {notes.map((n, index) => (
@@ -221,20 +195,35 @@ function NotesList({ notes, onSelect, onCreate, onDelete, onPin, activeId, onSea
             className={`note-item ${activeId===n.id?'active':''}`} 
             onClick={() => onSelect(n.id)}
             style={{ '--delay': `${index * 0.05}s` }}
+            draggable
+            onDragStart={e => e.dataTransfer.setData(NOTE_DRAG_TYPE, n.id)}
           >
             <div className="note-content">
               <div className="note-title">
                 {n.pinned && <FaThumbtack className="pin-icon" />}
-                <span>{n.title || 'Untitled'}</span>
+                <span>
+                  {matches?.has(n.id)
+                    ? <Highlighted segments={highlight(n.title || 'Untitled', matches.get(n.id).words, matches.get(n.id).phrases)} />
+                    : n.title || 'Untitled'}
+                </span>
                 {n.encrypted && <div className="encryption-badge">🔒</div>}
               </div>
               <div className="note-meta">
-                {n.summary ? n.summary : (n.text || '').slice(0, 80)}
+                {matches?.has(n.id)
+                  ? <Highlighted segments={snippet(n.text, matches.get(n.id).words, matches.get(n.id).phrases)} />
+                  : n.summary ? n.summary : (n.text || '').slice(0, 80)}
               </div>
               {n.tags && n.tags.length > 0 && (
                 <div className="note-tags">
                   {n.tags.slice(0, 3).map((tag, i) => (
-                    <span key={i} className="tag">{tag}</span>
+                    <button
+                      key={i}
+                      className="tag tag-link"
+                      onClick={e => { e.stopPropagation(); onTagClick(tag) }}
+                      title={`Show notes tagged “${tag}”`}
+                    >
+                      {tag}
+                    </button>
                   ))}
                 </div>
               )}
@@ -247,6 +236,14 @@ function NotesList({ notes, onSelect, onCreate, onDelete, onPin, activeId, onSea
               >
                 <FaThumbtack className={n.pinned ? 'pinned' : ''} />
               </button>
+              <button 
+                className="action-btn share-btn" 
+                title={n.encrypted ? 'Decrypt to share' : 'Share'} 
+                onClick={() => onShare(n.id)}
+                disabled={n.encrypted}
+              >
+                <FaShareAlt />
+              </button>
               <button 
                 className="action-btn delete-btn" 
                 title="Delete" 
@@ -260,7 +257,11 @@ function NotesList({ notes, onSelect, onCreate, onDelete, onPin, activeId, onSea
         {notes.length === 0 && (
           <div className="empty-notes">
             <FaRegStickyNote size={32} />
-            <p>No notes yet. Create your first note!</p>
+            <p>
+              {!search.trim() ? 'No notes yet. Create your first note!'
+                : !byMeaning ? 'No notes match your search.'
+                : meaningSearch?.loading ? 'Searching by meaning…' : 'No notes seem to be about that.'}
+            </p>
           </div>
         )}
       </div>
@@ -268,18 +269,97 @@ function NotesList({ notes, onSelect, onCreate, onDelete, onPin, activeId, onSea
   )
 }
 
-function Editor({ html, setHtml, onTitleChange, title, glossary, grammarMatches }) {
-  const ref = useRef(null)
-  const [isFocused, setIsFocused] = useState(false)
-  
+function Editor({ html, setHtml, onTitleChange, onTitleCommit, title, glossary, grammarMatches, onGrammarClick, onEditorChange, collab, crdt, collabUser, onCollabState, onCollabOpen, linkTargets, backlinks, related, onOpenLink }) {
+  const [collabStatus, setCollabStatus] = useState('connecting')
+  const [peers, setPeers] = useState([])
+  const [connection, setConnection] = useState(null)
+  // The html this editor last showed or produced; anything else arriving in `html` was set from outside
+  const knownHtml = useRef(html)
+  // The title as it was when editing it began; links elsewhere follow the rename once it is done
+  const titleEdit = useRef(null)
+  const latestTitle = useRef({ title, onTitleCommit })
+  latestTitle.current = { title, onTitleCommit }
+  const commitTitle = useCallback(() => {
+    const from = titleEdit.current
+    titleEdit.current = null
+    const { title: to, onTitleCommit: commit } = latestTitle.current
+    if (from !== null && from !== to) commit(from, to)
+  }, [])
+  // Switching notes can remove the title field without a blur
+  useEffect(() => commitTitle, [commitTitle])
+
+  // The connection lives as long as the room; it reads the latest props through this ref
+  const collabProps = useRef(null)
+  collabProps.current = { crdt, collabUser, onCollabState, setHtml }
+  // The [[ autocomplete is created with the editor and reads the current notes through this ref
+  const linkProps = useRef(null)
+  linkProps.current = linkTargets
+  const noteLinks = useMemo(() => ({
+    search: query => searchLinkTargets(linkProps.current, query),
+    resolve: title => createLinkResolver(linkProps.current)({ title })?.id ?? null
+  }), [])
+  const room = collab?.room
+  const relay = collab?.relay
   useEffect(() => {
-    if (ref.current && ref.current.innerHTML !== html) {
-      ref.current.innerHTML = html
+    if (!room) return
+    setCollabStatus('connecting')
+    const opened = openCollabRoom({
+      collab: { room, relay },
+      state: collabProps.current.crdt,
+      user: collabProps.current.collabUser,
+      // Kept from open time: the final flush on teardown must reach this note, not the next one
+      onState: collabProps.current.onCollabState,
+      onStatus: setCollabStatus,
+      onPeers: setPeers
+    })
+    setConnection(opened)
+    return () => {
+      setConnection(null)
+      opened.destroy()
+      setPeers([])
     }
-  }, [html])
-  
-  const onInput = () => {
-    setHtml(ref.current.innerHTML)
+  }, [room, relay])
+
+  // Recreated when collaboration starts or stops: the shared document then owns the content and undo history
+  const editor = useEditor({
+    extensions: createExtensions({ collab: connection, placeholder: 'Start writing your note...', noteLinks }),
+    content: connection ? undefined : sanitizeHtml(html),
+    editorProps: { attributes: { class: 'editor-area' } },
+    onUpdate: ({ editor: current }) => {
+      knownHtml.current = current.getHTML()
+      collabProps.current.setHtml(knownHtml.current)
+    }
+  }, [connection])
+
+  useEffect(() => {
+    onEditorChange?.(editor)
+    return () => onEditorChange?.(null)
+  }, [editor, onEditorChange])
+
+  // Content set from outside the editor (glossary, grammar, restore, ...) is an undoable edit
+  useEffect(() => {
+    if (!editor || html === knownHtml.current) return
+    knownHtml.current = html
+    editor.commands.setContent(sanitizeHtml(html), { emitUpdate: false })
+  }, [editor, html])
+
+  // Order matters: merge CRDT state saved by another tab into the open document
+  useEffect(() => {
+    connection?.applyState(crdt)
+  }, [connection, crdt])
+
+  useEffect(() => {
+    connection?.setUser(collabUser)
+  }, [editor, connection, collabUser])
+
+  const onClick = e => {
+    const link = e.target.closest?.('.note-link')
+    if (link) {
+      onOpenLink({ id: link.dataset.noteId || null, title: link.dataset.title || link.textContent })
+      return
+    }
+    const mark = e.target.closest?.('.grammar-error')
+    if (mark) onGrammarClick(Number(mark.dataset.match), mark.getBoundingClientRect())
   }
   
   return (
@@ -289,17 +369,14 @@ function Editor({ html, setHtml, onTitleChange, title, glossary, grammarMatches
         placeholder="Enter note title..." 
         value={title} 
         onChange={e=>onTitleChange(e.target.value)} 
+        onFocus={() => { titleEdit.current = title }}
+        onBlur={commitTitle}
+        onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur() }}
       />
-      <div 
-        className={`editor-area ${isFocused ? 'focused' : ''}`}
-        ref={ref} 
-        contentEditable 
-        onInput={onInput} 
-        onFocus={() => setIsFocused(true)}
-        onBlur={() => setIsFocused(false)}
-        suppressContentEditableWarning={true}
-        data-placeholder="Start writing your note..."
-      />
+      {collab && <CollabBar status={collabStatus} peers={peers} onOpen={onCollabOpen} />}
+      <div className="editor-area-wrap" onClick={onClick}>
+        <EditorContent editor={editor} className="editor-content" />
+      </div>
       
       {glossary?.length > 0 && (
         <div className="glossary slide-in">
@@ -319,8 +396,8 @@ function Editor({ html, setHtml, onTitleChange, title, glossary, grammarMatches
         <div className="grammar slide-in">
           <h3>✏️ Grammar Suggestions</h3>
           <div className="grammar-list">
-            {grammarMatches.map((m, i) => (
-              <div key={i} className="grammar-item">
+            {grammarMatches.map(m => (
+              <div key={m.id} className="grammar-item">
                 <div className="grammar-message">{m.message}</div>
                 {m.shortMessage && (
                   <div className="grammar-hint">{m.shortMessage}</div>
@@ -330,87 +407,439 @@ function Editor({ html, setHtml, onTitleChange, title, glossary, grammarMatches
           </div>
         </div>
       )}
+
+      <Backlinks notes={backlinks} onOpen={id => onOpenLink({ id })} />
+      {related && <RelatedNotes related={related} onOpen={id => onOpenLink({ id })} />}
     </div>
   )
 }
 
-function App() {
+function App({ vault }) {
   const [theme, setTheme] = useState(() => loadFromStorage('pp_theme', 'dark'))
-  const [notes, setNotes] = useState(() => loadFromStorage('pp_notes', []))
+  const [notes, setNotes] = useState([])
+  const [notesLoaded, setNotesLoaded] = useState(false)
   const [activeId, setActiveId] = useState(() => loadFromStorage('pp_active', null))
   const ENV_OPENAI = import.meta?.env?.VITE_OPENAI_API_KEY || ''
-  const [apiKey, setApiKey] = useState(() => loadFromStorage('pp_openai', ENV_OPENAI))
-  const hasStoredApiKey = useMemo(() => !!loadFromStorage('pp_openai', ''), [])
+  const [apiKey, setApiKey] = useState(() => loadSecureSetting('pp_openai', ENV_OPENAI))
+  const hasStoredApiKey = useMemo(() => !!loadSecureSetting('pp_openai', ''), [])
   const usingEnvApiKey = !hasStoredApiKey && !!ENV_OPENAI
   const [search, setSearch] = useState('')
+  const [searchMode, setSearchMode] = useState('words') // 'words' | 'meaning'
+  const [meaningSearch, setMeaningSearch] = useState(null) // { query, results, engine, loading }
+  const [related, setRelated] = useState(null) // { noteId, results, engine, loading }
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false)
   const [saveStatus, setSaveStatus] = useState('saved') // 'saving', 'saved', 'error'
+  const [saveError, setSaveError] = useState('')
+  const [storageUsage, setStorageUsage] = useState(null)
+  const [attachmentStats, setAttachmentStats] = useState({ count: 0, bytes: 0 })
   const fileInputRef = useRef(null)
   
-  const activeNote = useMemo(() => notes.find(n => n.id===activeId) || null, [notes, activeId])
+  const activeNote = useMemo(() => notes.find(n => n.id===activeId && !n.deletedAt) || null, [notes, activeId])
   const [editorHtml, setEditorHtml] = useState(activeNote?.html || '')
+  const [editorNoteId, setEditorNoteId] = useState(activeNote?.id || null)
+  const latestEditorNoteId = useRef(editorNoteId)
+  latestEditorNoteId.current = editorNoteId
+  const [editor, setEditor] = useState(null)
+  // Switching notes swaps the editor's html in the same render, so the new editor never starts from the old note
+  if (activeNote && activeNote.id !== editorNoteId) {
+    setEditorNoteId(activeNote.id)
+    setEditorHtml(activeNote.html || '')
+  }
   const [glossary, setGlossary] = useState([])
   const [grammarMatches, setGrammarMatches] = useState([])
+  const [shareNoteId, setShareNoteId] = useState(null)
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [sidebarView, setSidebarView] = useState('notes') // 'notes', 'tags', 'tasks', 'trash'
+  const [trashDays, setTrashDays] = useState(() => loadFromStorage('pp_trash_days', DEFAULT_TRASH_DAYS))
+  const [exportIncludeTrash, setExportIncludeTrash] = useState(false)
+  const [taskReminders, setTaskReminders] = useState(() => loadFromStorage('pp_task_reminders', false))
+  const [toast, setToast] = useState(null)
+  const [conflicts, setConflicts] = useState([])
+  const [notebooks, setNotebooks] = useState(() => loadSecureSetting('pp_notebooks', []))
+  const [vaultSettingsOpen, setVaultSettingsOpen] = useState(false)
+  const [aiSettings, setAiSettings] = useState(() => loadSecureSetting('pp_ai', DEFAULT_AI_SETTINGS))
+  const [aiSettingsOpen, setAiSettingsOpen] = useState(false)
+  const [aiRun, setAiRun] = useState(null)
+  const [grammarPopover, setGrammarPopover] = useState(null)
+  const [detectedLanguage, setDetectedLanguage] = useState(null)
+  const [dictionary, setDictionary] = useState(() => loadSecureSetting('pp_dictionary', DEFAULT_DICTIONARY))
+  const [dictionaryOpen, setDictionaryOpen] = useState(false)
+  const [syncSettings, setSyncSettings] = useState(() => loadSecureSetting('pp_sync', DEFAULT_SYNC_SETTINGS))
+  const [syncSettingsOpen, setSyncSettingsOpen] = useState(false)
+  const [importPreview, setImportPreview] = useState(null) // { source, plan, errors, notebooks, attachments }
+  const [syncStatus, setSyncStatus] = useState(null) // { status: 'syncing' | 'synced' | 'offline' | 'error', message }
+  const syncRef = useRef(null)
+  const aiAbortRef = useRef(null)
+  // The OpenAI-compatible provider keeps using the key from the sidebar field / .env
+  const effectiveAiSettings = useMemo(() => ({
+    ...aiSettings,
+    providers: { ...aiSettings.providers, openai: { ...aiSettings.providers?.openai, apiKey } }
+  }), [aiSettings, apiKey])
+  const [selectedNotebookId, setSelectedNotebookId] = useState(null)
+  const dismissToast = useCallback(() => setToast(null), [])
+  const [sharedLink, setSharedLink] = useState(() => parseShareHash(window.location.hash))
+  const [collabInvite, setCollabInvite] = useState(() => parseCollabHash(window.location.hash))
+  const [collabUser, setCollabUser] = useState(loadCollabUser)
+  const [collabOpen, setCollabOpen] = useState(false)
+  const [graphOpen, setGraphOpen] = useState(false)
+  const [paletteOpen, setPaletteOpen] = useState(false)
+  const [shortcutsOpen, setShortcutsOpen] = useState(false)
+  const [siteExportOpen, setSiteExportOpen] = useState(false)
+  const [templates, setTemplates] = useState(() => loadSecureSetting('pp_templates', DEFAULT_TEMPLATES))
+  const [templatesOpen, setTemplatesOpen] = useState(false)
+  const [quickCaptureOpen, setQuickCaptureOpen] = useState(false)
+  // A note made from a template whose {{cursor}} the editor still has to find
+  const pendingCursor = useRef(null)
+  const [shortcuts, setShortcuts] = useState(loadShortcuts)
+  const [online, setOnline] = useState(isOnline)
+  // Every command the palette and shortcuts can run, rebuilt on each render (see `commands` below)
+  const latestCommands = useRef([])
+  const shareNote = useMemo(() => notes.find(n => n.id===shareNoteId) || null, [notes, shareNoteId])
   
   function clearStoredApiKey() {
     try {
-      localStorage.removeItem('pp_openai')
+      removeSecureSetting('pp_openai')
     } catch {}
     setApiKey(ENV_OPENAI)
   }
 
-  // Auto-save with status indication
-  useEffect(() => { 
+  // Load notes from IndexedDB (migrates the old pp_notes array on first run)
+  useEffect(() => {
+    let cancelled = false
+    loadNotes().then(loaded => {
+      if (cancelled) return
+      setNotes(loaded)
+      setNotesLoaded(true)
+      // Catches attachments left over from edits and pruned history since the last run
+      collectAttachmentGarbage()
+        .catch(error => console.warn('Failed to clean up attachments:', error))
+        .then(() => attachmentUsage())
+        .then(setAttachmentStats)
+        .catch(() => {})
+    }).catch(error => {
+      if (cancelled) return
+      // Notes stay unloaded, so nothing is saved over what is stored
+      setSaveStatus('error')
+      setSaveError(isQuotaError(error)
+        ? 'Storage full. Free up some space and reload to open your notes.'
+        : 'Could not load notes. Reload to try again.')
+      console.error('Failed to load notes:', error)
+    })
+    estimateUsage().then(setStorageUsage)
+    return () => { cancelled = true }
+  }, [])
+
+  // Save whatever is pending when the app unmounts (e.g. the vault locks) instead of dropping the debounced write
+  const latestNotes = useRef({ notes, loaded: notesLoaded })
+  latestNotes.current = { notes, loaded: notesLoaded }
+  useEffect(() => () => {
+    if (latestNotes.current.loaded) saveNotes(latestNotes.current.notes).catch(error => console.error('Failed to save notes:', error))
+  }, [])
+
+  // One pending conflict per note; a newer report for the same note replaces the older one
+  const queueConflicts = useCallback(list => {
+    if (!list.length) return
+    setConflicts(prev => {
+      const ids = new Set(list.map(c => c.local.id))
+      return [...prev.filter(c => !ids.has(c.local.id)), ...list]
+    })
+  }, [])
+
+  const persistNotes = useCallback(async (list) => {
     setSaveStatus('saving')
-    const timeoutId = setTimeout(() => {
+    try {
+      const { written, removed, conflicts: stale } = await saveNotes(list)
+      written.forEach(n => recordSnapshot(n))
+      queueSyncChanges(written, removed)
+      if (written.length || removed.length) syncRef.current?.notifyLocalChanges()
+      if (removed.length) await collectAttachmentGarbage().catch(error => console.warn('Failed to clean up attachments:', error))
+      if (stale.length) {
+        const remote = new Map((await loadNotesById(stale.map(n => n.id))).map(n => [n.id, n]))
+        queueConflicts(stale.filter(n => remote.has(n.id)).map(n => ({ local: n, remote: remote.get(n.id) })))
+      }
+      setSaveStatus('saved')
+      setSaveError('')
+    } catch (error) {
+      setSaveStatus('error')
+      setSaveError(isQuotaError(error)
+        ? 'Storage full. Export and delete some notes to free up space.'
+        : 'Save Error')
+      console.error('Failed to save notes:', error)
+    }
+    estimateUsage().then(setStorageUsage)
+    attachmentUsage().then(setAttachmentStats).catch(() => {})
+  }, [queueConflicts])
+
+  // Another tab saved notes: take over the ones this tab has not touched since its last save,
+  // and ask about the ones both tabs changed
+  function applyRemoteChanges(remote, removed) {
+    const local = new Map(latestNotes.current.notes.map(n => [n.id, n]))
+    const adopted = []
+    const rebased = []
+    const incoming = []
+    for (const note of remote) {
+      const mine = local.get(note.id)
+      const base = persistedVersion(note.id)
+      if (!mine || mine === base) adopted.push(note)
+      else if (!base || note.updatedAt !== base.updatedAt) incoming.push({ local: mine, remote: note })
+      // The version this edit is based on, only stored again (e.g. when the vault was turned off)
+      else rebased.push(note)
+    }
+    // Notes removed elsewhere but edited here are kept, and saved back as new notes
+    const gone = new Set(removed.filter(id => !local.has(id) || local.get(id) === persistedVersion(id)))
+    markPersisted([...adopted, ...rebased], removed)
+
+    const byId = new Map(adopted.map(n => [n.id, n]))
+    setNotes(prev => {
+      const known = new Set(prev.map(n => n.id))
+      const kept = prev
+        .filter(n => !gone.has(n.id))
+        .map(n => byId.has(n.id) && n === local.get(n.id) ? byId.get(n.id) : n)
+      return [...adopted.filter(n => !known.has(n.id)), ...kept]
+    })
+    queueConflicts(incoming)
+
+    if (!activeId) return
+    const active = byId.get(activeId)
+    if (gone.has(activeId) || active?.deletedAt) {
+      setActiveId(null)
+      setToast({ message: 'This note was deleted in another tab' })
+    } else if (active?.encrypted && !local.get(activeId)?.encrypted) {
+      setEditorHtml('')
+      setToast({ message: 'This note was encrypted in another tab' })
+    } else if (active) {
+      setEditorHtml(active.html || '')
+    }
+  }
+
+  const remoteChangesHandler = useRef(applyRemoteChanges)
+  remoteChangesHandler.current = applyRemoteChanges
+  useEffect(() => {
+    if (!notesLoaded) return
+    return onRemoteNoteChanges(async ({ changed, removed }) => {
+      let remote
       try {
-        saveToStorage('pp_notes', notes)
-        setSaveStatus('saved')
+        remote = await loadNotesById(changed)
       } catch (error) {
         setSaveStatus('error')
-        console.error('Failed to save notes:', error)
+        setSaveError('Could not read changes made in another tab. Reload to see them.')
+        console.error('Failed to load notes changed in another tab:', error)
+        return
       }
-    }, 500) // Debounce saves
+      remoteChangesHandler.current(remote, removed)
+    })
+  }, [notesLoaded])
+
+  // The sync server sent newer versions of some notes (or deleted them on another device)
+  function applySyncedNotes(remote, removed) {
+    const local = new Map(latestNotes.current.notes.map(n => [n.id, n]))
+    // A local edit made after the server's version was written wins; it uploads on the next save
+    const adopted = remote.filter(n => !local.has(n.id) || (local.get(n.id).updatedAt || 0) <= (n.updatedAt || 0))
+    const gone = new Set(removed)
+    const byId = new Map(adopted.map(n => [n.id, n]))
+    setNotes(prev => {
+      const known = new Set(prev.map(n => n.id))
+      const kept = prev.filter(n => !gone.has(n.id)).map(n => byId.get(n.id) || n)
+      return [...adopted.filter(n => !known.has(n.id)), ...kept]
+    })
+
+    if (!activeId) return
+    const active = byId.get(activeId)
+    if (gone.has(activeId) || active?.deletedAt) {
+      setActiveId(null)
+      setToast({ message: 'This note was deleted on another device' })
+    } else if (active) {
+      setEditorHtml(active.encrypted ? '' : active.html || '')
+    }
+  }
+
+  const syncedNotesHandler = useRef(applySyncedNotes)
+  syncedNotesHandler.current = applySyncedNotes
+  useEffect(() => {
+    if (!notesLoaded || !syncSettings.enabled || !syncSettings.url || !syncSettings.token) {
+      setSyncStatus(null)
+      return
+    }
+    const sync = startSync(syncSettings, {
+      onRemote: (remote, removed) => syncedNotesHandler.current(remote, removed),
+      onStatus: (status, message) => setSyncStatus({ status, message }),
+      localNoteIds: () => latestNotes.current.notes.map(n => n.id)
+    })
+    syncRef.current = sync
+    return () => {
+      sync.stop()
+      syncRef.current = null
+    }
+  }, [notesLoaded, syncSettings])
+
+  function resolveConflict(conflict, choice) {
+    const { local, remote } = conflict
+    setConflicts(prev => prev.filter(c => c !== conflict))
+    if (choice === 'mine') {
+      // Rebase this tab's version on theirs; the fresh updatedAt makes it the next write
+      markPersisted([remote])
+      setNotes(prev => prev.map(n => n.id === local.id ? { ...n, updatedAt: Date.now() } : n))
+      return
+    }
+    markPersisted([remote])
+    setNotes(prev => {
+      const next = prev.map(n => n.id === remote.id ? remote : n)
+      if (choice !== 'both') return next
+      const copy = { ...prev.find(n => n.id === local.id) || local, id: crypto.randomUUID(), createdAt: Date.now(), updatedAt: Date.now() }
+      copy.title = `${copy.title || 'Untitled'} (conflicted copy)`
+      return [copy, ...next]
+    })
+    if (activeId === remote.id) setEditorHtml(remote.encrypted ? '' : remote.html || '')
+  }
+
+  // Auto-save with status indication
+  useEffect(() => { 
+    if (!notesLoaded) return
+    setSaveStatus('saving')
+    const timeoutId = setTimeout(() => persistNotes(notes), 500) // Debounce saves
     return () => clearTimeout(timeoutId)
-  }, [notes])
+  }, [notes, notesLoaded, persistNotes])
   
-  // Keyboard shortcuts
+  // `fields` (title, html, text, tags) fill in the new note; returns its id
+  const addNote = useCallback((fields = {}) => {
+    const id = crypto.randomUUID()
+    const newNote = { 
+      id, 
+      title: '', 
+      html: '', 
+      text: '', 
+      pinned: false, 
+      encrypted: false, 
+      summary: '', 
+      tags: [], 
+      notebookId: selectedNotebookId,
+      createdAt: Date.now(), 
+      updatedAt: Date.now(), 
+      encryptedPayload: null,
+      ...fields
+    }
+    setNotes(prev => [newNote, ...prev])
+    return id
+  }, [selectedNotebookId])
+
+  const createNote = useCallback((fields = {}) => {
+    const id = addNote(fields)
+    setActiveId(id)
+    setGlossary([])
+    setGrammarMatches([])
+    return id
+  }, [addNote])
+
+  // `template` is null for a blank note
+  const createFromTemplate = template => {
+    if (!template) return createNote()
+    pendingCursor.current = createNote(fillTemplate(template))
+  }
+
+  // Once the new note's editor is up, typing starts where the template's {{cursor}} was. Until then
+  // `editor` can still be the previous note's, which has no mark to find.
+  useEffect(() => {
+    if (editor && pendingCursor.current === activeId && placeCursor(editor)) pendingCursor.current = null
+  }, [editor, activeId])
+
+  const captureNote = text => {
+    const id = addNote({ title: text })
+    setToast({ message: `Captured “${text.length > 40 ? `${text.slice(0, 40)}…` : text}”`, actionLabel: 'Open', onAction: () => setActiveId(id) })
+  }
+
+  // Keyboard shortcuts, as bound in the shortcut settings. Keys the editor already handled are left to it.
   useEffect(() => {
     const handleKeyDown = (e) => {
-      // Ctrl/Cmd + S to manually trigger save
-      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-        e.preventDefault()
-        setSaveStatus('saving')
-        try {
-          saveToStorage('pp_notes', notes)
-          saveToStorage('pp_active', activeId)
-          saveToStorage('pp_openai', apiKey)
-          saveToStorage('pp_theme', theme)
-          setSaveStatus('saved')
-        } catch (error) {
-          setSaveStatus('error')
-          console.error('Manual save failed:', error)
-        }
-      }
-      // Ctrl/Cmd + N for new note
-      if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-        e.preventDefault()
-        createNote()
-      }
+      if (e.defaultPrevented) return
+      const shortcut = eventShortcut(e)
+      const command = shortcut && latestCommands.current.find(c => c.enabled && shortcuts[c.id] === shortcut)
+      if (!command) return
+      e.preventDefault()
+      setPaletteOpen(false)
+      command.run()
     }
 
     document.addEventListener('keydown', handleKeyDown)
     return () => document.removeEventListener('keydown', handleKeyDown)
-  }, [notes, activeId, apiKey, theme])
+  }, [shortcuts])
+
+  useEffect(() => {
+    saveShortcuts(shortcuts)
+  }, [shortcuts])
+
+  // A new version of the app has been downloaded; it takes over after saving and reloading
+  useEffect(() => onUpdateAvailable(() => setToast({
+    message: 'A new version of PlayPower Notes is available.',
+    actionLabel: 'Reload',
+    onAction: async () => {
+      setToast(null)
+      if (latestNotes.current.loaded) await persistNotes(latestNotes.current.notes)
+      applyUpdate()
+    },
+    duration: 60 * 60 * 1000
+  })), [persistNotes])
   
   useEffect(() => { 
     saveToStorage('pp_active', activeId) 
   }, [activeId])
+
+  useEffect(() => {
+    saveToStorage('pp_trash_days', trashDays)
+  }, [trashDays])
+
+  useEffect(() => {
+    saveToStorage('pp_task_reminders', taskReminders)
+  }, [taskReminders])
+
+  // Checklist items that fall due are announced once, checked every minute while reminders are on
+  useEffect(() => {
+    if (!notesLoaded || !taskReminders) return
+    const check = () => notifyDueTasks(latestNotes.current.notes.filter(n => !n.deletedAt), id => {
+      setActiveId(id)
+      setSidebarView('notes')
+    })
+    check()
+    const intervalId = setInterval(check, 60 * 1000)
+    return () => clearInterval(intervalId)
+  }, [notesLoaded, taskReminders])
+
+  useEffect(() => {
+    saveSecureSetting('pp_notebooks', notebooks)
+  }, [notebooks])
+
+  useEffect(() => {
+    saveSecureSetting('pp_ai', aiSettings)
+  }, [aiSettings])
+
+  useEffect(() => {
+    saveSecureSetting('pp_dictionary', dictionary)
+  }, [dictionary])
+
+  useEffect(() => {
+    saveSecureSetting('pp_sync', syncSettings)
+  }, [syncSettings])
+
+  useEffect(() => {
+    saveSecureSetting('pp_templates', templates)
+  }, [templates])
+
+  // Purge trashed notes past the retention period, on load and then hourly
+  useEffect(() => {
+    if (!notesLoaded) return
+    const purge = () => setNotes(prev => {
+      const cutoff = Date.now() - trashDays * DAY_MS
+      const kept = prev.filter(n => !n.deletedAt || n.deletedAt > cutoff)
+      return kept.length === prev.length ? prev : kept
+    })
+    purge()
+    const intervalId = setInterval(purge, 60 * 60 * 1000)
+    return () => clearInterval(intervalId)
+  }, [notesLoaded, trashDays])
   
   useEffect(() => { 
     // Persist only user-provided keys; do not save the .env key value
     if (apiKey && apiKey !== ENV_OPENAI) {
-      saveToStorage('pp_openai', apiKey)
+      saveSecureSetting('pp_openai', apiKey)
     }
   }, [apiKey])
   
@@ -419,166 +848,472 @@ function App() {
     document.body.setAttribute('data-theme', theme)
   }, [theme])
   
-  useEffect(() => { 
-    if (activeNote) setEditorHtml(activeNote.html || '') 
-  }, [activeId])
+
+  function updateNote(id, partial) {
+    // The attachments a note uses are listed beside its html, so they stay known while it is encrypted
+    const changes = typeof partial.html === 'string' && !partial.encrypted && !('attachments' in partial)
+      ? { ...partial, attachments: attachmentIds(partial.html) }
+      : partial
+    setNotes(prev => prev.map(n => n.id===id ? { ...n, ...changes, updatedAt: Date.now() } : n))
+  }
 
   function upsertNote(partial) {
-    setNotes(prev => prev.map(n => n.id===activeId ? { ...n, ...partial, updatedAt: Date.now() } : n))
+    updateNote(activeId, partial)
+  }
+
+
+  // Deleting moves the note to the trash; it is only removed for good by purgeNote or the retention purge
+  function deleteNote(id) {
+    const note = notes.find(n => n.id===id)
+    const now = Date.now()
+    setNotes(prev => prev.map(n => n.id===id ? { ...n, deletedAt: now, updatedAt: now } : n))
+    if (activeId===id) setActiveId(null)
+    setToast({
+      message: `“${note?.title || 'Untitled'}” moved to trash`,
+      actionLabel: 'Undo',
+      onAction: () => {
+        restoreNote(id)
+        setActiveId(id)
+        setToast(null)
+      }
+    })
   }
 
-  function exec(cmd, val=null){
-    document.execCommand(cmd, false, val)   
-    setTimeout(()=> setEditorHtml(document.querySelector('.editor-area')?.innerHTML || ''), 0)
+  function restoreNote(id) {
+    setNotes(prev => prev.map(n => {
+      if (n.id!==id) return n
+      const { deletedAt: _deletedAt, ...rest } = n
+      return { ...rest, updatedAt: Date.now() }
+    }))
   }
-  
-  function setFontSize(size) {
-    exec('fontSize', 7)
-    const area = document.querySelector('.editor-area')
-    if (!area) return
-    area.querySelectorAll('font[size="7"]').forEach(el => {
-      el.removeAttribute('size'); el.style.fontSize = size+'px'
+
+  // Ticking an item in the Tasks view edits the note it is in; the open note goes through the editor
+  function toggleTask(note, task, checked = true) {
+    const isActive = note.id === activeId
+    const html = setTaskChecked(isActive ? editorHtml : note.html, task.index, checked, task.text)
+    if (html === null) {
+      setToast({ message: 'That item has changed since the list was shown. Open the note to update it.' })
+      return
+    }
+    if (isActive) {
+      upsertNote({ html, text: htmlToText(html) })
+      setEditorHtml(html)
+    } else {
+      updateNote(note.id, { html, text: htmlToText(html) })
+    }
+    if (!checked) return
+    setToast({
+      message: `Done: “${task.text}”`,
+      actionLabel: 'Undo',
+      onAction: () => {
+        const current = latestNotes.current.notes.find(n => n.id === note.id)
+        if (current) latestToggleTask.current(current, task, false)
+        setToast(null)
+      }
     })
-    setEditorHtml(area.innerHTML)
   }
-  
-  function setAlign(al) { exec(`justify${al}`) }
 
-  function createNote() {
-    const id = crypto.randomUUID()
-    const newNote = { 
-      id, 
-      title: '', 
-      html: '', 
-      text: '', 
-      pinned: false, 
-      encrypted: false, 
-      summary: '', 
-      tags: [], 
-      createdAt: Date.now(), 
-      updatedAt: Date.now(), 
-      encryptedPayload: null 
+  // Undo runs after later renders, so it needs the toggle that sees the editor and active note as they are then
+  const latestToggleTask = useRef(toggleTask)
+  latestToggleTask.current = toggleTask
+
+  async function changeTaskReminders(enabled) {
+    if (enabled && typeof Notification === 'undefined') {
+      setToast({ message: 'This browser does not support notifications.' })
+      return
     }
-    setNotes(prev => [newNote, ...prev])
-    setActiveId(id)
-    setGlossary([])
-    setGrammarMatches([])
+    if (enabled && Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+      setToast({ message: 'Notifications are blocked for this site. Allow them in the browser settings to get reminders.' })
+      return
+    }
+    setTaskReminders(enabled)
   }
-  
-  function deleteNote(id) {
+
+  // Once a rename is done (`fromTitle` is the title before editing began), other notes' [[links]]
+  // to this one show the new title. Encrypted notes can't be rewritten and shared notes take their
+  // content from the collaboration document, so those keep showing the old title; their links
+  // still lead here. The note open in the editor is rewritten through the editor's html.
+  function renameLinksTo(id, fromTitle, title) {
+    const before = latestNotes.current.notes.filter(n => !n.deletedAt).map(n => n.id === id ? { ...n, title: fromTitle } : n)
+    const oldTitle = createLinkResolver(before)({ title: fromTitle })?.id === id ? fromTitle : null
+    const openId = latestEditorNoteId.current
+    const now = Date.now()
+    setNotes(prev => prev.map(n => {
+      if (n.id === openId || n.encrypted || n.collab) return n
+      const html = renameLinks(n.html, id, title, oldTitle)
+      return html === n.html ? n : { ...n, html, text: htmlToText(html), updatedAt: now }
+    }))
+    setEditorHtml(prev => renameLinks(prev, id, title, oldTitle))
+  }
+
+  // A [[link]] opens the note it points at; a title no note has yet can become a new note
+  function openNoteLink(link) {
+    const target = createLinkResolver(liveNotes)(link)
+    if (target) {
+      setActiveId(target.id)
+      setGraphOpen(false)
+      return
+    }
+    if (!link.title || !confirm(`There is no note called “${link.title}” yet. Create it?`)) return
+    createNote({ title: link.title })
+  }
+
+  function purgeNote(id) {
+    if (!window.confirm('Delete this note permanently? This cannot be undone.')) return
     setNotes(prev => prev.filter(n => n.id!==id))
-    if (activeId===id) setActiveId(null)
+  }
+
+  function emptyTrash() {
+    if (!window.confirm('Permanently delete all notes in the trash? This cannot be undone.')) return
+    setNotes(prev => prev.filter(n => !n.deletedAt))
+  }
+
+  // Notebooks
+  function addNotebook(parentId) {
+    const name = prompt('Notebook name:')?.trim()
+    if (!name) return
+    const notebook = createNotebook(name, parentId)
+    setNotebooks(prev => [...prev, notebook])
+    setSelectedNotebookId(notebook.id)
+  }
+
+  function renameNotebook(id) {
+    const current = notebooks.find(nb => nb.id===id)
+    const name = prompt('Rename notebook:', current?.name)?.trim()
+    if (!name) return
+    setNotebooks(prev => prev.map(nb => nb.id===id ? { ...nb, name } : nb))
+  }
+
+  function deleteNotebook(id) {
+    const current = notebooks.find(nb => nb.id===id)
+    if (!window.confirm(`Delete notebook “${current?.name}”? Its notes and sub-notebooks move up one level.`)) return
+    const result = removeNotebook(notebooks, notes, id)
+    setNotebooks(result.notebooks)
+    setNotes(result.notes)
+    if (selectedNotebookId===id) setSelectedNotebookId(current?.parentId ?? null)
+  }
+
+  function moveNoteToNotebook(noteId, notebookId) {
+    setNotes(prev => prev.map(n => n.id===noteId && (n.notebookId ?? null)!==notebookId
+      ? { ...n, notebookId, updatedAt: Date.now() }
+      : n))
+  }
+
+  function moveNotebook(id, parentId) {
+    if (!canMoveNotebook(notebooks, id, parentId)) return
+    setNotebooks(prev => prev.map(nb => nb.id===id ? { ...nb, parentId } : nb))
+  }
+
+  // Tags
+  function filterByTag(tag) {
+    setSearch(tagQuery(tag.toLowerCase()))
+    setSelectedNotebookId(null)
+    setSidebarView('notes')
+  }
+
+  function renameTag(tag) {
+    const name = prompt(`Rename tag “${tag}” to (an existing tag name merges them):`, tag)?.trim()
+    if (!name || name.toLowerCase()===tag) return
+    setNotes(prev => replaceTags(prev, [tag], name))
+  }
+
+  function mergeTags(tags) {
+    const name = prompt(`Merge ${tags.join(', ')} into:`, tags[0])?.trim()
+    if (!name) return
+    setNotes(prev => replaceTags(prev, tags, name))
+  }
+
+  function deleteTag(tag) {
+    if (!window.confirm(`Remove the tag “${tag}” from all notes?`)) return
+    setNotes(prev => replaceTags(prev, [tag], ''))
   }
   
+  function saveNow() {
+    if (notesLoaded) persistNotes(notes)
+    saveToStorage('pp_active', activeId)
+    saveSecureSetting('pp_openai', apiKey)
+    saveToStorage('pp_theme', theme)
+  }
+
   function pinNote(id) {
-    setNotes(prev => prev.map(n => n.id===id ? { ...n, pinned: !n.pinned } : n))
+    setNotes(prev => prev.map(n => n.id===id ? { ...n, pinned: !n.pinned, updatedAt: Date.now() } : n))
   }
   
   function onSearch(q) {
     setSearch(q)
   }
 
+  // Opening a share link (or pasting one into the address bar) switches to the read-only viewer;
+  // a collaboration invite opens (or creates) the note bound to that room
   useEffect(() => {
-    if (!activeNote) return
-    const tmp = document.createElement('div')
-    tmp.innerHTML = editorHtml
-    const text = tmp.textContent || ''
-    upsertNote({ html: editorHtml, text })
+    const onHashChange = () => {
+      setSharedLink(parseShareHash(window.location.hash))
+      setCollabInvite(parseCollabHash(window.location.hash))
+    }
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+
+  useEffect(() => {
+    if (!collabInvite || !notesLoaded) return
+    const existing = latestNotes.current.notes.find(n => n.collab?.room === collabInvite.room && !n.deletedAt)
+    if (existing) {
+      setActiveId(existing.id)
+    } else if (window.confirm(`Join a shared note through the relay at ${collabInvite.host}? Everything written in the note goes through that server. Only join if you trust whoever sent the link.`)) {
+      // Starts empty: the content arrives from the relay
+      const id = crypto.randomUUID()
+      setNotes(prev => [{
+        id,
+        title: 'Shared note',
+        html: '',
+        text: '',
+        pinned: false,
+        encrypted: false,
+        summary: '',
+        tags: [],
+        collab: { room: collabInvite.room, relay: collabInvite.relay },
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        encryptedPayload: null
+      }, ...prev])
+      setActiveId(id)
+    }
+    clearCollabHash()
+    setCollabInvite(null)
+  }, [collabInvite, notesLoaded])
+
+  useEffect(() => {
+    saveCollabUser(collabUser)
+  }, [collabUser])
+
+  function startCollab(relay) {
+    updateNote(activeNote.id, { collab: createCollabSession(relay), crdt: seedCollabState(editorHtml) })
+  }
+
+  function stopCollab() {
+    updateNote(activeNote.id, { collab: null, crdt: null })
+    setCollabOpen(false)
+  }
+
+  function closeSharedNote() {
+    clearShareHash()
+    setSharedLink(null)
+  }
+
+  function importSharedNote(shared) {
+    const id = crypto.randomUUID()
+    const newNote = {
+      id,
+      title: shared.title,
+      html: shared.html,
+      text: htmlToText(shared.html),
+      pinned: false,
+      encrypted: false,
+      summary: shared.summary,
+      tags: shared.tags,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      encryptedPayload: null
+    }
+    setNotes(prev => [newNote, ...prev])
+    setActiveId(id)
+    setEditorHtml(newNote.html)
+    setGlossary([])
+    setGrammarMatches([])
+    closeSharedNote()
+  }
+
+  useEffect(() => {
+    if (!activeNote || editorHtml === activeNote.html) return
+    upsertNote({ html: editorHtml, text: htmlToText(editorHtml) })
   }, [editorHtml])
 
+  // Terms and definitions come from the AI provider, so they only ever become text and attribute values
   function wrapGlossary(html, terms) {
     if (!terms?.length) return html
-    let out = html
+    const root = htmlFragment(html)
     for (const g of terms) {
-      const pattern = new RegExp(`(>[^<]*)\\b(${g.term.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')})\\b`, 'gi')
-      out = out.replace(pattern, (m, a, b) => `${a.replace(/&/g,'&amp;').replace(/</g,'&lt;')}<span class=\"glossary-term\" title=\"${g.definition.replace(/\"/g,'\\\"')}\">${b}</span>`)
+      if (!g.term) continue
+      const pattern = new RegExp(`\\b${g.term.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}\\b`, 'gi')
+      const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT)
+      const textNodes = []
+      while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('.glossary-term')) textNodes.push(walker.currentNode)
+      }
+      for (const node of textNodes) {
+        const text = node.nodeValue
+        const found = Array.from(text.matchAll(pattern))
+        if (!found.length) continue
+        const frag = root.ownerDocument.createDocumentFragment()
+        let cursor = 0
+        for (const m of found) {
+          frag.append(text.slice(cursor, m.index))
+          const span = root.ownerDocument.createElement('span')
+          span.className = 'glossary-term'
+          span.setAttribute('title', String(g.definition || ''))
+          span.textContent = m[0]
+          frag.append(span)
+          cursor = m.index + m[0].length
+        }
+        frag.append(text.slice(cursor))
+        node.replaceWith(frag)
+      }
     }
-    return out
+    return sanitizeHtml(root.innerHTML)
   }
 
-  async function doGlossary() {
-    const tmp = document.createElement('div'); tmp.innerHTML = editorHtml; const text = tmp.textContent || ''
-    const terms = await extractGlossary(text, apiKey)
-    setGlossary(terms)
-    const wrapped = wrapGlossary(editorHtml, terms)
-    setEditorHtml(wrapped)
+  function noteText() {
+    return htmlToText(editorHtml)
   }
 
-  async function doSummarize() {
-    const tmp = document.createElement('div'); tmp.innerHTML = editorHtml; const text = tmp.textContent || ''
-    const ai = await callOpenAI(`Summarize this note in 1-2 lines:\n\n${text}`, apiKey)
-    const summary = ai || heuristicSummary(text)
-    upsertNote({ summary })
-    alert('Summary saved to note meta:\n\n' + summary)
+  // Pending AI results and grammar details belong to the note they were generated from
+  useEffect(() => {
+    aiAbortRef.current?.abort()
+    setAiRun(null)
+    setGrammarPopover(null)
+    setDetectedLanguage(null)
+  }, [activeId])
+
+  // AI actions stream into the side panel; nothing touches the note until the result is accepted
+  async function runAI(task) {
+    aiAbortRef.current?.abort()
+    const text = noteText()
+    const runId = crypto.randomUUID()
+    if (!isAIAvailable(task, effectiveAiSettings)) {
+      setAiRun({ id: runId, task, input: text, status: 'done', source: 'heuristic', result: heuristicResult(task, text), notice: 'No AI provider is configured for this task, so this was generated locally.' })
+      return
+    }
+    // Offline, the request waits in the panel and runs once the connection is back
+    if (!isOnline() && needsNetwork(task, effectiveAiSettings)) {
+      setAiRun({ id: runId, task, input: text, status: 'queued' })
+      return
+    }
+    const controller = new AbortController()
+    aiAbortRef.current = controller
+    const update = patch => setAiRun(prev => prev?.id === runId ? { ...prev, ...(typeof patch === 'function' ? patch(prev) : patch) } : prev)
+    setAiRun({ id: runId, task, input: text, status: 'streaming', text: '' })
+    try {
+      const { result } = await streamAI(task, AI_PROMPTS[task](text), effectiveAiSettings, text, {
+        signal: controller.signal,
+        onToken: token => update(prev => ({ text: prev.text + token }))
+      })
+      update({ status: 'done', source: 'ai', result })
+    } catch (error) {
+      if (error.name === 'AbortError') update({ status: 'cancelled' })
+      else update({ status: 'error', error: { kind: error.kind || 'network', message: error.message } })
+    } finally {
+      if (aiAbortRef.current === controller) aiAbortRef.current = null
+    }
   }
 
-  async function doTags() {
-    const tmp = document.createElement('div'); tmp.innerHTML = editorHtml; const text = tmp.textContent || ''
-    const ai = await callOpenAI(`Suggest 3-5 short tags for this note as a comma-separated list:\n\n${text}`, apiKey)
-    const tags = ai ? ai.split(/[\,\n]/).map(s=>s.trim()).filter(Boolean).slice(0,5) : heuristicTags(text)
-    upsertNote({ tags })
-    alert('Tags suggested: ' + tags.join(', '))
+  function handleOnlineChange(value) {
+    setOnline(value)
+    if (value && aiRun?.status === 'queued') runAI(aiRun.task)
   }
 
-  function clearGrammarSpans(root) {
-    root.querySelectorAll('span.grammar-error').forEach(s => {
-      const parent = s.parentNode
-      while (s.firstChild) parent.insertBefore(s.firstChild, s)
-      parent.removeChild(s)
-    })
+  const onlineChangeHandler = useRef(handleOnlineChange)
+  onlineChangeHandler.current = handleOnlineChange
+  useEffect(() => onOnlineChange(value => onlineChangeHandler.current(value)), [])
+
+  function cancelAI() {
+    aiAbortRef.current?.abort()
+  }
+
+  function closeAIPanel() {
+    aiAbortRef.current?.abort()
+    setAiRun(null)
+  }
+
+  function useHeuristicResult() {
+    setAiRun(prev => ({ ...prev, status: 'done', source: 'heuristic', result: heuristicResult(prev.task, prev.input), notice: null }))
+  }
+
+  async function acceptAIResult(result) {
+    const { task } = aiRun
+    setAiRun(null)
+    if (task === 'summarize') upsertNote({ summary: result })
+    else if (task === 'tags') upsertNote({ tags: result })
+    else if (task === 'glossary') {
+      await recordSnapshot(activeNote, { reason: 'glossary', force: true })
+      setGlossary(result)
+      setEditorHtml(wrapGlossary(editorHtml, result))
+    }
+  }
+
+  async function restoreSnapshot(snapshot) {
+    if (!activeNote || activeNote.encrypted) return
+    await recordSnapshot(activeNote, { reason: 'restore', force: true })
+    upsertNote({ title: snapshot.title, html: snapshot.html, text: snapshot.text })
+    setEditorHtml(snapshot.html)
   }
 
   async function doGrammar() {
-    const container = document.createElement('div'); container.innerHTML = editorHtml
-    clearGrammarSpans(container)
+    if (!isOnline() && GRAMMAR_NEEDS_NETWORK) {
+      setToast({ message: 'Grammar checks need a connection. Try again when you are back online.' })
+      return
+    }
+    await recordSnapshot(activeNote, { reason: 'grammar', force: true })
+    const container = htmlFragment(editorHtml)
+    clearGrammarMarks(container)
     const text = container.textContent || ''
-    const matches = await languageToolCheck(text)
-    setGrammarMatches(matches)
-    let offset = 0
-    function walk(node) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        let nodeStart = offset
-        let nodeEnd = offset + node.nodeValue.length
-        const applicable = matches.filter(m => !(m.offset + m.length <= nodeStart || m.offset >= nodeEnd))
-        if (applicable.length) {
-          const frag = document.createDocumentFragment()
-          let cursor = 0
-          for (const m of applicable.sort((a,b)=>a.offset-b.offset)) {
-            const start = Math.max(0, m.offset - nodeStart)
-            const end = Math.min(node.nodeValue.length, m.offset + m.length - nodeStart)
-            if (start > cursor) frag.appendChild(document.createTextNode(node.nodeValue.slice(cursor, start)))
-            const span = document.createElement('span')
-            span.className = 'grammar-error'
-            span.title = m.message
-            span.textContent = node.nodeValue.slice(start, end)
-            frag.appendChild(span)
-            cursor = end
-          }
-          if (cursor < node.nodeValue.length) frag.appendChild(document.createTextNode(node.nodeValue.slice(cursor)))
-          node.parentNode.replaceChild(frag, node)
-        }
-        offset = nodeEnd
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
-        for (const child of Array.from(node.childNodes)) walk(child)
-      }
+    let checked
+    try {
+      checked = await checkGrammar(text, activeNote.language || AUTO_LANGUAGE)
+    } catch (error) {
+      alert(`Grammar check failed: ${error.message}`)
+      return
     }
-    walk(container)
-    setEditorHtml(container.innerHTML)
+    const matches = filterIgnored(checked.matches, dictionary)
+    setGrammarMatches(matches)
+    setGrammarPopover(null)
+    setDetectedLanguage(checked.language)
+    markGrammarMatches(container, matches)
+    setEditorHtml(sanitizeHtml(container.innerHTML))
+  }
+
+  // `replacements` maps match ids to replacement text, or null to just drop the mark
+  function resolveGrammar(replacements) {
+    const container = htmlFragment(editorHtml)
+    resolveGrammarMarks(container, replacements)
+    setEditorHtml(sanitizeHtml(container.innerHTML))
+    setGrammarMatches(prev => prev.filter(m => !replacements.has(m.id)))
+    setGrammarPopover(null)
+  }
+
+  function ignoreGrammarRule(match) {
+    const next = isSpellingMatch(match)
+      ? { ...dictionary, words: Array.from(new Set([...dictionary.words, match.word])) }
+      : { ...dictionary, rules: [...dictionary.rules.filter(r => r.id !== match.rule.id), { id: match.rule.id, description: match.rule.description }] }
+    setDictionary(next)
+    const kept = new Set(filterIgnored(grammarMatches, next).map(m => m.id))
+    resolveGrammar(new Map(grammarMatches.filter(m => !kept.has(m.id)).map(m => [m.id, null])))
+  }
+
+  function fixAllGrammar(match) {
+    const sameRule = grammarMatches.filter(m => m.rule?.id === match.rule?.id && m.replacements?.length)
+    resolveGrammar(new Map(sameRule.map(m => [m.id, m.replacements[0].value])))
   }
 
+  const popoverMatch = grammarPopover && grammarMatches.find(m => m.id === grammarPopover.id)
+  const closeGrammarPopover = useCallback(() => setGrammarPopover(null), [])
+
   async function toggleEncryption() {
     if (!activeNote) return
+    if (activeNote.collab) {
+      alert('Stop collaborating on this note before encrypting it.')
+      return
+    }
     if (!activeNote.encrypted) {
       const password = prompt('Set a password for this note:')
       if (!password) return
       const encrypted = await encryptString(editorHtml, password)
-      upsertNote({ encrypted: true, html: '', encryptedPayload: encrypted })
+      upsertNote({ encrypted: true, html: '', encryptedPayload: encrypted, attachments: attachmentIds(editorHtml) })
       setEditorHtml('')
     } else {
       const password = prompt('Enter password to decrypt:')
       if (!password) return
       try {
-        const plain = await decryptString(activeNote.encryptedPayload, password)
+        const plain = sanitizeHtml(await decryptString(activeNote.encryptedPayload, password))
         upsertNote({ encrypted: false, html: plain, encryptedPayload: null })
         setEditorHtml(plain)
       } catch (e) {
@@ -587,64 +1322,293 @@ function App() {
     }
   }
 
-  const sortedFilteredNotes = useMemo(() => {
-    const sorted = [...notes].sort((a,b)=> (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt))
-    const q = search.trim().toLowerCase()
-    if (!q) return sorted
-    return sorted.filter(n => (n.title||'').toLowerCase().includes(q) || (n.text||'').toLowerCase().includes(q))
-  }, [notes, search])
+  const trashedNotes = useMemo(() => (
+    notes.filter(n => n.deletedAt).sort((a,b) => b.deletedAt - a.deletedAt)
+  ), [notes])
+
+  const liveNotes = useMemo(() => notes.filter(n => !n.deletedAt), [notes])
+  const noteLinkEdges = useMemo(() => linkEdges(liveNotes), [liveNotes])
+  const backlinks = useMemo(() => {
+    if (!activeNote) return []
+    const byId = new Map(liveNotes.map(n => [n.id, n]))
+    return noteLinkEdges.filter(e => e.to === activeNote.id).map(e => byId.get(e.from))
+  }, [activeNote, liveNotes, noteLinkEdges])
+  const linkTargets = useMemo(() => liveNotes.filter(n => n.id !== activeId), [liveNotes, activeId])
+  // Note text and metadata only; attachment bytes are counted by the attachments store
+  const notesBytes = useMemo(() => JSON.stringify(notes).length, [notes])
+  const searchIndex = useMemo(() => buildSearchIndex(liveNotes), [liveNotes])
+  const allTags = useMemo(() => tagCounts(liveNotes), [liveNotes])
+  const tasks = useMemo(() => openTasks(liveNotes), [liveNotes])
+
+  const notebookCounts = useMemo(() => {
+    const counts = new Map([['all', liveNotes.length]])
+    liveNotes.forEach(n => n.notebookId && counts.set(n.notebookId, (counts.get(n.notebookId) || 0) + 1))
+    return counts
+  }, [liveNotes])
+
+  // The selected notebook shows its own notes and those of nested notebooks
+  const scopedNotes = useMemo(() => {
+    if (!selectedNotebookId) return liveNotes
+    const scope = descendantIds(notebooks, selectedNotebookId)
+    return liveNotes.filter(n => scope.has(n.notebookId))
+  }, [liveNotes, notebooks, selectedNotebookId])
+
+  // Searching by meaning ranks by similarity (see the effect below); the notes are the current copies
+  const meaningQuery = searchMode === 'meaning' ? search.trim() : ''
+
+  // Without search terms the list keeps its pinned/recent order; with terms it is ranked by relevance
+  const { sortedFilteredNotes, searchMatches } = useMemo(() => {
+    if (meaningQuery) {
+      const inScope = new Map(scopedNotes.map(n => [n.id, n]))
+      return { sortedFilteredNotes: (meaningSearch?.results || []).map(r => inScope.get(r.note.id)).filter(Boolean), searchMatches: null }
+    }
+    const query = parseQuery(search)
+    if (isEmptyQuery(query)) {
+      const sorted = [...scopedNotes].sort((a,b)=> (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt))
+      return { sortedFilteredNotes: sorted, searchMatches: null }
+    }
+    const inScope = new Set(scopedNotes.map(n => n.id))
+    const results = searchNotes(searchIndex, query).filter(r => inScope.has(r.note.id))
+    if (!query.terms.length && !query.phrases.length) {
+      results.sort((a,b)=> (b.note.pinned - a.note.pinned) || (b.note.updatedAt - a.note.updatedAt))
+    }
+    return {
+      sortedFilteredNotes: results.map(r => r.note),
+      searchMatches: new Map(results.map(r => [r.note.id, { words: r.words, phrases: query.phrases }]))
+    }
+  }, [scopedNotes, searchIndex, search, meaningQuery, meaningSearch])
+
+  // Both requests read the latest notes and settings through refs, so edits don't restart them
+  const meaningRequest = useRef(null)
+  meaningRequest.current = (query, signal) => searchByMeaning(query, liveNotes, effectiveAiSettings, { signal })
+  useEffect(() => {
+    if (!meaningQuery) {
+      setMeaningSearch(null)
+      return
+    }
+    const controller = new AbortController()
+    setMeaningSearch(prev => ({ ...prev, query: meaningQuery, loading: true }))
+    const timer = setTimeout(() => {
+      meaningRequest.current(meaningQuery, controller.signal)
+        .then(result => setMeaningSearch({ query: meaningQuery, ...result, loading: false }))
+        .catch(error => { if (error.name !== 'AbortError') console.error('Search by meaning error:', error) })
+    }, 400)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [meaningQuery])
+
+  // Related notes for the open note, looked up again once typing pauses
+  const relatedRequest = useRef(null)
+  relatedRequest.current = signal => relatedNotes(activeNote, liveNotes, effectiveAiSettings, { signal })
+  const activeText = activeNote?.text
+  const canRelate = !!activeNote && !activeNote.encrypted
+  useEffect(() => {
+    if (!canRelate) {
+      setRelated(null)
+      return
+    }
+    const controller = new AbortController()
+    setRelated(prev => prev?.noteId === activeId ? prev : { noteId: activeId, results: [], engine: null, loading: true })
+    const timer = setTimeout(() => {
+      relatedRequest.current(controller.signal)
+        .then(result => setRelated({ noteId: activeId, ...result, loading: false }))
+        .catch(error => { if (error.name !== 'AbortError') console.error('Related notes error:', error) })
+    }, 800)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [activeId, activeText, canRelate])
+  const relatedView = useMemo(() => {
+    if (!related || related.noteId !== activeId) return null
+    const byId = new Map(liveNotes.map(n => [n.id, n]))
+    return { ...related, results: related.results.map(r => ({ ...r, note: byId.get(r.note.id) })).filter(r => r.note) }
+  }, [related, activeId, liveNotes])
 
   // Export/Import functions
-  const exportData = () => {
-    const dataToExport = {
-      notes,
-      exportDate: new Date().toISOString(),
-      version: '1.0'
-    }
-    const blob = new Blob([JSON.stringify(dataToExport, null, 2)], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `playpower-notes-${new Date().toISOString().split('T')[0]}.json`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
+  // Says which attachments an export left out; restoring it shows them as missing
+  const reportWithheld = async (list) => {
+    const withheld = await withheldAttachments(list)
+    if (!withheld.length) return
+    const count = withheld.reduce((sum, w) => sum + w.names.length, 0)
+    const which = withheld.map(w => `“${w.note.title || 'Untitled'}” (${w.names.join(', ')})`).join(', ')
+    setToast({ message: `${count} attachment${count === 1 ? ' was' : 's were'} left out of the export: ${which}. Files in encrypted notes are not encrypted, so they stay on this device.` })
   }
 
-  const importData = (event) => {
-    const file = event.target.files[0]
-    if (!file) return
+  const exportData = async () => {
+    const list = exportIncludeTrash ? notes : liveNotes
+    try {
+      const dataToExport = await buildExport({ notes: list, notebooks, templates, attachments: await loadNoteAttachments(list) })
+      const blob = new Blob([JSON.stringify(dataToExport, null, 2)], { type: 'application/json' })
+      downloadBlob(blob, `playpower-notes-${dateStamp()}.json`)
+      await reportWithheld(list)
+    } catch (error) {
+      console.error('Export error:', error)
+      alert('Failed to export notes.')
+    }
+  }
+
+  const exportMarkdownNotes = async (list) => {
+    if (!list.length) return
+    try {
+      const { blob, filename } = await exportMarkdown(list)
+      downloadBlob(blob, filename)
+      await reportWithheld(list)
+    } catch (error) {
+      console.error('Markdown export error:', error)
+      alert('Failed to export notes as Markdown.')
+    }
+  }
+
+  const printActiveNote = async () => {
+    if (!activeNote || activeNote.encrypted) return
+    try {
+      await printNote({ ...activeNote, html: editorHtml })
+    } catch (error) {
+      console.error('Print error:', error)
+      alert('Failed to prepare the note for printing.')
+    }
+  }
+
+  const exportWebsite = async (list, title) => {
+    try {
+      const { blob, filename } = await exportSite(list, { title })
+      downloadBlob(blob, filename)
+    } catch (error) {
+      console.error('Website export error:', error)
+      alert('Failed to export the website.')
+    }
+  }
+
+  const importMarkdownFile = async (file) => {
+    try {
+      const { notes: imported, attachments } = await importMarkdown(file)
+      if (!imported.length) {
+        alert('No Markdown files found in this archive.')
+        return
+      }
+      setImportPreview({ source: 'Markdown', plan: planImport(notes, imported), errors: [], notebooks: [], templates: [], attachments })
+    } catch (error) {
+      console.error('Markdown import error:', error)
+      alert('Failed to import Markdown. Please check the file.')
+    }
+  }
+
+  const importFile = (file) => {
+    if (isMarkdownImport(file)) {
+      importMarkdownFile(file)
+      return
+    }
 
     const reader = new FileReader()
     reader.onload = (e) => {
       try {
-        const importedData = JSON.parse(e.target.result)
-        if (importedData.notes && Array.isArray(importedData.notes)) {
-          const confirmImport = window.confirm(
-            `Import ${importedData.notes.length} notes? This will merge with your existing notes.`
-          )
-          if (confirmImport) {
-            setNotes(prev => {
-              const existingIds = new Set(prev.map(n => n.id))
-              const newNotes = importedData.notes.filter(n => !existingIds.has(n.id))
-              return [...prev, ...newNotes].sort((a,b) => (b.updatedAt || 0) - (a.updatedAt || 0))
-            })
-            setSaveStatus('saved')
-            alert(`Successfully imported ${importedData.notes.length} notes!`)
-          }
-        } else {
-          alert('Invalid file format. Please select a valid notes export file.')
-        }
+        const { notes: imported, notebooks: importedNotebooks, templates: importedTemplates, attachments, errors } = parseExport(e.target.result)
+        const newNotebooks = importedNotebooks.filter(nb => !notebooks.some(existing => existing.id === nb.id))
+        const newTemplates = importedTemplates.filter(t => !templates.some(existing => existing.id === t.id))
+        setImportPreview({ source: 'backup', plan: planImport(notes, imported), errors, notebooks: newNotebooks, templates: newTemplates, attachments })
       } catch (error) {
-        console.error('Import error:', error)
-        alert('Failed to import notes. Please check the file format.')
+        if (!(error instanceof ImportError)) console.error('Import error:', error)
+        alert(error instanceof ImportError ? error.message : 'Failed to import notes. Please check the file format.')
       }
     }
     reader.readAsText(file)
+  }
+
+  const importData = (event) => {
+    const file = event.target.files[0]
     event.target.value = '' // Reset file input
+    if (file) importFile(file)
+  }
+
+  // A backup or Markdown file opened with the installed app goes through the import preview
+  const launchFilesHandler = useRef(null)
+  launchFilesHandler.current = files => {
+    if (files.length > 1) setToast({ message: `Opened “${files[0].name}”. Import the other files one at a time.` })
+    importFile(files[0])
+  }
+  useEffect(() => {
+    if (!notesLoaded) return
+    onLaunchFiles(files => launchFilesHandler.current(files), (name, error) => {
+      console.error('Failed to open launched file:', error)
+      setToast({ message: `Could not open “${name}”. It may have been moved, deleted or made unreadable.` })
+    })
+  }, [notesLoaded])
+
+  async function finishImport(choices) {
+    const { plan, notebooks: newNotebooks, templates: newTemplates, attachments } = importPreview
+    setImportPreview(null)
+    // Attachments are stored before the notes appear, so their images load on first render
+    const chosen = new Set(plan.filter(e => e.status === 'new' || (choices[e.note.id] ?? defaultChoice(e.status)) !== 'mine').flatMap(e => e.note.attachments || []))
+    let attachmentsFailed = false
+    try {
+      await importAttachments(attachments.filter(a => chosen.has(a.id)))
+    } catch (error) {
+      console.error('Attachment import error:', error)
+      attachmentsFailed = true
+    }
+    const { notes: merged, counts } = applyImport(latestNotes.current.notes, plan, choices)
+    if (newNotebooks.length) setNotebooks(prev => [...prev, ...newNotebooks.filter(nb => !prev.some(existing => existing.id === nb.id))])
+    if (newTemplates.length) setTemplates(prev => [...prev, ...newTemplates.filter(t => !prev.some(existing => existing.id === t.id))])
+    setNotes(merged)
+    const active = merged.find(n => n.id === activeId)
+    if (active && active !== activeNote) setEditorHtml(active.encrypted ? '' : active.html || '')
+    const parts = [
+      counts.added && `${counts.added} added`,
+      counts.replaced && `${counts.replaced} replaced`,
+      counts.copied && `${counts.copied} kept as copies`,
+      counts.kept && `${counts.kept} left unchanged`
+    ].filter(Boolean)
+    setToast({
+      message: `Import finished: ${parts.join(', ') || 'nothing to change'}.` +
+        (attachmentsFailed ? ' Some attachments could not be stored.' : '')
+    })
   }
 
+  // Commands for the palette and keyboard shortcuts. `enabled` says whether one can run right now;
+  // the shortcut settings list them all, the palette only the enabled ones.
+  const canEdit = !!(editor && activeNote && !activeNote.encrypted)
+  const showView = view => () => setSidebarView(view)
+  const commands = [
+    { id: 'palette', group: 'General', label: 'Command palette', enabled: true, run: () => setPaletteOpen(true) },
+    { id: 'newNote', group: 'General', label: 'New note', enabled: true, run: () => createNote() },
+    { id: 'quickCapture', group: 'General', label: 'Quick capture…', enabled: true, run: () => setQuickCaptureOpen(true) },
+    { id: 'templates', group: 'General', label: 'Note templates…', enabled: true, run: () => setTemplatesOpen(true) },
+    { id: 'save', group: 'General', label: 'Save now', enabled: true, run: saveNow },
+    { id: 'toggleTheme', group: 'General', label: `Switch to ${theme === 'dark' ? 'light' : 'dark'} theme`, enabled: true, run: () => setTheme(theme === 'dark' ? 'light' : 'dark') },
+    { id: 'shortcuts', group: 'General', label: 'Keyboard shortcuts…', enabled: true, run: () => setShortcutsOpen(true) },
+    { id: 'lockVault', group: 'General', label: 'Lock vault', enabled: vault.enabled, run: vault.lock },
+    { id: 'showNotes', group: 'View', label: 'Notes list', enabled: true, run: showView('notes') },
+    { id: 'showTags', group: 'View', label: 'Tags', enabled: true, run: showView('tags') },
+    { id: 'showTasks', group: 'View', label: 'Tasks', enabled: true, run: showView('tasks') },
+    { id: 'showTrash', group: 'View', label: 'Trash', enabled: true, run: showView('trash') },
+    { id: 'graph', group: 'View', label: 'Note graph', enabled: true, run: () => setGraphOpen(true) },
+    { id: 'searchMode', group: 'View', label: searchMode === 'meaning' ? 'Search by words' : 'Search by meaning', enabled: true, run: () => setSearchMode(searchMode === 'meaning' ? 'words' : 'meaning') },
+    { id: 'ai.glossary', group: 'AI', label: 'Glossary', enabled: !!activeNote, run: () => runAI('glossary') },
+    { id: 'ai.summarize', group: 'AI', label: 'Summarize', enabled: !!activeNote, run: () => runAI('summarize') },
+    { id: 'ai.tags', group: 'AI', label: 'Suggest tags', enabled: !!activeNote, run: () => runAI('tags') },
+    { id: 'grammar', group: 'AI', label: 'Check grammar', enabled: !!activeNote && (online || !GRAMMAR_NEEDS_NETWORK), run: doGrammar },
+    { id: 'aiSettings', group: 'AI', label: 'AI providers…', enabled: true, run: () => setAiSettingsOpen(true) },
+    { id: 'encrypt', group: 'Note', label: activeNote?.encrypted ? 'Decrypt note' : 'Encrypt note', enabled: !!activeNote, run: toggleEncryption },
+    { id: 'pin', group: 'Note', label: activeNote?.pinned ? 'Unpin note' : 'Pin note', enabled: !!activeNote, run: () => pinNote(activeId) },
+    { id: 'history', group: 'Note', label: 'Version history', enabled: !!activeNote, run: () => setHistoryOpen(open => !open) },
+    { id: 'collaborate', group: 'Note', label: 'Collaborate…', enabled: !!activeNote && !activeNote.encrypted, run: () => setCollabOpen(true) },
+    { id: 'share', group: 'Note', label: 'Share…', enabled: !!activeNote, run: () => setShareNoteId(activeId) },
+    { id: 'exportNote', group: 'Note', label: 'Export note as Markdown', enabled: !!activeNote, run: () => exportMarkdownNotes([activeNote]) },
+    { id: 'print', group: 'Note', label: 'Print or save as PDF', enabled: !!activeNote && !activeNote.encrypted, run: printActiveNote },
+    { id: 'deleteNote', group: 'Note', label: 'Move note to trash', enabled: !!activeNote, run: () => deleteNote(activeId) },
+    ...FORMAT_COMMANDS.map(f => ({ id: f.id, group: 'Format', label: f.label, enabled: canEdit, run: () => f.run(editor.chain().focus()).run() })),
+    { id: 'exportJson', group: 'Data', label: 'Export notes', enabled: true, run: exportData },
+    { id: 'exportMarkdown', group: 'Data', label: 'Export all as Markdown', enabled: true, run: () => exportMarkdownNotes(exportIncludeTrash ? notes : liveNotes) },
+    { id: 'exportSite', group: 'Data', label: 'Export as website…', enabled: true, run: () => setSiteExportOpen(true) },
+    { id: 'import', group: 'Data', label: 'Import notes…', enabled: true, run: () => fileInputRef.current?.click() },
+    { id: 'vaultSettings', group: 'Data', label: vault.enabled ? 'Vault settings…' : 'Enable vault…', enabled: true, run: () => setVaultSettingsOpen(true) },
+    { id: 'syncSettings', group: 'Data', label: 'Sync settings…', enabled: true, run: () => setSyncSettingsOpen(true) }
+  ]
+  latestCommands.current = commands
+
   return (
     <div className="app">
       <header className="header">
@@ -658,31 +1622,127 @@ function App() {
           <div className={`save-status ${saveStatus}`}>
             {saveStatus === 'saving' && <span>💾 Saving...</span>}
             {saveStatus === 'saved' && <span>✅ Saved</span>}
-            {saveStatus === 'error' && <span>⚠️ Save Error</span>}
+            {saveStatus === 'error' && <span title={saveError}>⚠️ {saveError || 'Save Error'}</span>}
           </div>
+          {!online && !syncStatus && (
+            <span className="offline-status" title="Your notes are saved on this device. AI requests wait for the connection.">📴 Offline</span>
+          )}
+          {syncStatus && (
+            <button
+              className={`sync-status ${syncStatus.status}`}
+              onClick={() => setSyncSettingsOpen(true)}
+              title={syncStatus.message || 'Sync settings'}
+            >
+              {syncStatus.status === 'syncing' && '🔄 Syncing…'}
+              {syncStatus.status === 'synced' && '☁️ Synced'}
+              {syncStatus.status === 'offline' && '📴 Offline'}
+              {syncStatus.status === 'error' && '⚠️ Sync failed'}
+            </button>
+          )}
         </div>
         
-        <button 
-          className="theme-toggle" 
-          onClick={() => setTheme(theme === 'dark' ? 'light' : 'dark')} 
-          title={`Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`}
-        >
-          {theme === 'dark' ? <FaSun /> : <FaMoon />}
-        </button>
+        <div className="header-actions">
+          <button className="theme-toggle" onClick={() => setPaletteOpen(true)} title={`Command palette (${formatShortcut(shortcuts.palette)})`}>
+            <FaKeyboard />
+          </button>
+          <button className="theme-toggle" onClick={() => setQuickCaptureOpen(true)} title={`Quick capture${shortcuts.quickCapture ? ` (${formatShortcut(shortcuts.quickCapture)})` : ''}`}>
+            <FaBolt />
+          </button>
+          <button className="theme-toggle" onClick={() => setGraphOpen(true)} title="Note graph">
+            <FaProjectDiagram />
+          </button>
+          {vault.enabled && (
+            <button className="theme-toggle lock-btn" onClick={vault.lock} title="Lock vault">
+              <FaLock />
+            </button>
+          )}
+          <button 
+            className="theme-toggle" 
+            onClick={() => setTheme(theme === 'dark' ? 'light' : 'dark')} 
+            title={`Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`}
+          >
+            {theme === 'dark' ? <FaSun /> : <FaMoon />}
+          </button>
+        </div>
       </header>
       
       <div className="content">
         <div className={`sidebar ${sidebarCollapsed ? 'collapsed' : ''}`}>
-          <NotesList
-            notes={sortedFilteredNotes}
-            onSelect={setActiveId}
-            onCreate={createNote}
-            onDelete={deleteNote}
-            onPin={pinNote}
-            activeId={activeId}
-            onSearch={onSearch}
-            search={search}
-          />
+          <div className="sidebar-tabs">
+            <button className={sidebarView === 'notes' ? 'active' : ''} onClick={() => setSidebarView('notes')}>
+              Notes
+            </button>
+            <button className={sidebarView === 'tags' ? 'active' : ''} onClick={() => setSidebarView('tags')}>
+              <FaTags /> Tags
+            </button>
+            <button className={sidebarView === 'tasks' ? 'active' : ''} onClick={() => setSidebarView('tasks')}>
+              <FaTasks /> Tasks
+            </button>
+            <button className={sidebarView === 'trash' ? 'active' : ''} onClick={() => setSidebarView('trash')}>
+              <FaTrash /> Trash{trashedNotes.length > 0 && ` (${trashedNotes.length})`}
+            </button>
+          </div>
+          {sidebarView === 'tags' && (
+            <TagBrowser
+              tags={allTags}
+              onFilter={filterByTag}
+              onRename={renameTag}
+              onMerge={mergeTags}
+              onDelete={deleteTag}
+            />
+          )}
+          {sidebarView === 'tasks' && (
+            <TasksView
+              tasks={tasks}
+              tags={allTags}
+              reminders={taskReminders}
+              onToggle={toggleTask}
+              onOpen={setActiveId}
+              onReminders={changeTaskReminders}
+            />
+          )}
+          {sidebarView === 'trash' && (
+            <TrashList
+              notes={trashedNotes}
+              retentionDays={trashDays}
+              onRestore={restoreNote}
+              onPurge={purgeNote}
+              onEmpty={emptyTrash}
+            />
+          )}
+          {sidebarView === 'notes' && (
+            <>
+              <NotebookTree
+                notebooks={notebooks}
+                counts={notebookCounts}
+                selectedId={selectedNotebookId}
+                onSelect={setSelectedNotebookId}
+                onCreate={addNotebook}
+                onRename={renameNotebook}
+                onDelete={deleteNotebook}
+                onMoveNote={moveNoteToNotebook}
+                onMoveNotebook={moveNotebook}
+              />
+              <NotesList
+                notes={sortedFilteredNotes}
+                matches={searchMatches}
+                templates={templates}
+                onSelect={setActiveId}
+                onCreate={createFromTemplate}
+                onManageTemplates={() => setTemplatesOpen(true)}
+                onDelete={deleteNote}
+                onPin={pinNote}
+                onShare={setShareNoteId}
+                onTagClick={filterByTag}
+                activeId={activeId}
+                onSearch={onSearch}
+                search={search}
+                searchMode={searchMode}
+                onSearchModeChange={setSearchMode}
+                meaningSearch={meaningSearch}
+              />
+            </>
+          )}
           <div className="settings">
             <div className="settings-group">
               <label>OpenAI API Key (optional)</label>
@@ -707,6 +1767,42 @@ function App() {
                   <button className="import-btn" onClick={clearStoredApiKey}>Clear saved key (use .env)</button>
                 </div>
               )}
+              <div className="data-controls" style={{ marginTop: '0.5rem' }}>
+                <button className="import-btn" onClick={() => setAiSettingsOpen(true)}>AI providers…</button>
+                <button className="import-btn" onClick={() => setDictionaryOpen(true)}>Personal dictionary…</button>
+              </div>
+            </div>
+            <div className="settings-group">
+              <label>Templates</label>
+              <div className="data-controls">
+                <button className="import-btn" onClick={() => setTemplatesOpen(true)}>
+                  <FaRegFileAlt /> Note templates ({templates.length})
+                </button>
+              </div>
+            </div>
+            <div className="settings-group">
+              <label>Keyboard</label>
+              <div className="data-controls">
+                <button className="import-btn" onClick={() => setShortcutsOpen(true)}>
+                  <FaKeyboard /> Keyboard shortcuts…
+                </button>
+              </div>
+            </div>
+            <div className="settings-group">
+              <label>Security</label>
+              <div className="data-controls">
+                <button className="import-btn" onClick={() => setVaultSettingsOpen(true)}>
+                  <FaShieldAlt /> {vault.enabled ? 'Vault settings' : 'Enable vault'}
+                </button>
+              </div>
+            </div>
+            <div className="settings-group">
+              <label>Sync</label>
+              <div className="data-controls">
+                <button className="import-btn" onClick={() => setSyncSettingsOpen(true)}>
+                  <FaSyncAlt /> {syncSettings.enabled ? 'Sync settings' : 'Set up sync server'}
+                </button>
+              </div>
             </div>
             <div className="settings-group">
               <label>Data Management</label>
@@ -714,9 +1810,18 @@ function App() {
                 <button className="export-btn" onClick={exportData}>
                   Export Notes
                 </button>
+                <button
+                  className="export-btn"
+                  onClick={() => exportMarkdownNotes(exportIncludeTrash ? notes : liveNotes)}
+                >
+                  Export Markdown
+                </button>
+                <button className="export-btn" onClick={() => setSiteExportOpen(true)}>
+                  Export Website
+                </button>
                 <input 
                   type="file" 
-                  accept=".json"
+                  accept=".json,.md,.markdown,.zip"
                   onChange={importData}
                   style={{ display: 'none' }}
                   ref={fileInputRef}
@@ -725,54 +1830,272 @@ function App() {
                   Import Notes
                 </button>
               </div>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={exportIncludeTrash}
+                  onChange={e => setExportIncludeTrash(e.target.checked)}
+                />
+                <span>Include trash in export</span>
+              </label>
+              <div className="trash-setting">
+                <span>Empty trash after</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={trashDays}
+                  onChange={e => setTrashDays(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                />
+                <span>days</span>
+              </div>
               <div className="storage-info">
-                {notes.length} notes • {Math.round(JSON.stringify(notes).length / 1024)}KB used
+                {notes.length - trashedNotes.length} notes{trashedNotes.length > 0 && ` (+${trashedNotes.length} in trash)`} • {storageUsage
+                  ? `${formatBytes(storageUsage.usage)} of ${formatBytes(storageUsage.quota)} used`
+                  : `${formatBytes(notesBytes + attachmentStats.bytes)} used`}
+                <div className="storage-breakdown">
+                  Notes {formatBytes(notesBytes)} • Attachments {formatBytes(attachmentStats.bytes)}
+                  {attachmentStats.count > 0 && ` (${attachmentStats.count} file${attachmentStats.count === 1 ? '' : 's'})`}
+                </div>
               </div>
             </div>
           </div>
         </div>
         
         <div className="main">
-          {activeNote && (
-            <Toolbar
-              onCommand={exec}
-              onFontSize={setFontSize}
-              onAlign={setAlign}
-              onGlossary={doGlossary}
-              onSummarize={doSummarize}
-              onTags={doTags}
-              onGrammar={doGrammar}
-              isEncrypted={!!activeNote?.encrypted}
-              onEncryptToggle={toggleEncryption}
-            />
-          )}
-          
-          {activeNote ? (
-            <Editor
-              html={editorHtml}
-              setHtml={setEditorHtml}
-              title={activeNote.title}
-              onTitleChange={t=>upsertNote({ title: t })}
-              glossary={glossary}
-              grammarMatches={grammarMatches}
+          {sharedLink ? (
+            <SharedNoteViewer
+              shared={sharedLink}
+              onImport={importSharedNote}
+              onClose={closeSharedNote}
             />
           ) : (
-            <div className="empty">
-              <div className="empty-icon">
-                <FaRegStickyNote />
-              </div>
-              <div className="empty-content">
-                <h2>Welcome to PlayPower Notes</h2>
-                <p>Select a note from the sidebar or create a new one to get started</p>
-                <button className="cta-button" onClick={createNote}>
-                  <FaPlus />
-                  Create Your First Note
-                </button>
-              </div>
-            </div>
+            <>
+              {activeNote && (
+                <Toolbar
+                  editor={editor}
+                  online={online}
+                  onGlossary={() => runAI('glossary')}
+                  onSummarize={() => runAI('summarize')}
+                  onTags={() => runAI('tags')}
+                  onGrammar={doGrammar}
+                  language={activeNote.language || AUTO_LANGUAGE}
+                  detectedLanguage={detectedLanguage}
+                  onLanguageChange={language => upsertNote({ language })}
+                  isEncrypted={!!activeNote?.encrypted}
+                  onEncryptToggle={toggleEncryption}
+                  historyOpen={historyOpen}
+                  onHistoryToggle={() => setHistoryOpen(open => !open)}
+                  onExportMarkdown={() => exportMarkdownNotes([activeNote])}
+                  onPrint={printActiveNote}
+                  isCollaborating={!!activeNote.collab}
+                  onCollaborate={() => setCollabOpen(true)}
+                />
+              )}
+
+              {activeNote ? (
+                <div className="editor-row">
+                  <Editor
+                    key={activeNote.id}
+                    html={editorHtml}
+                    onEditorChange={setEditor}
+                    setHtml={setEditorHtml}
+                    title={activeNote.title}
+                    onTitleChange={title => upsertNote({ title })}
+                    onTitleCommit={(fromTitle, title) => renameLinksTo(activeNote.id, fromTitle, title)}
+                    glossary={glossary}
+                    grammarMatches={grammarMatches}
+                    onGrammarClick={(id, anchor) => setGrammarPopover({ id, anchor })}
+                    collab={activeNote.encrypted ? null : activeNote.collab}
+                    crdt={activeNote.crdt}
+                    collabUser={collabUser}
+                    onCollabState={state => updateNote(activeNote.id, { crdt: state })}
+                    onCollabOpen={() => setCollabOpen(true)}
+                    linkTargets={linkTargets}
+                    backlinks={backlinks}
+                    related={relatedView}
+                    onOpenLink={openNoteLink}
+                  />
+                  {aiRun && (
+                    <AIPanel
+                      run={aiRun}
+                      onCancel={cancelAI}
+                      onRetry={() => runAI(aiRun.task)}
+                      onUseHeuristic={useHeuristicResult}
+                      onAccept={acceptAIResult}
+                      onClose={closeAIPanel}
+                    />
+                  )}
+                  {historyOpen && (
+                    <HistoryPanel
+                      note={activeNote}
+                      onRestore={restoreSnapshot}
+                      onClose={() => setHistoryOpen(false)}
+                    />
+                  )}
+                </div>
+              ) : (
+                <div className="empty">
+                  <div className="empty-icon">
+                    <FaRegStickyNote />
+                  </div>
+                  <div className="empty-content">
+                    <h2>Welcome to PlayPower Notes</h2>
+                    <p>Select a note from the sidebar or create a new one to get started</p>
+                    <NewNoteMenu templates={templates} onCreate={createFromTemplate} onManage={() => setTemplatesOpen(true)} className="cta-button">
+                      <FaPlus />
+                      Create Your First Note
+                    </NewNoteMenu>
+                  </div>
+                </div>
+              )}
+            </>
           )}
         </div>
       </div>
+
+      {popoverMatch && (
+        <GrammarPopover
+          match={popoverMatch}
+          anchor={grammarPopover.anchor}
+          sameRuleCount={grammarMatches.filter(m => m.rule?.id === popoverMatch.rule?.id).length}
+          onApply={value => resolveGrammar(new Map([[popoverMatch.id, value]]))}
+          onIgnoreOnce={() => resolveGrammar(new Map([[popoverMatch.id, null]]))}
+          onIgnoreRule={() => ignoreGrammarRule(popoverMatch)}
+          onFixAll={() => fixAllGrammar(popoverMatch)}
+          onClose={closeGrammarPopover}
+        />
+      )}
+
+      {collabOpen && activeNote && (
+        <CollabDialog
+          note={activeNote}
+          user={collabUser}
+          onStart={startCollab}
+          onStop={stopCollab}
+          onUserChange={setCollabUser}
+          onClose={() => setCollabOpen(false)}
+        />
+      )}
+
+      {paletteOpen && (
+        <CommandPalette
+          commands={[
+            ...commands.filter(c => c.enabled),
+            ...templates.map(t => ({ id: `template:${t.id}`, group: 'New from template', label: t.name || 'Untitled template', run: () => createFromTemplate(t) })),
+            ...liveNotes.map(n => ({ id: `note:${n.id}`, group: 'Open', label: n.title || 'Untitled', run: () => setActiveId(n.id) }))
+          ]}
+          shortcuts={shortcuts}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
+      {shortcutsOpen && (
+        <ShortcutSettings
+          commands={commands}
+          shortcuts={shortcuts}
+          onChange={setShortcuts}
+          onClose={() => setShortcutsOpen(false)}
+        />
+      )}
+
+      {templatesOpen && (
+        <TemplateManager
+          templates={templates}
+          currentNote={activeNote && !activeNote.encrypted ? { ...activeNote, html: editorHtml } : null}
+          onChange={setTemplates}
+          onClose={() => setTemplatesOpen(false)}
+        />
+      )}
+
+      {quickCaptureOpen && (
+        <QuickCapture onCapture={captureNote} onClose={() => setQuickCaptureOpen(false)} />
+      )}
+
+      {siteExportOpen && (
+        <SiteExportDialog
+          notes={liveNotes}
+          notebooks={notebooks}
+          onExport={exportWebsite}
+          onClose={() => setSiteExportOpen(false)}
+        />
+      )}
+
+      {dictionaryOpen && (
+        <DictionaryDialog dictionary={dictionary} onChange={setDictionary} onClose={() => setDictionaryOpen(false)} />
+      )}
+
+      {syncSettingsOpen && (
+        <SyncSettings
+          settings={syncSettings}
+          status={syncStatus}
+          onChange={setSyncSettings}
+          onSyncNow={() => syncRef.current?.syncNow()}
+          onClose={() => setSyncSettingsOpen(false)}
+        />
+      )}
+
+      {graphOpen && (
+        <NoteGraph
+          notes={liveNotes}
+          activeId={activeId}
+          onOpen={id => openNoteLink({ id })}
+          onClose={() => setGraphOpen(false)}
+        />
+      )}
+
+      {importPreview && (
+        <ImportWizard
+          source={importPreview.source}
+          plan={importPreview.plan}
+          errors={importPreview.errors}
+          notebookCount={importPreview.notebooks.length}
+          templateCount={importPreview.templates.length}
+          attachmentCount={importPreview.attachments.length}
+          onImport={finishImport}
+          onClose={() => setImportPreview(null)}
+        />
+      )}
+
+      {shareNote && (
+        <ShareDialog note={shareNote} onClose={() => setShareNoteId(null)} />
+      )}
+
+      {aiSettingsOpen && (
+        <AISettings
+          settings={aiSettings}
+          effectiveSettings={effectiveAiSettings}
+          onChange={setAiSettings}
+          onClose={() => setAiSettingsOpen(false)}
+        />
+      )}
+
+      {vaultSettingsOpen && (
+        <VaultSettings
+          enabled={vault.enabled}
+          onChange={vault.refresh}
+          onClose={() => setVaultSettingsOpen(false)}
+        />
+      )}
+
+      {conflicts.length > 0 && (
+        <ConflictDialog
+          conflict={conflicts[0]}
+          remaining={conflicts.length - 1}
+          onKeepMine={() => resolveConflict(conflicts[0], 'mine')}
+          onUseTheirs={() => resolveConflict(conflicts[0], 'theirs')}
+          onKeepBoth={() => resolveConflict(conflicts[0], 'both')}
+        />
+      )}
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.actionLabel}
+          onAction={toast.onAction}
+          onDismiss={dismissToast}
+          duration={toast.duration}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react'
+import { FaRobot, FaTimes } from 'react-icons/fa'
+import { AI_ERROR_LABELS, AI_TASKS } from '../lib/ai.js'
+
+// Side panel for one AI run: streams raw output, then shows the parsed result for review
+function AIPanel({ run, onCancel, onRetry, onUseHeuristic, onAccept, onClose }) {
+  const [draft, setDraft] = useState('')
+
+  // Summaries and tags are editable before they are saved
+  useEffect(() => {
+    if (run.status !== 'done') return
+    if (run.task === 'summarize') setDraft(run.result)
+    if (run.task === 'tags') setDraft(run.result.join(', '))
+  }, [run])
+
+  const accept = () => {
+    if (run.task === 'summarize') onAccept(draft.trim())
+    else if (run.task === 'tags') onAccept(draft.split(',').map(t => t.trim()).filter(Boolean))
+    else onAccept(run.result)
+  }
+
+  const label = AI_TASKS[run.task]?.label || run.task
+
+  return (
+    <aside className="history-panel ai-panel slide-in">
+      <div className="history-header">
+        <h3><FaRobot /> {label}</h3>
+        <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+      </div>
+
+      {run.status === 'streaming' && (
+        <>
+          <div className="ai-stream">{run.text || <span className="history-empty">Waiting for the model…</span>}<span className="ai-caret" /></div>
+          <div className="modal-actions">
+            <button className="import-btn" onClick={onCancel}>Cancel</button>
+          </div>
+        </>
+      )}
+
+      {run.status === 'queued' && (
+        <>
+          <div className="modal-error">
+            <strong>{AI_ERROR_LABELS.offline}</strong>
+            <div>This runs as soon as the connection is back.</div>
+          </div>
+          <div className="modal-actions">
+            <button className="import-btn" onClick={onClose}>Cancel</button>
+            <button className="export-btn" onClick={onUseHeuristic}>Use heuristic</button>
+          </div>
+        </>
+      )}
+
+      {run.status === 'cancelled' && (
+        <>
+          <p className="history-empty">Request cancelled.</p>
+          <div className="modal-actions">
+            <button className="import-btn" onClick={onRetry}>Retry</button>
+          </div>
+        </>
+      )}
+
+      {run.status === 'error' && (
+        <>
+          <div className="modal-error">
+            <strong>{AI_ERROR_LABELS[run.error.kind] || 'Request failed'}</strong>
+            <div>{run.error.message}</div>
+          </div>
+          {run.text && <div className="ai-stream">{run.text}</div>}
+          <div className="modal-actions">
+            <button className="import-btn" onClick={onRetry}>Retry</button>
+            <button className="export-btn" onClick={onUseHeuristic}>Use heuristic</button>
+          </div>
+        </>
+      )}
+
+      {run.status === 'done' && (
+        <>
+          {run.source === 'heuristic' && (
+            <p className="modal-hint">{run.notice || 'Generated locally without a model.'}</p>
+          )}
+          {run.task === 'summarize' && (
+            <textarea className="ai-draft" rows={5} value={draft} onChange={e => setDraft(e.target.value)} />
+          )}
+          {run.task === 'tags' && (
+            <input className="ai-draft" value={draft} onChange={e => setDraft(e.target.value)} />
+          )}
+          {run.task === 'glossary' && (
+            run.result.length ? (
+              <ul className="ai-glossary">
+                {run.result.map((g, i) => <li key={i}><strong>{g.term}</strong> — {g.definition}</li>)}
+              </ul>
+            ) : <p className="history-empty">No terms found.</p>
+          )}
+          <div className="modal-actions">
+            <button className="import-btn" onClick={onClose}>Discard</button>
+            <button className="export-btn" onClick={accept}>{run.task === 'glossary' ? 'Apply' : 'Accept'}</button>
+          </div>
+        </>
+      )}
+    </aside>
+  )
+}
+
+export default AIPanel
@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import { FaRobot, FaTimes } from 'react-icons/fa'
+import { AI_PROVIDERS, AI_TASKS, providerConfig, providerForTask, testProvider } from '../lib/ai.js'
+
+function AISettings({ settings, effectiveSettings, onChange, onClose }) {
+  const [testResults, setTestResults] = useState({})
+
+  const updateProvider = (providerId, key, value) => {
+    onChange({
+      ...settings,
+      providers: { ...settings.providers, [providerId]: { ...settings.providers?.[providerId], [key]: value } }
+    })
+  }
+
+  const updateTask = (task, providerId) => {
+    onChange({ ...settings, tasks: { ...settings.tasks, [task]: providerId } })
+  }
+
+  const runTest = async (providerId) => {
+    setTestResults(prev => ({ ...prev, [providerId]: { pending: true } }))
+    const result = await testProvider(providerId, effectiveSettings)
+    setTestResults(prev => ({ ...prev, [providerId]: result }))
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaRobot /> AI providers</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+
+        <div className="modal-field">
+          <label>Provider per task</label>
+          <div className="ai-task-grid">
+            {Object.entries(AI_TASKS).map(([task, options]) => (
+              <div key={task} className="ai-task-row">
+                <span>{options.label || task}</span>
+                <select
+                  className="toolbar-select"
+                  value={providerForTask(settings, task)}
+                  onChange={e => updateTask(task, e.target.value)}
+                >
+                  {Object.entries(AI_PROVIDERS)
+                    .filter(([, p]) => !options.embedding || p.embed)
+                    .map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+                  <option value="none">{options.embedding ? 'None (local word matching)' : 'None (local heuristics)'}</option>
+                </select>
+              </div>
+            ))}
+          </div>
+          <p className="modal-hint">
+            Related notes and search by meaning send the text of every note that isn’t encrypted to the embeddings
+            provider, once and again after it changes. Without one they use local word matching.
+          </p>
+        </div>
+
+        {Object.entries(AI_PROVIDERS).map(([id, provider]) => {
+          const config = providerConfig(settings, id)
+          const result = testResults[id]
+          return (
+            <fieldset key={id} className="ai-provider">
+              <legend>{provider.label}</legend>
+              {provider.fields.map(field => (
+                <div key={field.key} className="modal-field">
+                  <label>{field.label}</label>
+                  <input
+                    type={field.secret ? 'password' : 'text'}
+                    value={config[field.key] || ''}
+                    placeholder={provider.defaults[field.key] || ''}
+                    onChange={e => updateProvider(id, field.key, e.target.value)}
+                  />
+                </div>
+              ))}
+              {id === 'openai' && <p className="modal-hint">Uses the OpenAI API key from the sidebar. Works with any OpenAI-compatible server (LM Studio, vLLM, llama.cpp…).</p>}
+              {id === 'mock' && <p className="modal-hint">Answers from the note text without any network access, for offline testing.</p>}
+              <div className="ai-test-row">
+                <button className="import-btn" onClick={() => runTest(id)} disabled={result?.pending}>
+                  {result?.pending ? 'Testing…' : 'Test'}
+                </button>
+                {result && !result.pending && (
+                  <span className={result.ok ? 'ai-test-ok' : 'ai-test-fail'}>
+                    {result.ok ? '✓' : '✗'} {result.message}
+                  </span>
+                )}
+              </div>
+            </fieldset>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default AISettings
@@ -0,0 +1,24 @@
+import { FaLink } from 'react-icons/fa'
+
+// Notes whose [[links]] point at the open note
+function Backlinks({ notes, onOpen }) {
+  return (
+    <div className="backlinks">
+      <h3><FaLink /> Linked from {notes.length > 0 && `(${notes.length})`}</h3>
+      {notes.length ? (
+        <ul className="backlinks-list">
+          {notes.map(note => (
+            <li key={note.id}>
+              <button className="backlink" onClick={() => onOpen(note.id)}>
+                <strong>{note.title || 'Untitled'}</strong>
+                {note.summary && <span>{note.summary}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : <p className="history-empty">No other notes link here yet. Type [[ in a note to link one.</p>}
+    </div>
+  )
+}
+
+export default Backlinks
@@ -0,0 +1,36 @@
+import { FaUsers } from 'react-icons/fa'
+
+const STATUS_LABELS = {
+  connected: 'Live',
+  connecting: 'Connecting…',
+  disconnected: 'Offline — changes will sync when the relay is back'
+}
+
+function initials(name) {
+  const parts = (name || 'Anonymous').trim().split(/\s+/)
+  return parts.slice(0, 2).map(p => p[0]).join('').toUpperCase()
+}
+
+// Presence strip above a collaborative note
+function CollabBar({ status, peers, onOpen }) {
+  return (
+    <div className="collab-bar">
+      <span className={`collab-status ${status}`}>{STATUS_LABELS[status] || status}</span>
+      <div className="collab-avatars">
+        {peers.map(peer => (
+          <span
+            key={peer.clientId}
+            className={`collab-avatar ${peer.self ? 'self' : ''}`}
+            style={{ background: peer.color }}
+            title={peer.self ? `${peer.name || 'Anonymous'} (you)` : peer.name || 'Anonymous'}
+          >
+            {initials(peer.name)}
+          </span>
+        ))}
+      </div>
+      <button className="toolbar-btn" onClick={onOpen} title="Invite or stop collaborating"><FaUsers /></button>
+    </div>
+  )
+}
+
+export default CollabBar
@@ -0,0 +1,82 @@
+import { useState } from 'react'
+import { FaTimes, FaUsers } from 'react-icons/fa'
+import { collabInviteLink, DEFAULT_RELAY_URL } from '../lib/collab.js'
+
+function CollabDialog({ note, user, onStart, onStop, onUserChange, onClose }) {
+  const [relay, setRelay] = useState(note.collab?.relay || DEFAULT_RELAY_URL)
+  const [name, setName] = useState(user.name)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState('')
+
+  const link = note.collab ? collabInviteLink(note.collab) : ''
+
+  const saveName = () => {
+    if (name.trim() !== user.name) onUserChange({ ...user, name: name.trim() })
+  }
+
+  const start = () => {
+    if (!/^wss?:\/\//.test(relay.trim())) {
+      setError('The relay URL must start with ws:// or wss://')
+      return
+    }
+    saveName()
+    onStart(relay.trim())
+  }
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link)
+      setCopied(true)
+    } catch {
+      setError('Copy failed. Select the link and copy it manually.')
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaUsers /> Collaborate on “{note.title || 'Untitled'}”</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          Everyone with the invite link can edit this note live. Edits made offline are merged when you reconnect.
+          The relay sees the note’s contents, so use one you trust — <code>npm run relay</code> starts one locally.
+        </p>
+        {error && <div className="modal-error">{error}</div>}
+
+        <div className="modal-field">
+          <label>Your name</label>
+          <input value={name} placeholder="Anonymous" onChange={e => setName(e.target.value)} onBlur={saveName} />
+        </div>
+
+        {note.collab ? (
+          <>
+            <div className="modal-field">
+              <label>Invite link</label>
+              <div className="share-link-row">
+                <input readOnly value={link} onFocus={e => e.target.select()} />
+                <button className="export-btn" onClick={copy}>{copied ? 'Copied' : 'Copy'}</button>
+              </div>
+            </div>
+            <div className="modal-actions">
+              <button className="import-btn" onClick={onStop}>Stop collaborating</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="modal-field">
+              <label>Relay server</label>
+              <input value={relay} onChange={e => { setRelay(e.target.value); setError('') }} />
+            </div>
+            <div className="modal-actions">
+              <button className="export-btn" onClick={start}>Start collaborating</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CollabDialog
@@ -0,0 +1,72 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { FaSearch } from 'react-icons/fa'
+import { searchCommands, formatShortcut } from '../lib/commands.js'
+
+// Fuzzy search over every command ({ id, label, group, run }) and note; Enter runs the highlighted one
+function CommandPalette({ commands, shortcuts, onClose }) {
+  const [query, setQuery] = useState('')
+  const [selected, setSelected] = useState(0)
+  const listRef = useRef(null)
+  const results = useMemo(() => searchCommands(commands, query), [commands, query])
+
+  useEffect(() => {
+    listRef.current?.children[selected]?.scrollIntoView?.({ block: 'nearest' })
+  }, [selected])
+
+  const run = command => {
+    onClose()
+    command.run()
+  }
+
+  const onKeyDown = e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setSelected(i => results.length ? (i + step + results.length) % results.length : 0)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (results[selected]) run(results[selected])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    }
+  }
+
+  return (
+    <div className="modal-backdrop command-palette-backdrop" onClick={onClose}>
+      <div className="modal command-palette" onClick={e => e.stopPropagation()} role="dialog" aria-label="Command palette">
+        <div className="search-container">
+          <FaSearch className="search-icon" />
+          <input
+            className="search-input"
+            placeholder="Type a command or note title…"
+            value={query}
+            onChange={e => { setQuery(e.target.value); setSelected(0) }}
+            onKeyDown={onKeyDown}
+            autoFocus
+          />
+        </div>
+        {results.length ? (
+          <ul className="command-list" ref={listRef} role="listbox">
+            {results.map((command, i) => (
+              <li
+                key={command.id}
+                role="option"
+                aria-selected={i === selected}
+                className={`command-option ${i === selected ? 'selected' : ''}`}
+                onMouseEnter={() => setSelected(i)}
+                onClick={() => run(command)}
+              >
+                <span className="command-group">{command.group}</span>
+                <span className="command-label">{command.label}</span>
+                {shortcuts[command.id] && <kbd>{formatShortcut(shortcuts[command.id])}</kbd>}
+              </li>
+            ))}
+          </ul>
+        ) : <p className="history-empty">No matching commands or notes.</p>}
+      </div>
+    </div>
+  )
+}
+
+export default CommandPalette
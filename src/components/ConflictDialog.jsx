@@ -0,0 +1,57 @@
+import { useMemo } from 'react'
+import { FaExclamationTriangle } from 'react-icons/fa'
+import { diffWords } from '../lib/diff.js'
+
+function formatTime(ts) {
+  return new Date(ts).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Shown when this tab and another tab both changed the same note
+function ConflictDialog({ conflict, remaining, onKeepMine, onUseTheirs, onKeepBoth }) {
+  const { local, remote } = conflict
+
+  // Their version on the left, so additions read as what this tab changed
+  const diff = useMemo(() => {
+    if (local.encrypted || remote.encrypted) return null
+    return diffWords(remote.text || '', local.text || '')
+  }, [local, remote])
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal modal-wide" role="alertdialog">
+        <div className="modal-header">
+          <h3><FaExclamationTriangle /> Edited in another tab</h3>
+        </div>
+        <p className="modal-hint">
+          “{local.title || 'Untitled'}” was changed in another tab ({formatTime(remote.updatedAt)}) while
+          you were editing it here ({formatTime(local.updatedAt)}). Choose which version to keep.
+          {remaining > 0 && ` ${remaining} more conflict${remaining === 1 ? '' : 's'} after this one.`}
+        </p>
+        {remote.deletedAt && !local.deletedAt && (
+          <p className="modal-error">The other tab moved this note to the trash.</p>
+        )}
+        {diff ? (
+          <div className="history-diff conflict-diff">
+            {local.title !== remote.title && (
+              <div className="history-diff-title">
+                {diffWords(remote.title || 'Untitled', local.title || 'Untitled').map((part, i) => <span key={i} className={`diff-${part.type}`}>{part.text}</span>)}
+              </div>
+            )}
+            {diff.every(p => p.type === 'same')
+              ? <em className="history-empty">The text is the same; only other details differ.</em>
+              : diff.map((part, i) => <span key={i} className={`diff-${part.type}`}>{part.text}</span>)}
+          </div>
+        ) : (
+          <p className="modal-hint">One of the versions is encrypted, so they cannot be compared.</p>
+        )}
+        <div className="modal-actions">
+          <button className="import-btn" onClick={onKeepBoth}>Keep both</button>
+          <button className="import-btn" onClick={onUseTheirs}>Use other tab’s version</button>
+          <button className="export-btn" onClick={onKeepMine}>Keep mine</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConflictDialog
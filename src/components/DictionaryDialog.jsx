@@ -0,0 +1,48 @@
+import { FaBook, FaTimes } from 'react-icons/fa'
+
+function DictionaryDialog({ dictionary, onChange, onClose }) {
+  const removeWord = word => onChange({ ...dictionary, words: dictionary.words.filter(w => w !== word) })
+  const removeRule = id => onChange({ ...dictionary, rules: dictionary.rules.filter(r => r.id !== id) })
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaBook /> Personal dictionary</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">Words and grammar rules you chose to ignore. They are skipped in every note.</p>
+
+        <div className="modal-field">
+          <label>Words</label>
+          {dictionary.words.length ? (
+            <ul className="dictionary-list">
+              {dictionary.words.map(word => (
+                <li key={word}>
+                  <span>{word}</span>
+                  <button className="action-btn" onClick={() => removeWord(word)} title="Remove"><FaTimes /></button>
+                </li>
+              ))}
+            </ul>
+          ) : <p className="history-empty">No words yet.</p>}
+        </div>
+
+        <div className="modal-field">
+          <label>Ignored rules</label>
+          {dictionary.rules.length ? (
+            <ul className="dictionary-list">
+              {dictionary.rules.map(rule => (
+                <li key={rule.id}>
+                  <span title={rule.id}>{rule.description || rule.id}</span>
+                  <button className="action-btn" onClick={() => removeRule(rule.id)} title="Remove"><FaTimes /></button>
+                </li>
+              ))}
+            </ul>
+          ) : <p className="history-empty">No ignored rules.</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DictionaryDialog
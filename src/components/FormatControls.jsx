@@ -0,0 +1,198 @@
+import { useRef } from 'react'
+import { useEditorState } from '@tiptap/react'
+import { FaUndo, FaRedo, FaListUl, FaListOl, FaTasks, FaQuoteRight, FaCode, FaLink, FaTable, FaAlignLeft, FaAlignCenter, FaAlignRight, FaStrikethrough, FaPaperclip, FaUser } from 'react-icons/fa'
+import { CODE_LANGUAGES, FONT_SIZES, insertAttachments } from '../lib/editor.js'
+
+const BLOCK_TYPES = [
+  { value: 'paragraph', label: 'Paragraph' },
+  { value: 'h1', label: 'Heading 1' },
+  { value: 'h2', label: 'Heading 2' },
+  { value: 'h3', label: 'Heading 3' },
+  { value: 'codeBlock', label: 'Code block' }
+]
+
+// What the toolbar shows for the selection; recomputed on every editor transaction
+function formatState({ editor }) {
+  if (!editor) return null
+  const blockType = editor.isActive('codeBlock') ? 'codeBlock'
+    : [1, 2, 3].find(level => editor.isActive('heading', { level }))
+  return {
+    canUndo: editor.can().undo(),
+    canRedo: editor.can().redo(),
+    blockType: typeof blockType === 'number' ? `h${blockType}` : blockType || 'paragraph',
+    codeLanguage: editor.getAttributes('codeBlock').language || '',
+    bold: editor.isActive('bold'),
+    italic: editor.isActive('italic'),
+    underline: editor.isActive('underline'),
+    strike: editor.isActive('strike'),
+    code: editor.isActive('code'),
+    link: editor.isActive('link'),
+    bulletList: editor.isActive('bulletList'),
+    orderedList: editor.isActive('orderedList'),
+    taskList: editor.isActive('taskList'),
+    taskItem: editor.isActive('taskItem'),
+    taskDue: editor.getAttributes('taskItem').due || '',
+    taskAssignee: editor.getAttributes('taskItem').assignee || '',
+    blockquote: editor.isActive('blockquote'),
+    table: editor.isActive('table'),
+    fontSize: (editor.getAttributes('textStyle').fontSize || '').replace('px', ''),
+    align: ['center', 'right'].find(a => editor.isActive({ textAlign: a })) || 'left'
+  }
+}
+
+function FormatButton({ active, title, onClick, disabled, children }) {
+  return (
+    <button
+      className={`toolbar-btn ${active ? 'active' : ''}`}
+      onMouseDown={e => e.preventDefault()}
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+    >
+      {children}
+    </button>
+  )
+}
+
+function FormatControls({ editor }) {
+  const state = useEditorState({ editor, selector: formatState })
+  const fileInputRef = useRef(null)
+  if (!editor || !state) return null
+  const chain = () => editor.chain().focus()
+
+  const setBlockType = value => {
+    if (value === 'paragraph') chain().setParagraph().run()
+    else if (value === 'codeBlock') chain().setCodeBlock().run()
+    else chain().setHeading({ level: Number(value.slice(1)) }).run()
+  }
+
+  const editLink = () => {
+    const current = editor.getAttributes('link').href || ''
+    const href = prompt('Link address (leave empty to remove the link):', current)
+    if (href === null) return
+    if (!href.trim()) chain().extendMarkRange('link').unsetLink().run()
+    else chain().extendMarkRange('link').setLink({ href: href.trim() }).run()
+  }
+
+  // A due date is 'YYYY-MM-DD' with an optional ' HH:MM'; clearing the date clears the time too
+  const [dueDate, dueClock = ''] = state.taskDue.split(' ')
+  const setDue = (date, clock) => {
+    chain().updateAttributes('taskItem', { due: date ? (clock ? `${date} ${clock}` : date) : null }).run()
+  }
+
+  const editAssignee = () => {
+    const assignee = prompt('Assign this item to (leave empty to unassign):', state.taskAssignee)
+    if (assignee === null) return
+    chain().updateAttributes('taskItem', { assignee: assignee.trim() || null }).run()
+  }
+
+  const attachFiles = e => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length) insertAttachments(editor, files)
+  }
+
+  return (
+    <>
+      <div className="toolbar-group">
+        <FormatButton title="Undo (Ctrl+Z)" disabled={!state.canUndo} onClick={() => chain().undo().run()}><FaUndo /></FormatButton>
+        <FormatButton title="Redo (Ctrl+Shift+Z)" disabled={!state.canRedo} onClick={() => chain().redo().run()}><FaRedo /></FormatButton>
+      </div>
+
+      <div className="toolbar-group">
+        <select className="toolbar-select" value={state.blockType} onChange={e => setBlockType(e.target.value)} title="Text style">
+          {BLOCK_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+        {state.blockType === 'codeBlock' && (
+          <select
+            className="toolbar-select"
+            value={state.codeLanguage}
+            onChange={e => chain().updateAttributes('codeBlock', { language: e.target.value || null }).run()}
+            title="Code language"
+          >
+            <option value="">Auto-detect</option>
+            {CODE_LANGUAGES.map(l => <option key={l} value={l}>{l}</option>)}
+          </select>
+        )}
+        <select
+          className="toolbar-select"
+          value={state.fontSize}
+          onChange={e => e.target.value ? chain().setFontSize(`${e.target.value}px`).run() : chain().unsetFontSize().run()}
+          title="Font Size"
+        >
+          <option value="">Size</option>
+          {!FONT_SIZES.includes(state.fontSize) && state.fontSize && <option value={state.fontSize}>{state.fontSize}px</option>}
+          {FONT_SIZES.map(size => <option key={size} value={size}>{size}px</option>)}
+        </select>
+      </div>
+
+      <div className="toolbar-group">
+        <FormatButton title="Bold (Ctrl+B)" active={state.bold} onClick={() => chain().toggleBold().run()}><b>B</b></FormatButton>
+        <FormatButton title="Italic (Ctrl+I)" active={state.italic} onClick={() => chain().toggleItalic().run()}><i>I</i></FormatButton>
+        <FormatButton title="Underline (Ctrl+U)" active={state.underline} onClick={() => chain().toggleUnderline().run()}><u>U</u></FormatButton>
+        <FormatButton title="Strikethrough" active={state.strike} onClick={() => chain().toggleStrike().run()}><FaStrikethrough /></FormatButton>
+        <FormatButton title="Inline code" active={state.code} onClick={() => chain().toggleCode().run()}><FaCode /></FormatButton>
+        <FormatButton title="Link" active={state.link} onClick={editLink}><FaLink /></FormatButton>
+        <FormatButton title="Attach image or file (or paste / drop it into the note)" onClick={() => fileInputRef.current?.click()}><FaPaperclip /></FormatButton>
+        <input type="file" multiple onChange={attachFiles} style={{ display: 'none' }} ref={fileInputRef} />
+      </div>
+
+      <div className="toolbar-group">
+        <FormatButton title="Bulleted list" active={state.bulletList} onClick={() => chain().toggleBulletList().run()}><FaListUl /></FormatButton>
+        <FormatButton title="Numbered list" active={state.orderedList} onClick={() => chain().toggleOrderedList().run()}><FaListOl /></FormatButton>
+        <FormatButton title="Checklist" active={state.taskList} onClick={() => chain().toggleTaskList().run()}><FaTasks /></FormatButton>
+        <FormatButton title="Quote" active={state.blockquote} onClick={() => chain().toggleBlockquote().run()}><FaQuoteRight /></FormatButton>
+      </div>
+
+      {state.taskItem && (
+        <div className="toolbar-group">
+          <input
+            type="date"
+            className="toolbar-select"
+            value={dueDate}
+            onChange={e => setDue(e.target.value, dueClock)}
+            title="Due date"
+          />
+          {dueDate && (
+            <input
+              type="time"
+              className="toolbar-select"
+              value={dueClock}
+              onChange={e => setDue(dueDate, e.target.value)}
+              title="Due time (optional)"
+            />
+          )}
+          <FormatButton title={state.taskAssignee ? `Assigned to ${state.taskAssignee}` : 'Assign'} active={!!state.taskAssignee} onClick={editAssignee}><FaUser /></FormatButton>
+        </div>
+      )}
+
+      <div className="toolbar-group">
+        <FormatButton
+          title="Insert table"
+          active={state.table}
+          onClick={() => chain().insertTable({ rows: 3, cols: 3, withHeaderRow: true }).run()}
+          disabled={state.table}
+        >
+          <FaTable />
+        </FormatButton>
+        {state.table && (
+          <>
+            <FormatButton title="Add row below" onClick={() => chain().addRowAfter().run()}>+Row</FormatButton>
+            <FormatButton title="Add column right" onClick={() => chain().addColumnAfter().run()}>+Col</FormatButton>
+            <FormatButton title="Delete row" onClick={() => chain().deleteRow().run()}>−Row</FormatButton>
+            <FormatButton title="Delete column" onClick={() => chain().deleteColumn().run()}>−Col</FormatButton>
+            <FormatButton title="Delete table" onClick={() => chain().deleteTable().run()}>✕</FormatButton>
+          </>
+        )}
+      </div>
+
+      <div className="toolbar-group">
+        <FormatButton title="Align Left" active={state.align === 'left'} onClick={() => chain().setTextAlign('left').run()}><FaAlignLeft /></FormatButton>
+        <FormatButton title="Align Center" active={state.align === 'center'} onClick={() => chain().setTextAlign('center').run()}><FaAlignCenter /></FormatButton>
+        <FormatButton title="Align Right" active={state.align === 'right'} onClick={() => chain().setTextAlign('right').run()}><FaAlignRight /></FormatButton>
+      </div>
+    </>
+  )
+}
+
+export default FormatControls
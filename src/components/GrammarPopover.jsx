@@ -0,0 +1,59 @@
+import { useEffect, useRef } from 'react'
+import { isSpellingMatch } from '../lib/grammar.js'
+
+const MAX_SUGGESTIONS = 6
+
+// Floating menu for one grammar mark, anchored below the clicked span
+function GrammarPopover({ match, anchor, sameRuleCount, onApply, onIgnoreOnce, onIgnoreRule, onFixAll, onClose }) {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const onPointerDown = e => {
+      if (ref.current && !ref.current.contains(e.target) && !e.target.closest?.('.grammar-error')) onClose()
+    }
+    const onKeyDown = e => { if (e.key === 'Escape') onClose() }
+    document.addEventListener('mousedown', onPointerDown)
+    document.addEventListener('keydown', onKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', onPointerDown)
+      document.removeEventListener('keydown', onKeyDown)
+    }
+  }, [onClose])
+
+  const suggestions = (match.replacements || []).slice(0, MAX_SUGGESTIONS).map(r => r.value)
+  const style = {
+    top: anchor.bottom + 6,
+    left: Math.max(8, Math.min(anchor.left, window.innerWidth - 320))
+  }
+
+  return (
+    <div className="grammar-popover" style={style} ref={ref} role="dialog">
+      <div className="grammar-message">{match.message}</div>
+      {match.rule?.description && match.rule.description !== match.message && (
+        <div className="grammar-hint">{match.rule.description}</div>
+      )}
+      {suggestions.length > 0 ? (
+        <div className="grammar-suggestions">
+          {suggestions.map((value, i) => (
+            <button key={i} className="grammar-suggestion" onClick={() => onApply(value)}>
+              {value || <em>(remove)</em>}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="grammar-hint">No suggestions.</div>
+      )}
+      <div className="grammar-popover-actions">
+        <button className="import-btn" onClick={onIgnoreOnce}>Ignore once</button>
+        <button className="import-btn" onClick={onIgnoreRule}>
+          {isSpellingMatch(match) ? 'Add to dictionary' : 'Ignore rule'}
+        </button>
+        {sameRuleCount > 1 && suggestions.length > 0 && (
+          <button className="export-btn" onClick={onFixAll}>Fix all {sameRuleCount}</button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default GrammarPopover
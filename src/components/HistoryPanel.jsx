@@ -0,0 +1,110 @@
+import { useEffect, useMemo, useState } from 'react'
+import { FaHistory, FaTimes, FaUndo } from 'react-icons/fa'
+import { listSnapshots } from '../lib/db.js'
+import { onHistoryChange } from '../lib/history.js'
+import { diffWords } from '../lib/diff.js'
+
+const REASON_LABELS = {
+  edit: 'Edits',
+  glossary: 'Before glossary',
+  grammar: 'Before grammar check',
+  restore: 'Before restore'
+}
+
+const CURRENT = 'current'
+
+function formatTime(ts) {
+  return new Date(ts).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+function HistoryPanel({ note, onRestore, onClose }) {
+  const [snapshots, setSnapshots] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [compareId, setCompareId] = useState(CURRENT)
+
+  useEffect(() => {
+    let cancelled = false
+    const load = () => listSnapshots(note.id).then(list => { if (!cancelled) setSnapshots(list) })
+    load()
+    const unsubscribe = onHistoryChange(noteId => { if (noteId === note.id) load() })
+    return () => { cancelled = true; unsubscribe() }
+  }, [note.id])
+
+  useEffect(() => {
+    setSelectedId(null)
+    setCompareId(CURRENT)
+  }, [note.id])
+
+  const selected = snapshots.find(s => s.id === selectedId) || null
+  const compared = compareId === CURRENT ? null : snapshots.find(s => s.id === compareId) || null
+
+  // Older version on the left so additions read as what changed since then
+  const diff = useMemo(() => {
+    if (!selected) return null
+    const target = compared || note
+    const [before, after] = compared && compared.createdAt < selected.createdAt ? [compared, selected] : [selected, target]
+    return {
+      title: before.title !== after.title ? diffWords(before.title || 'Untitled', after.title || 'Untitled') : null,
+      body: diffWords(before.text, after.text)
+    }
+  }, [selected, compared, note])
+
+  return (
+    <aside className="history-panel slide-in">
+      <div className="history-header">
+        <h3><FaHistory /> History</h3>
+        <button className="action-btn" onClick={onClose} title="Close history"><FaTimes /></button>
+      </div>
+
+      {note.encrypted ? (
+        <p className="history-empty">History is not kept for encrypted notes.</p>
+      ) : snapshots.length === 0 ? (
+        <p className="history-empty">No versions yet. Snapshots are taken automatically as you write.</p>
+      ) : (
+        <div className="history-list">
+          {snapshots.map(s => (
+            <button
+              key={s.id}
+              className={`history-item ${s.id === selectedId ? 'active' : ''}`}
+              onClick={() => setSelectedId(s.id)}
+            >
+              <span className="history-time">{formatTime(s.createdAt)}</span>
+              <span className="history-reason">
+                {REASON_LABELS[s.reason] || s.reason} • {(s.text.match(/\S+/g) || []).length} words
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="history-detail">
+          <div className="history-compare">
+            <label>Compare with</label>
+            <select className="toolbar-select" value={compareId} onChange={e => setCompareId(e.target.value === CURRENT ? CURRENT : Number(e.target.value))}>
+              <option value={CURRENT}>Current version</option>
+              {snapshots.filter(s => s.id !== selected.id).map(s => (
+                <option key={s.id} value={s.id}>{formatTime(s.createdAt)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="history-diff">
+            {diff.title && (
+              <div className="history-diff-title">
+                {diff.title.map((part, i) => <span key={i} className={`diff-${part.type}`}>{part.text}</span>)}
+              </div>
+            )}
+            {diff.body.length === 0 || diff.body.every(p => p.type === 'same')
+              ? <em className="history-empty">No text changes.</em>
+              : diff.body.map((part, i) => <span key={i} className={`diff-${part.type}`}>{part.text}</span>)}
+          </div>
+          <button className="export-btn history-restore" onClick={() => onRestore(selected)}>
+            <FaUndo /> Restore this version
+          </button>
+        </div>
+      )}
+    </aside>
+  )
+}
+
+export default HistoryPanel
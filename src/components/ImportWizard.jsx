@@ -0,0 +1,99 @@
+import { useMemo, useState } from 'react'
+import { FaFileImport, FaTimes } from 'react-icons/fa'
+import { defaultChoice } from '../lib/backup.js'
+
+const STATUS_LABELS = {
+  new: 'New',
+  identical: 'Identical',
+  newer: 'Newer than mine',
+  older: 'Older than mine'
+}
+
+const CHOICES = [
+  { value: 'mine', label: 'Keep mine' },
+  { value: 'theirs', label: 'Take theirs' },
+  { value: 'both', label: 'Keep both' }
+]
+
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—'
+}
+
+// Preview of an import: what is new, what already exists, and which copy to keep for each
+function ImportWizard({ source, plan, errors, notebookCount, attachmentCount = 0, templateCount = 0, onImport, onClose }) {
+  const [choices, setChoices] = useState(() => Object.fromEntries(plan.map(e => [e.note.id, defaultChoice(e.status)])))
+  const counts = useMemo(() => {
+    const byStatus = { new: 0, identical: 0, newer: 0, older: 0 }
+    plan.forEach(e => { byStatus[e.status]++ })
+    return byStatus
+  }, [plan])
+  const existing = plan.filter(e => e.status !== 'new')
+
+  const chooseAll = choice => setChoices(prev => ({ ...prev, ...Object.fromEntries(existing.map(e => [e.note.id, choice])) }))
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide import-wizard" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaFileImport /> Import {source}</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          {plan.length} note{plan.length === 1 ? '' : 's'} found: {counts.new} new, {counts.identical} identical,
+          {' '}{counts.newer} newer and {counts.older} older than the copy here.
+          {notebookCount > 0 && ` ${notebookCount} notebook${notebookCount === 1 ? '' : 's'} will be added if missing.`}
+          {attachmentCount > 0 && ` ${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'} included.`}
+          {templateCount > 0 && ` ${templateCount} template${templateCount === 1 ? '' : 's'} will be added if missing.`}
+        </p>
+
+        {errors.length > 0 && (
+          <div className="modal-error">
+            {errors.length} record{errors.length === 1 ? ' was' : 's were'} skipped:
+            <ul className="import-errors">
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {existing.length > 0 && (
+          <div className="import-bulk">
+            <span>For all existing notes:</span>
+            {CHOICES.map(c => (
+              <button key={c.value} className="import-btn" onClick={() => chooseAll(c.value)}>{c.label}</button>
+            ))}
+          </div>
+        )}
+
+        <ul className="import-list">
+          {plan.map(entry => (
+            <li key={entry.note.id} className={`import-row ${entry.status}`}>
+              <div className="import-row-info">
+                <strong>{entry.note.title || 'Untitled'}</strong>
+                <span className={`import-status ${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+                {entry.local && entry.status !== 'identical' && (
+                  <span className="import-times">Theirs {formatTime(entry.note.updatedAt)} · mine {formatTime(entry.local.updatedAt)}</span>
+                )}
+              </div>
+              {entry.status !== 'new' && (
+                <select
+                  className="toolbar-select"
+                  value={choices[entry.note.id]}
+                  onChange={e => setChoices(prev => ({ ...prev, [entry.note.id]: e.target.value }))}
+                >
+                  {CHOICES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                </select>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="modal-actions">
+          <button className="import-btn" onClick={onClose}>Cancel</button>
+          <button className="export-btn" onClick={() => onImport(choices)} disabled={!plan.length}>Import</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportWizard
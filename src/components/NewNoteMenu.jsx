@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from 'react'
+
+// A "New" button that asks what to start from: a blank note or one of the templates
+function NewNoteMenu({ templates, onCreate, onManage, className, children }) {
+  const [open, setOpen] = useState(false)
+  const [active, setActive] = useState(0)
+  const ref = useRef(null)
+  const options = [
+    { key: 'blank', label: 'Blank note', run: () => onCreate(null) },
+    ...templates.map(t => ({ key: t.id, label: t.name || 'Untitled template', run: () => onCreate(t) })),
+    { key: 'manage', label: 'Manage templates…', run: onManage, className: 'create' }
+  ]
+
+  useEffect(() => {
+    if (!open) return
+    const onPointerDown = e => { if (!ref.current?.contains(e.target)) setOpen(false) }
+    document.addEventListener('mousedown', onPointerDown)
+    return () => document.removeEventListener('mousedown', onPointerDown)
+  }, [open])
+
+  const choose = option => {
+    setOpen(false)
+    option.run()
+  }
+
+  const onKeyDown = e => {
+    if (!open) return
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActive(i => (i + step + options.length) % options.length)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      choose(options[active])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      setOpen(false)
+    }
+  }
+
+  return (
+    <div className="new-note-menu" ref={ref} onKeyDown={onKeyDown}>
+      <button
+        className={className}
+        onClick={() => { setActive(0); setOpen(o => !o) }}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {children}
+      </button>
+      {open && (
+        <div className="note-link-menu template-menu" role="menu">
+          {options.map((option, i) => (
+            <button
+              key={option.key}
+              role="menuitem"
+              className={`note-link-option ${option.className || ''} ${i === active ? 'active' : ''}`}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => choose(option)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NewNoteMenu
@@ -0,0 +1,83 @@
+import { useMemo, useState } from 'react'
+import { FaProjectDiagram, FaTimes } from 'react-icons/fa'
+import { buildGraph, layoutGraph } from '../lib/graph.js'
+
+const WIDTH = 800
+const HEIGHT = 520
+
+const EDGE_LABELS = { link: 'Link', tag: 'Shared tags', glossary: 'Shared glossary terms' }
+
+// How the notes connect: [[links]], plus optional edges for shared tags and glossary terms
+function NoteGraph({ notes, activeId, onOpen, onClose }) {
+  const [showTags, setShowTags] = useState(false)
+  const [showGlossary, setShowGlossary] = useState(false)
+  const [hideUnlinked, setHideUnlinked] = useState(false)
+
+  const graph = useMemo(() => {
+    const full = buildGraph(notes, { tags: showTags, glossary: showGlossary })
+    return hideUnlinked ? { ...full, nodes: full.nodes.filter(n => n.degree > 0) } : full
+  }, [notes, showTags, showGlossary, hideUnlinked])
+  const positions = useMemo(() => layoutGraph(graph, { width: WIDTH, height: HEIGHT }), [graph])
+  const linkCount = graph.edges.filter(e => e.kind === 'link').length
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide note-graph" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaProjectDiagram /> Note graph</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          {graph.nodes.length} note{graph.nodes.length === 1 ? '' : 's'}, {linkCount} link{linkCount === 1 ? '' : 's'}.
+          Type [[ in a note to link another one. Click a note to open it.
+        </p>
+        <div className="note-graph-options">
+          <label className="checkbox-row">
+            <input type="checkbox" checked={showTags} onChange={e => setShowTags(e.target.checked)} />
+            <span>Shared tags</span>
+          </label>
+          <label className="checkbox-row">
+            <input type="checkbox" checked={showGlossary} onChange={e => setShowGlossary(e.target.checked)} />
+            <span>Shared glossary terms</span>
+          </label>
+          <label className="checkbox-row">
+            <input type="checkbox" checked={hideUnlinked} onChange={e => setHideUnlinked(e.target.checked)} />
+            <span>Hide unconnected notes</span>
+          </label>
+        </div>
+
+        {graph.nodes.length ? (
+          <svg className="note-graph-canvas" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Graph of linked notes">
+            {graph.edges.map(edge => {
+              const from = positions.get(edge.from)
+              const to = positions.get(edge.to)
+              if (!from || !to) return null
+              return (
+                <line key={`${edge.kind}:${edge.from}:${edge.to}`} className={`note-graph-edge ${edge.kind}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y}>
+                  <title>{edge.labels ? `${EDGE_LABELS[edge.kind]}: ${edge.labels.join(', ')}` : EDGE_LABELS[edge.kind]}</title>
+                </line>
+              )
+            })}
+            {graph.nodes.map(node => {
+              const at = positions.get(node.id)
+              return (
+                <g
+                  key={node.id}
+                  className={`note-graph-node ${node.id === activeId ? 'active' : ''}`}
+                  transform={`translate(${at.x}, ${at.y})`}
+                  onClick={() => onOpen(node.id)}
+                >
+                  <circle r={5 + Math.min(node.degree, 10)} />
+                  <text y={-10 - Math.min(node.degree, 10)}>{node.title.length > 28 ? `${node.title.slice(0, 27)}…` : node.title}</text>
+                  <title>{node.title}</title>
+                </g>
+              )
+            })}
+          </svg>
+        ) : <p className="history-empty">No notes to show.</p>}
+      </div>
+    </div>
+  )
+}
+
+export default NoteGraph
@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import { FaBook, FaChevronDown, FaChevronRight, FaFolderPlus, FaInbox, FaPen, FaTrash } from 'react-icons/fa'
+import { childrenByParent } from '../lib/notebooks.js'
+
+export const NOTE_DRAG_TYPE = 'application/x-playpower-note'
+const NOTEBOOK_DRAG_TYPE = 'application/x-playpower-notebook'
+
+// Sidebar tree of notebooks. Notes (and notebooks) can be dropped onto a notebook to move them.
+function NotebookTree({ notebooks, counts, selectedId, onSelect, onCreate, onRename, onDelete, onMoveNote, onMoveNotebook }) {
+  const [collapsed, setCollapsed] = useState(() => new Set())
+  const [dropTarget, setDropTarget] = useState(undefined)
+  const children = childrenByParent(notebooks)
+
+  const toggle = (id) => setCollapsed(prev => {
+    const next = new Set(prev)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    return next
+  })
+
+  const dropProps = (id) => ({
+    onDragOver: (e) => {
+      const types = Array.from(e.dataTransfer.types)
+      if (!types.includes(NOTE_DRAG_TYPE) && !types.includes(NOTEBOOK_DRAG_TYPE)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      setDropTarget(id)
+    },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      e.preventDefault()
+      setDropTarget(undefined)
+      const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE)
+      const notebookId = e.dataTransfer.getData(NOTEBOOK_DRAG_TYPE)
+      if (noteId) onMoveNote(noteId, id)
+      else if (notebookId && notebookId !== id) onMoveNotebook(notebookId, id)
+    }
+  })
+
+  const renderNode = (nb, depth) => {
+    const kids = children.get(nb.id) || []
+    const isCollapsed = collapsed.has(nb.id)
+    return (
+      <li key={nb.id}>
+        <div
+          className={`notebook-row ${selectedId === nb.id ? 'active' : ''} ${dropTarget === nb.id ? 'drop-target' : ''}`}
+          style={{ paddingLeft: `${0.5 + depth * 0.875}rem` }}
+          onClick={() => onSelect(nb.id)}
+          draggable
+          onDragStart={e => e.dataTransfer.setData(NOTEBOOK_DRAG_TYPE, nb.id)}
+          {...dropProps(nb.id)}
+        >
+          <button
+            className="notebook-toggle"
+            onClick={e => { e.stopPropagation(); toggle(nb.id) }}
+            style={{ visibility: kids.length ? 'visible' : 'hidden' }}
+          >
+            {isCollapsed ? <FaChevronRight /> : <FaChevronDown />}
+          </button>
+          <FaBook className="notebook-icon" />
+          <span className="notebook-name">{nb.name}</span>
+          <span className="notebook-count">{counts.get(nb.id) || 0}</span>
+          <div className="notebook-actions" onClick={e => e.stopPropagation()}>
+            <button title="New notebook inside" onClick={() => onCreate(nb.id)}><FaFolderPlus /></button>
+            <button title="Rename" onClick={() => onRename(nb.id)}><FaPen /></button>
+            <button title="Delete notebook" onClick={() => onDelete(nb.id)}><FaTrash /></button>
+          </div>
+        </div>
+        {!isCollapsed && kids.length > 0 && (
+          <ul>{kids.map(kid => renderNode(kid, depth + 1))}</ul>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <div className="notebook-tree">
+      <div className="notebook-tree-header">
+        <span>Notebooks</span>
+        <button className="action-btn" title="New notebook" onClick={() => onCreate(null)}><FaFolderPlus /></button>
+      </div>
+      <ul>
+        <li>
+          <div
+            className={`notebook-row ${selectedId === null ? 'active' : ''} ${dropTarget === null ? 'drop-target' : ''}`}
+            onClick={() => onSelect(null)}
+            {...dropProps(null)}
+          >
+            <FaInbox className="notebook-icon" />
+            <span className="notebook-name">All notes</span>
+            <span className="notebook-count">{counts.get('all') || 0}</span>
+          </div>
+        </li>
+        {(children.get(null) || []).map(nb => renderNode(nb, 0))}
+      </ul>
+    </div>
+  )
+}
+
+export default NotebookTree
@@ -0,0 +1,39 @@
+import { useState } from 'react'
+import { FaBolt } from 'react-icons/fa'
+
+// One line in, one new note out; the open note stays open
+function QuickCapture({ onCapture, onClose }) {
+  const [text, setText] = useState('')
+
+  const onKeyDown = e => {
+    if (e.key === 'Enter' && text.trim()) {
+      e.preventDefault()
+      onCapture(text.trim())
+      onClose()
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    }
+  }
+
+  return (
+    <div className="modal-backdrop command-palette-backdrop" onClick={onClose}>
+      <div className="modal command-palette quick-capture" onClick={e => e.stopPropagation()} role="dialog" aria-label="Quick capture">
+        <div className="search-container">
+          <FaBolt className="search-icon" />
+          <input
+            className="search-input"
+            placeholder="Jot something down and press Enter…"
+            value={text}
+            onChange={e => setText(e.target.value)}
+            onKeyDown={onKeyDown}
+            autoFocus
+          />
+        </div>
+        <p className="modal-hint">Saved as a new note in the current notebook. Esc to cancel.</p>
+      </div>
+    </div>
+  )
+}
+
+export default QuickCapture
@@ -0,0 +1,32 @@
+import { FaLightbulb } from 'react-icons/fa'
+
+const ENGINE_LABELS = { embeddings: 'by meaning', local: 'by shared words' }
+
+// Notes about the same things as the open note. `related` is { results, engine, loading }.
+function RelatedNotes({ related, onOpen }) {
+  const { results = [], engine, loading } = related || {}
+  return (
+    <div className="backlinks related-notes">
+      <h3>
+        <FaLightbulb /> Related notes
+        {engine && <span className="related-engine">{ENGINE_LABELS[engine]}</span>}
+      </h3>
+      {results.length ? (
+        <ul className="backlinks-list">
+          {results.map(({ note, score }) => (
+            <li key={note.id}>
+              <button className="backlink" onClick={() => onOpen(note.id)} title={`${Math.round(score * 100)}% similar`}>
+                <strong>{note.title || 'Untitled'}</strong>
+                {note.summary && <span>{note.summary}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="history-empty">{loading ? 'Looking for related notes…' : 'Nothing similar yet.'}</p>
+      )}
+    </div>
+  )
+}
+
+export default RelatedNotes
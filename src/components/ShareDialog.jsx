@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { FaLink, FaTimes } from 'react-icons/fa'
+import { createShareLink } from '../lib/share.js'
+
+function ShareDialog({ note, onClose }) {
+  const [password, setPassword] = useState('')
+  const [link, setLink] = useState('')
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(false)
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const generate = async () => {
+    setIsProcessing(true)
+    setError('')
+    setCopied(false)
+    try {
+      setLink(await createShareLink(note, password))
+    } catch (e) {
+      setError(e.message || 'Could not create share link.')
+    }
+    setIsProcessing(false)
+  }
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link)
+      setCopied(true)
+    } catch {
+      setError('Copy failed. Select the link and copy it manually.')
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaLink /> Share “{note.title || 'Untitled'}”</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          The note is packed into the link itself. Anyone with the link can open it
+          {password ? ' once they enter the password.' : '.'}
+        </p>
+        <div className="modal-field">
+          <label>Password (optional)</label>
+          <input
+            type="password"
+            placeholder="Leave empty for an open link"
+            value={password}
+            onChange={e => { setPassword(e.target.value); setLink('') }}
+          />
+        </div>
+        {error && <div className="modal-error">{error}</div>}
+        {link ? (
+          <div className="modal-field">
+            <label>Share link</label>
+            <div className="share-link-row">
+              <input readOnly value={link} onFocus={e => e.target.select()} />
+              <button className="export-btn" onClick={copy}>{copied ? 'Copied!' : 'Copy'}</button>
+            </div>
+          </div>
+        ) : (
+          <div className="modal-actions">
+            <button className="export-btn" onClick={generate} disabled={isProcessing || note.encrypted}>
+              {isProcessing ? 'Creating…' : 'Create link'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ShareDialog
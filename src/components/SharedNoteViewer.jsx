@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react'
+import { FaLock, FaFileImport, FaTimes } from 'react-icons/fa'
+import { openSharedNote } from '../lib/share.js'
+
+// Read-only view of a note opened from a share link; openSharedNote has already sanitized its html
+function SharedNoteViewer({ shared, onImport, onClose }) {
+  const [note, setNote] = useState(null)
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setNote(null)
+    setError('')
+    if (shared.encrypted) return
+    openSharedNote(shared).then(setNote, e => setError(e.message || 'Invalid share link.'))
+  }, [shared])
+
+  const unlock = async (e) => {
+    e.preventDefault()
+    setError('')
+    try {
+      setNote(await openSharedNote(shared, password))
+    } catch {
+      setError('Incorrect password or corrupted link.')
+    }
+  }
+
+  return (
+    <div className="shared-viewer">
+      <div className="shared-viewer-bar">
+        <span className="shared-viewer-label">Shared note (read-only)</span>
+        <div className="data-controls">
+          {note && (
+            <button className="export-btn" onClick={() => onImport(note)}>
+              <FaFileImport /> Import into my notes
+            </button>
+          )}
+          <button className="import-btn" onClick={onClose}>
+            <FaTimes /> Close
+          </button>
+        </div>
+      </div>
+
+      {!note && shared.encrypted && (
+        <form className="shared-unlock" onSubmit={unlock}>
+          <FaLock size={32} />
+          <p>This note is password protected.</p>
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            autoFocus
+          />
+          <button className="export-btn" type="submit" disabled={!password}>Unlock</button>
+        </form>
+      )}
+
+      {error && <div className="modal-error">{error}</div>}
+
+      {note && (
+        <div className="editor">
+          <div className="title-input shared-title">{note.title || 'Untitled'}</div>
+          {(note.summary || note.tags.length > 0) && (
+            <div className="shared-meta">
+              {note.summary && <div className="note-meta">{note.summary}</div>}
+              {note.tags.length > 0 && (
+                <div className="note-tags">
+                  {note.tags.map((tag, i) => <span key={i} className="tag">{tag}</span>)}
+                </div>
+              )}
+            </div>
+          )}
+          <div className="editor-area" dangerouslySetInnerHTML={{ __html: note.html }} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SharedNoteViewer
@@ -0,0 +1,40 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { act } from 'react'
+import { createRoot } from 'react-dom/client'
+import SharedNoteViewer from './SharedNoteViewer.jsx'
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true
+
+let root = null
+let container = null
+
+async function render(element) {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  await act(async () => root.render(element))
+}
+
+afterEach(() => {
+  act(() => root.unmount())
+  container.remove()
+})
+
+describe('SharedNoteViewer', () => {
+  it('shows a link with fields of the wrong type instead of crashing', async () => {
+    const shared = { encrypted: false, data: { v: 1, title: {}, html: '<p>body</p>', tags: [{}], summary: {} } }
+    await render(<SharedNoteViewer shared={shared} onImport={() => {}} onClose={() => {}} />)
+    expect(container.querySelector('.shared-title').textContent).toBe('Untitled')
+    expect(container.querySelector('.editor-area').innerHTML).toBe('<p>body</p>')
+  })
+
+  it('renders a shared note without anything that runs', async () => {
+    const shared = {
+      encrypted: false,
+      data: { v: 1, title: 'Hi', html: '<p onclick="alert(1)">text</p><img src=x onerror=alert(2)><svg onload=alert(3)></svg><script>alert(4)</script>', tags: [], summary: '' }
+    }
+    await render(<SharedNoteViewer shared={shared} onImport={() => {}} onClose={() => {}} />)
+    const area = container.querySelector('.editor-area')
+    expect(area.innerHTML).toBe('<p>text</p>')
+  })
+})
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react'
+import { FaKeyboard, FaTimes, FaUndo } from 'react-icons/fa'
+import { DEFAULT_SHORTCUTS, RESERVED_SHORTCUTS, eventShortcut, formatShortcut, shortcutConflicts } from '../lib/commands.js'
+
+// Rebinding keys: click a shortcut, then press the new combination (Esc cancels, Backspace unbinds)
+function ShortcutSettings({ commands, shortcuts, onChange, onClose }) {
+  const [filter, setFilter] = useState('')
+  const [recording, setRecording] = useState(null)
+  const conflicts = shortcutConflicts(shortcuts)
+  const labels = new Map(commands.map(c => [c.id, c.label]))
+  const q = filter.trim().toLowerCase()
+  const visible = commands.filter(c => !q || `${c.group} ${c.label}`.toLowerCase().includes(q) ||
+    formatShortcut(shortcuts[c.id]).toLowerCase().includes(q))
+
+  // Captured before anything else sees the keys, so the combination being recorded doesn't also run
+  useEffect(() => {
+    if (!recording) return
+    const onKeyDown = e => {
+      e.preventDefault()
+      e.stopPropagation()
+      if (e.key === 'Escape') return setRecording(null)
+      if (e.key === 'Backspace' || e.key === 'Delete') {
+        onChange({ ...shortcuts, [recording]: '' })
+        return setRecording(null)
+      }
+      const shortcut = eventShortcut(e)
+      if (!shortcut) return
+      onChange({ ...shortcuts, [recording]: shortcut })
+      setRecording(null)
+    }
+    window.addEventListener('keydown', onKeyDown, true)
+    return () => window.removeEventListener('keydown', onKeyDown, true)
+  }, [recording, shortcuts, onChange])
+
+  const reset = id => onChange({ ...shortcuts, [id]: DEFAULT_SHORTCUTS[id] || '' })
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide shortcut-settings" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaKeyboard /> Keyboard shortcuts</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          Click a shortcut and press the keys you want. Use Ctrl, Alt or a function key so it doesn't get in the way
+          of typing. Esc cancels, Backspace removes the shortcut.
+        </p>
+        <input
+          className="search-input shortcut-filter"
+          placeholder="Filter commands…"
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+        />
+        <ul className="shortcut-list">
+          {visible.map(command => {
+            const shortcut = shortcuts[command.id] || ''
+            const clash = (conflicts.get(shortcut) || []).filter(id => id !== command.id)
+            const changed = shortcut !== (DEFAULT_SHORTCUTS[command.id] || '')
+            return (
+              <li key={command.id} className={clash.length ? 'conflict' : ''}>
+                <div className="shortcut-command">
+                  <span className="command-group">{command.group}</span> {command.label}
+                  {clash.length > 0 && (
+                    <div className="shortcut-warning">Also used by {clash.map(id => labels.get(id) || id).join(', ')}</div>
+                  )}
+                  {RESERVED_SHORTCUTS.has(shortcut) && (
+                    <div className="shortcut-warning">The browser keeps this shortcut for itself</div>
+                  )}
+                </div>
+                <button
+                  className={`shortcut-key ${recording === command.id ? 'recording' : ''}`}
+                  onClick={() => setRecording(recording === command.id ? null : command.id)}
+                >
+                  {recording === command.id ? 'Press keys…' : shortcut ? <kbd>{formatShortcut(shortcut)}</kbd> : 'Not set'}
+                </button>
+                <button className="action-btn" onClick={() => reset(command.id)} disabled={!changed} title="Reset to default">
+                  <FaUndo />
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+        <div className="modal-actions">
+          <button className="import-btn" onClick={() => onChange({ ...DEFAULT_SHORTCUTS })}>Reset all</button>
+          <button className="export-btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ShortcutSettings
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { FaGlobe, FaTimes, FaLock, FaUnlock } from 'react-icons/fa'
+import { decryptString } from '../lib/crypto.js'
+import { sanitizeHtml } from '../lib/html.js'
+import { descendantIds } from '../lib/notebooks.js'
+
+// Picks the notes for "Export as website". Encrypted notes stay out unless they are unlocked
+// here; the unlocked text is only used for this export and never saved.
+function SiteExportDialog({ notes, notebooks, onExport, onClose }) {
+  const [selected, setSelected] = useState(() => new Set(notes.filter(n => !n.encrypted).map(n => n.id)))
+  const [unlocked, setUnlocked] = useState(() => new Map())
+  const [title, setTitle] = useState('PlayPower Notes')
+  const [busy, setBusy] = useState(false)
+
+  const canInclude = note => !note.encrypted || unlocked.has(note.id)
+  const available = notes.filter(canInclude)
+  const chosen = notes.filter(n => selected.has(n.id) && canInclude(n))
+
+  const toggle = id => setSelected(prev => {
+    const next = new Set(prev)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    return next
+  })
+
+  const selectNotebook = id => {
+    if (!id) return
+    const scope = descendantIds(notebooks, id)
+    setSelected(new Set(available.filter(n => scope.has(n.notebookId)).map(n => n.id)))
+  }
+
+  const unlock = async note => {
+    const password = prompt(`Password for “${note.title || 'Untitled'}”:`)
+    if (!password) return
+    try {
+      const html = sanitizeHtml(await decryptString(note.encryptedPayload, password))
+      setUnlocked(prev => new Map(prev).set(note.id, html))
+      setSelected(prev => new Set(prev).add(note.id))
+    } catch {
+      alert('Incorrect password or corrupted data.')
+    }
+  }
+
+  const exportSite = async () => {
+    setBusy(true)
+    try {
+      await onExport(chosen.map(n => n.encrypted ? { ...n, encrypted: false, encryptedPayload: null, html: unlocked.get(n.id) } : n), title.trim() || 'Notes')
+      onClose()
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide site-export" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaGlobe /> Export as website</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          Builds a zip of plain HTML pages: an index, a page per note and per tag, with links between the
+          exported notes. Open index.html or put the folder on any web host.
+        </p>
+
+        <div className="modal-field">
+          <label htmlFor="site-title">Site title</label>
+          <input id="site-title" value={title} onChange={e => setTitle(e.target.value)} />
+        </div>
+
+        <div className="import-bulk">
+          <span>Select:</span>
+          <button className="import-btn" onClick={() => setSelected(new Set(available.map(n => n.id)))}>All</button>
+          <button className="import-btn" onClick={() => setSelected(new Set())}>None</button>
+          {notebooks.length > 0 && (
+            <select className="toolbar-select" value="" onChange={e => selectNotebook(e.target.value)}>
+              <option value="">Notebook…</option>
+              {notebooks.map(nb => <option key={nb.id} value={nb.id}>{nb.name}</option>)}
+            </select>
+          )}
+        </div>
+
+        <ul className="import-list">
+          {notes.map(note => (
+            <li key={note.id} className="import-row">
+              <label className="checkbox-row import-row-info">
+                <input
+                  type="checkbox"
+                  checked={selected.has(note.id) && canInclude(note)}
+                  disabled={!canInclude(note)}
+                  onChange={() => toggle(note.id)}
+                />
+                <strong>{note.title || 'Untitled'}</strong>
+                {note.encrypted && !unlocked.has(note.id) && <span className="import-status older"><FaLock /> Encrypted</span>}
+              </label>
+              {note.encrypted && !unlocked.has(note.id) && (
+                <button className="import-btn" onClick={() => unlock(note)}><FaUnlock /> Unlock</button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="modal-actions">
+          <button className="import-btn" onClick={onClose}>Cancel</button>
+          <button className="export-btn" onClick={exportSite} disabled={!chosen.length || busy}>
+            {busy ? 'Exporting…' : `Export ${chosen.length} note${chosen.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SiteExportDialog
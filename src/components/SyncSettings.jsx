@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import { FaSyncAlt, FaTimes } from 'react-icons/fa'
+import { testSyncServer, pendingSyncCount } from '../lib/sync.js'
+
+const STATUS_LABELS = {
+  syncing: 'Syncing…',
+  synced: 'Up to date',
+  offline: 'Offline, changes are queued',
+  error: 'Sync failed'
+}
+
+function SyncSettings({ settings, status, onChange, onSyncNow, onClose }) {
+  const [draft, setDraft] = useState(settings)
+  const [testResult, setTestResult] = useState(null)
+  const pending = pendingSyncCount()
+  const complete = draft.url.trim() && draft.token.trim()
+  const dirty = draft.url !== settings.url || draft.token !== settings.token || draft.enabled !== settings.enabled
+
+  const runTest = async () => {
+    setTestResult({ pending: true })
+    setTestResult(await testSyncServer(draft))
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaSyncAlt /> Sync server</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          Keeps notes in step across devices through your own server (<code>npm run sync-server</code>).
+          Notes stay fully usable offline; changes upload when the server is reachable. Encrypted notes are sent as ciphertext.
+        </p>
+
+        <div className="modal-field">
+          <label>Server URL</label>
+          <input
+            type="url"
+            placeholder="http://localhost:8787"
+            value={draft.url}
+            onChange={e => setDraft({ ...draft, url: e.target.value })}
+          />
+        </div>
+        <div className="modal-field">
+          <label>Access token</label>
+          <input
+            type="password"
+            placeholder="From: npm run sync-server -- add-user <name>"
+            value={draft.token}
+            onChange={e => setDraft({ ...draft, token: e.target.value })}
+          />
+        </div>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            disabled={!complete}
+            onChange={e => setDraft({ ...draft, enabled: e.target.checked })}
+          />
+          <span>Sync notes with this server</span>
+        </label>
+
+        <div className="ai-test-row">
+          <button className="import-btn" onClick={runTest} disabled={!complete || testResult?.pending}>
+            {testResult?.pending ? 'Testing…' : 'Test connection'}
+          </button>
+          {testResult && !testResult.pending && (
+            <span className={testResult.ok ? 'ai-test-ok' : 'ai-test-fail'}>
+              {testResult.ok ? '✓' : '✗'} {testResult.message}
+            </span>
+          )}
+        </div>
+
+        {settings.enabled && (
+          <p className="modal-hint">
+            {STATUS_LABELS[status?.status] || 'Waiting for the first sync'}
+            {status?.message ? `: ${status.message}` : ''}
+            {pending > 0 && ` · ${pending} change${pending === 1 ? '' : 's'} waiting to upload`}
+          </p>
+        )}
+
+        <div className="modal-actions">
+          {settings.enabled && !dirty && (
+            <button className="import-btn" onClick={onSyncNow}>Sync now</button>
+          )}
+          <button
+            className="export-btn"
+            disabled={!dirty}
+            onClick={() => onChange({ ...draft, url: draft.url.trim(), token: draft.token.trim(), enabled: draft.enabled && !!complete })}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SyncSettings
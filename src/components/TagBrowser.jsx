@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { FaTags, FaPen, FaTrash, FaCompressArrowsAlt } from 'react-icons/fa'
+
+function TagBrowser({ tags, onFilter, onRename, onMerge, onDelete }) {
+  const [filter, setFilter] = useState('')
+  const [selected, setSelected] = useState(() => new Set())
+
+  const visible = tags.filter(t => t.tag.includes(filter.trim().toLowerCase()))
+  const selectedTags = tags.filter(t => selected.has(t.tag)).map(t => t.tag)
+
+  const toggle = (tag) => setSelected(prev => {
+    const next = new Set(prev)
+    if (next.has(tag)) next.delete(tag)
+    else next.add(tag)
+    return next
+  })
+
+  const merge = () => {
+    onMerge(selectedTags)
+    setSelected(new Set())
+  }
+
+  return (
+    <div className="notes-list">
+      <div className="notes-list-header">
+        <div className="search-container">
+          <FaTags className="search-icon" />
+          <input
+            className="search-input"
+            placeholder="Filter tags…"
+            value={filter}
+            onChange={e => setFilter(e.target.value)}
+          />
+        </div>
+        {selectedTags.length > 1 && (
+          <button className="import-btn tag-merge-btn" onClick={merge}>
+            <FaCompressArrowsAlt /> Merge {selectedTags.length} tags
+          </button>
+        )}
+      </div>
+      <div className="notes-items">
+        {visible.map(({ tag, count }) => (
+          <div key={tag} className="tag-row">
+            <input type="checkbox" checked={selected.has(tag)} onChange={() => toggle(tag)} title="Select to merge" />
+            <button className="tag tag-link" onClick={() => onFilter(tag)} title={`Show notes tagged “${tag}”`}>
+              {tag}
+            </button>
+            <span className="notebook-count">{count}</span>
+            <div className="note-actions">
+              <button className="action-btn pin-btn" title="Rename" onClick={() => onRename(tag)}><FaPen /></button>
+              <button className="action-btn delete-btn" title="Remove from all notes" onClick={() => onDelete(tag)}><FaTrash /></button>
+            </div>
+          </div>
+        ))}
+        {visible.length === 0 && (
+          <div className="empty-notes">
+            <FaTags size={32} />
+            <p>{tags.length ? 'No tags match.' : 'No tags yet. Use “Tags” in the toolbar to suggest some.'}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TagBrowser
@@ -0,0 +1,77 @@
+import { useState } from 'react'
+import { FaTasks, FaUser, FaRegClock } from 'react-icons/fa'
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'today', label: 'Today' },
+  { value: 'upcoming', label: 'Upcoming' }
+]
+
+// Open checklist items from every note. Ticking one off changes the note it comes from.
+function TasksView({ tasks, tags, reminders, onToggle, onOpen, onReminders }) {
+  const [filter, setFilter] = useState('all')
+  const [tag, setTag] = useState('')
+
+  const visible = tasks.filter(({ note, status }) =>
+    (filter === 'all' || status === filter) &&
+    (!tag || (note.tags || []).some(t => t.toLowerCase() === tag)))
+  const count = value => tasks.filter(t => t.status === value).length
+
+  return (
+    <div className="notes-list">
+      <div className="notes-list-header tasks-header">
+        <div className="tasks-filters">
+          {FILTERS.map(f => (
+            <button
+              key={f.value}
+              className={`tasks-filter ${f.value} ${filter === f.value ? 'active' : ''}`}
+              onClick={() => setFilter(f.value)}
+            >
+              {f.label}{f.value !== 'all' && count(f.value) > 0 && ` (${count(f.value)})`}
+            </button>
+          ))}
+        </div>
+        <select className="toolbar-select" value={tag} onChange={e => setTag(e.target.value)} title="Only items from notes with this tag">
+          <option value="">Any tag</option>
+          {tags.map(t => <option key={t.tag} value={t.tag}>{t.tag}</option>)}
+        </select>
+        <label className="checkbox-row">
+          <input type="checkbox" checked={reminders} onChange={e => onReminders(e.target.checked)} />
+          <span>Notify me when items fall due</span>
+        </label>
+      </div>
+      <div className="notes-items">
+        {visible.map(({ note, task, status }) => (
+          <div key={`${note.id}:${task.index}`} className="task-row">
+            <input
+              type="checkbox"
+              checked={false}
+              disabled={!!note.collab}
+              title={note.collab ? 'Open the shared note to tick this off' : 'Mark as done'}
+              onChange={() => onToggle(note, task)}
+            />
+            <div className="task-body">
+              <div className="task-text">{task.text}</div>
+              <div className="task-meta">
+                {task.due && <span className={`task-due ${status || ''}`}><FaRegClock /> {task.due}</span>}
+                {task.assignee && <span className="task-assignee"><FaUser /> {task.assignee}</span>}
+                <button className="task-note" onClick={() => onOpen(note.id)} title="Open the note">
+                  {note.title || 'Untitled'}
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+        {visible.length === 0 && (
+          <div className="empty-notes">
+            <FaTasks size={32} />
+            <p>{tasks.length ? 'No open items match.' : 'No open checklist items. Add a checklist to a note to see its items here.'}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TasksView
@@ -0,0 +1,140 @@
+import { useRef, useState } from 'react'
+import { useEditor, EditorContent } from '@tiptap/react'
+import { FaRegFileAlt, FaTimes, FaPlus, FaTrash, FaCopy } from 'react-icons/fa'
+import { createExtensions } from '../lib/editor.js'
+import { PLACEHOLDERS, DEFAULT_TEMPLATES, createTemplate, templateHtml } from '../lib/templates.js'
+
+// The template's content in a small editor of its own; recreated for each template
+function TemplateBody({ html, onChange }) {
+  const latestOnChange = useRef(onChange)
+  latestOnChange.current = onChange
+  const editor = useEditor({
+    extensions: createExtensions({ placeholder: 'What every note from this template starts with…' }),
+    content: html,
+    editorProps: { attributes: { class: 'editor-area template-body' } },
+    onUpdate: ({ editor: current }) => latestOnChange.current(templateHtml(current.getHTML()))
+  })
+  return <EditorContent editor={editor} />
+}
+
+function TemplateForm({ template, onChange }) {
+  // Kept as typed, so a trailing comma survives until the next tag is written
+  const [tagsText, setTagsText] = useState((template.tags || []).join(', '))
+
+  return (
+    <div className="template-form">
+      <div className="modal-field">
+        <label htmlFor="template-name">Name</label>
+        <input id="template-name" value={template.name} onChange={e => onChange({ name: e.target.value })} />
+      </div>
+      <div className="modal-field">
+        <label htmlFor="template-title">Note title</label>
+        <input
+          id="template-title"
+          value={template.title}
+          placeholder="e.g. Standup – {{date}}"
+          onChange={e => onChange({ title: e.target.value })}
+        />
+      </div>
+      <div className="modal-field">
+        <label htmlFor="template-tags">Tags</label>
+        <input
+          id="template-tags"
+          value={tagsText}
+          placeholder="comma, separated"
+          onChange={e => {
+            setTagsText(e.target.value)
+            onChange({ tags: e.target.value.split(',').map(t => t.trim()).filter(Boolean) })
+          }}
+        />
+      </div>
+      <div className="modal-field">
+        <label>Content</label>
+        <TemplateBody html={template.html} onChange={html => onChange({ html })} />
+      </div>
+    </div>
+  )
+}
+
+// Adding, editing and removing note templates. `currentNote` (the open note, if it can be read)
+// can be turned into a template.
+function TemplateManager({ templates, currentNote, onChange, onClose }) {
+  const [selectedId, setSelectedId] = useState(templates[0]?.id ?? null)
+  const selected = templates.find(t => t.id === selectedId) || null
+  const missingDefaults = DEFAULT_TEMPLATES.filter(d => !templates.some(t => t.id === d.id))
+
+  const add = fields => {
+    const template = createTemplate(fields)
+    onChange([...templates, template])
+    setSelectedId(template.id)
+  }
+
+  const update = partial => onChange(templates.map(t => t.id === selectedId ? { ...t, ...partial } : t))
+
+  const remove = () => {
+    if (!confirm(`Delete the template “${selected.name}”? Notes made from it are not affected.`)) return
+    const index = templates.indexOf(selected)
+    const rest = templates.filter(t => t !== selected)
+    onChange(rest)
+    setSelectedId(rest[Math.min(index, rest.length - 1)]?.id ?? null)
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide template-manager" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaRegFileAlt /> Note templates</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          Placeholders are filled in when a note is made from a template:
+          {PLACEHOLDERS.map(p => <span key={p.token} title={p.label}> <code>{p.token}</code></span>)}.
+        </p>
+
+        <div className="template-columns">
+          <div className="template-sidebar">
+            <ul className="template-list">
+              {templates.map(t => (
+                <li key={t.id}>
+                  <button className={t.id === selectedId ? 'active' : ''} onClick={() => setSelectedId(t.id)}>
+                    {t.name || 'Untitled template'}
+                  </button>
+                </li>
+              ))}
+              {templates.length === 0 && <li className="history-empty">No templates yet.</li>}
+            </ul>
+            <button className="import-btn" onClick={() => add()}><FaPlus /> New template</button>
+            <button
+              className="import-btn"
+              onClick={() => add({ name: currentNote.title || 'Untitled', title: currentNote.title || '', html: templateHtml(currentNote.html), tags: [...(currentNote.tags || [])] })}
+              disabled={!currentNote}
+              title={currentNote ? undefined : 'Open a note (not encrypted) to use it as a template'}
+            >
+              <FaCopy /> From open note
+            </button>
+            {missingDefaults.length > 0 && (
+              <button className="import-btn" onClick={() => onChange([...templates, ...missingDefaults])}>
+                Restore built-in templates
+              </button>
+            )}
+          </div>
+
+          {selected ? (
+            <div className="template-detail">
+              <TemplateForm key={selected.id} template={selected} onChange={update} />
+              <button className="import-btn template-delete" onClick={remove}><FaTrash /> Delete template</button>
+            </div>
+          ) : (
+            <p className="history-empty template-detail">Choose a template to edit it.</p>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button className="export-btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TemplateManager
@@ -0,0 +1,22 @@
+import { useEffect } from 'react'
+import { FaTimes } from 'react-icons/fa'
+
+// Transient notice with an optional action (e.g. "Undo"); dismisses itself after `duration` ms
+function Toast({ message, actionLabel, onAction, onDismiss, duration = 6000 }) {
+  useEffect(() => {
+    const timeoutId = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timeoutId)
+  }, [message, onDismiss, duration])
+
+  return (
+    <div className="toast" role="status">
+      <span className="toast-message">{message}</span>
+      {actionLabel && (
+        <button className="toast-action" onClick={onAction}>{actionLabel}</button>
+      )}
+      <button className="toast-close" onClick={onDismiss} title="Dismiss"><FaTimes /></button>
+    </div>
+  )
+}
+
+export default Toast
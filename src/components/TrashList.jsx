@@ -0,0 +1,49 @@
+import { FaTrashRestore, FaTrash } from 'react-icons/fa'
+
+function TrashList({ notes, retentionDays, onRestore, onPurge, onEmpty }) {
+  const daysLeft = (n) => Math.max(0, Math.ceil((n.deletedAt + retentionDays * 86400000 - Date.now()) / 86400000))
+
+  return (
+    <div className="notes-list">
+      <div className="notes-list-header trash-header">
+        <span className="trash-hint">
+          Notes in the trash are deleted for good after {retentionDays} {retentionDays === 1 ? 'day' : 'days'}.
+        </span>
+        {notes.length > 0 && (
+          <button className="import-btn" onClick={onEmpty}>Empty trash</button>
+        )}
+      </div>
+      <div className="notes-items">
+        {notes.map((n, index) => (
+          <div key={n.id} className="note-item trashed" style={{ '--delay': `${index * 0.05}s` }}>
+            <div className="note-content">
+              <div className="note-title">
+                <span>{n.title || 'Untitled'}</span>
+                {n.encrypted && <div className="encryption-badge">🔒</div>}
+              </div>
+              <div className="note-meta">
+                Deleted {new Date(n.deletedAt).toLocaleDateString()} • {daysLeft(n)} days left
+              </div>
+            </div>
+            <div className="note-actions">
+              <button className="action-btn pin-btn" title="Restore" onClick={() => onRestore(n.id)}>
+                <FaTrashRestore />
+              </button>
+              <button className="action-btn delete-btn" title="Delete forever" onClick={() => onPurge(n.id)}>
+                <FaTrash />
+              </button>
+            </div>
+          </div>
+        ))}
+        {notes.length === 0 && (
+          <div className="empty-notes">
+            <FaTrash size={32} />
+            <p>Trash is empty.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TrashList
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { FaLock, FaRegStickyNote } from 'react-icons/fa'
+import { getVaultConfig, isVaultEnabled, isVaultUnlocked, unlockVault, lockVault, followRemoteVault, DEFAULT_IDLE_MINUTES } from '../lib/vault.js'
+import { onRemoteVaultChange } from '../lib/tabSync.js'
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'mousemove', 'wheel', 'touchstart']
+
+function LockScreen({ onUnlock }) {
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setIsProcessing(true)
+    setError('')
+    try {
+      await unlockVault(password)
+      onUnlock()
+    } catch {
+      setError('Incorrect master password.')
+      setIsProcessing(false)
+    }
+  }
+
+  return (
+    <div className="lock-screen">
+      <form className="lock-card" onSubmit={submit}>
+        <FaRegStickyNote className="brand-icon" />
+        <h2>PlayPower Notes is locked</h2>
+        <p>Enter your master password to unlock your vault.</p>
+        <input
+          type="password"
+          placeholder="Master password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          autoFocus
+        />
+        {error && <div className="modal-error">{error}</div>}
+        <button className="cta-button" type="submit" disabled={!password || isProcessing}>
+          <FaLock /> {isProcessing ? 'Unlocking…' : 'Unlock'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// Renders the lock screen while the vault is locked, otherwise the app via a render prop.
+// Locking unmounts the app (which flushes its pending save) before the key is dropped.
+function VaultGate({ children }) {
+  const [locked, setLocked] = useState(() => isVaultEnabled() && !isVaultUnlocked())
+  const [enabled, setEnabled] = useState(isVaultEnabled)
+  const lastActivity = useRef(Date.now())
+  // Set when another tab locked the vault, so this lock is not announced back to them
+  const lockedRemotely = useRef(false)
+
+  const lock = useCallback(() => {
+    if (isVaultEnabled()) setLocked(true)
+  }, [])
+
+  const refresh = useCallback(() => setEnabled(isVaultEnabled()), [])
+
+  useEffect(() => {
+    if (locked && isVaultUnlocked()) lockVault({ broadcast: !lockedRemotely.current })
+    lockedRemotely.current = false
+  }, [locked])
+
+  // The key lives in each tab, so follow the vault changes made in other tabs
+  useEffect(() => onRemoteVaultChange(({ state }) => {
+    followRemoteVault(state)
+    if (state === 'disabling') return
+    if (state === 'disabled') {
+      setLocked(false)
+      refresh()
+      return
+    }
+    lockedRemotely.current = true
+    lock()
+  }), [lock, refresh])
+
+  // Auto-lock after the configured idle time
+  useEffect(() => {
+    if (!enabled || locked) return
+    lastActivity.current = Date.now()
+    const onActivity = () => { lastActivity.current = Date.now() }
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, onActivity, { passive: true }))
+    const intervalId = setInterval(() => {
+      const idleMinutes = getVaultConfig()?.idleMinutes || DEFAULT_IDLE_MINUTES
+      if (Date.now() - lastActivity.current > idleMinutes * 60 * 1000) lock()
+    }, 10000)
+    return () => {
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, onActivity))
+      clearInterval(intervalId)
+    }
+  }, [enabled, locked, lock])
+
+  if (locked) return <LockScreen onUnlock={() => { setLocked(false); refresh() }} />
+  return children({ enabled, lock, refresh })
+}
+
+export default VaultGate
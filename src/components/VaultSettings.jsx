@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { FaShieldAlt, FaTimes } from 'react-icons/fa'
+import {
+  getVaultConfig, enableVault, disableVault, changeMasterPassword, setIdleMinutes, DEFAULT_IDLE_MINUTES
+} from '../lib/vault.js'
+
+const MIN_PASSWORD_LENGTH = 8
+
+function VaultSettings({ enabled, onChange, onClose }) {
+  const [current, setCurrent] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [idleMinutes, setIdle] = useState(() => getVaultConfig()?.idleMinutes || DEFAULT_IDLE_MINUTES)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const run = async (action, success) => {
+    setError('')
+    setMessage('')
+    setIsProcessing(true)
+    try {
+      await action()
+      setCurrent('')
+      setPassword('')
+      setConfirm('')
+      setMessage(success)
+      onChange()
+    } catch (e) {
+      setError(e.message || 'Something went wrong.')
+    }
+    setIsProcessing(false)
+  }
+
+  const checkNewPassword = () => {
+    if (password.length < MIN_PASSWORD_LENGTH) throw new Error(`Use at least ${MIN_PASSWORD_LENGTH} characters.`)
+    if (password !== confirm) throw new Error('Passwords do not match.')
+  }
+
+  const verify = (action) => async () => {
+    try {
+      await action()
+    } catch (e) {
+      if (e?.name === 'OperationError') throw new Error('Current master password is incorrect.')
+      throw e
+    }
+  }
+
+  const enable = () => run(async () => {
+    checkNewPassword()
+    await enableVault(password, idleMinutes)
+  }, 'Vault enabled. Notes and settings are now encrypted.')
+
+  const change = () => run(verify(async () => {
+    checkNewPassword()
+    await changeMasterPassword(current, password)
+  }), 'Master password changed.')
+
+  const disable = () => {
+    if (!window.confirm('Disable the vault? Notes and settings will be stored unencrypted.')) return
+    run(verify(() => disableVault(current)), 'Vault disabled.')
+  }
+
+  const saveIdle = (value) => {
+    const minutes = Math.max(1, parseInt(value, 10) || 1)
+    setIdle(minutes)
+    if (enabled) setIdleMinutes(minutes)
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><FaShieldAlt /> Vault</h3>
+          <button className="action-btn" onClick={onClose} title="Close"><FaTimes /></button>
+        </div>
+        <p className="modal-hint">
+          {enabled
+            ? 'Your notes, history and settings are encrypted with your master password.'
+            : 'Encrypt all notes, history and settings (including the API key) with one master password. There is no way to recover the data if you forget it.'}
+        </p>
+
+        <div className="modal-field">
+          <label>Auto-lock after (minutes idle)</label>
+          <input type="number" min="1" value={idleMinutes} onChange={e => saveIdle(e.target.value)} />
+        </div>
+
+        {enabled && (
+          <div className="modal-field">
+            <label>Current master password</label>
+            <input type="password" value={current} onChange={e => setCurrent(e.target.value)} />
+          </div>
+        )}
+        <div className="modal-field">
+          <label>{enabled ? 'New master password' : 'Master password'}</label>
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} />
+        </div>
+        <div className="modal-field">
+          <label>Confirm password</label>
+          <input type="password" value={confirm} onChange={e => setConfirm(e.target.value)} />
+        </div>
+
+        {error && <div className="modal-error">{error}</div>}
+        {message && <div className="modal-success">{message}</div>}
+
+        <div className="modal-actions">
+          {enabled ? (
+            <>
+              <button className="import-btn" onClick={disable} disabled={isProcessing || !current}>Disable vault</button>
+              <button className="export-btn" onClick={change} disabled={isProcessing || !current || !password}>Change password</button>
+            </>
+          ) : (
+            <button className="export-btn" onClick={enable} disabled={isProcessing || !password}>
+              {isProcessing ? 'Encrypting…' : 'Enable vault'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VaultSettings
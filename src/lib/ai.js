@@ -0,0 +1,400 @@
+import { isLocalUrl } from './network.js'
+
+// AI provider layer. Each task (glossary, summarize, tags, ...) is routed to the provider picked
+// for it in settings; a null result means "fall back to the local heuristic".
+
+// Env-configurable defaults for the OpenAI-compatible provider
+const OPENAI_API_BASE = import.meta?.env?.VITE_OPENAI_API_BASE || 'https://api.openai.com/v1'
+const OPENAI_MODEL = import.meta?.env?.VITE_OPENAI_MODEL || 'gpt-4o-mini'
+
+const SYSTEM_PROMPT = 'You are a helpful assistant for a notes app.'
+
+// Each task knows how to turn raw model output into a result; a parse failure surfaces as an error
+export const AI_TASKS = {
+  glossary: { label: 'Glossary', maxTokens: 600, parse: parseGlossary },
+  summarize: { label: 'Summarize', maxTokens: 160, parse: text => text.trim() },
+  tags: { label: 'Tags', maxTokens: 60, parse: parseTags },
+  // Not a prompt: vectors for related notes and search by meaning, from providers that have `embed`
+  embeddings: { label: 'Related notes & search by meaning', embedding: true }
+}
+
+export class AIError extends Error {
+  constructor(kind, message) {
+    super(message)
+    this.name = 'AIError'
+    this.kind = kind
+  }
+}
+
+export const AI_ERROR_LABELS = {
+  auth: 'The provider rejected the API key',
+  quota: 'Rate limit or quota exceeded',
+  network: 'Could not reach the provider',
+  offline: 'You are offline',
+  parse: 'The response could not be understood'
+}
+
+function parseGlossary(text) {
+  const start = text.indexOf('[')
+  const end = text.lastIndexOf(']')
+  let parsed
+  try {
+    parsed = JSON.parse(start >= 0 && end > start ? text.slice(start, end + 1) : text)
+  } catch {
+    throw new AIError('parse', 'Expected a JSON array of {term, definition}')
+  }
+  if (!Array.isArray(parsed)) throw new AIError('parse', 'Expected a JSON array of {term, definition}')
+  return parsed.filter(g => g && typeof g.term === 'string').map(g => ({ term: g.term, definition: String(g.definition || '') }))
+}
+
+function parseTags(text) {
+  const tags = text.split(/[,\n]/).map(s => s.replace(/^[\s#*-]+/, '').trim()).filter(Boolean).slice(0, 5)
+  if (!tags.length) throw new AIError('parse', 'No tags in the response')
+  return tags
+}
+
+// Heuristics used when no provider is configured or a call fails
+export function heuristicSummary(text) {
+  const cleaned = text.replace(/\s+/g, ' ').trim()
+  return cleaned.length > 160 ? cleaned.slice(0, 157) + '…' : cleaned
+}
+
+export function heuristicTags(text) {
+  const words = Array.from(new Set((text.toLowerCase().match(/[a-z]{4,}/g) || [])))
+    .filter(w => !['this','that','with','from','your','have','about','there','their','which','will','into','only','also','been','were','when','what','where','then','than','because','while','these','those','such','some','more','most'].includes(w))
+  return words.slice(0, 5)
+}
+
+export function heuristicGlossary(text) {
+  const terms = Array.from(new Set((text.match(/\b([A-Z][a-zA-Z]{2,})\b/g) || [])))
+  return terms.slice(0, 10).map(t => ({ term: t, definition: 'Important term detected from context.' }))
+}
+
+const HEURISTICS = { glossary: heuristicGlossary, summarize: heuristicSummary, tags: heuristicTags }
+
+export function heuristicResult(task, text) {
+  return HEURISTICS[task](text)
+}
+
+function errorForStatus(status, detail) {
+  if (status === 401 || status === 403) return new AIError('auth', detail || `HTTP ${status}`)
+  if (status === 402 || status === 429) return new AIError('quota', detail || `HTTP ${status}`)
+  return new AIError('network', detail || `HTTP ${status}`)
+}
+
+async function errorDetail(res) {
+  try {
+    const data = await res.json()
+    return data?.error?.message || data?.error || null
+  } catch {
+    return null
+  }
+}
+
+// POSTs and feeds the response body to `onLine` one line at a time, for SSE and NDJSON streams
+async function postStream(url, headers, body, signal, onLine) {
+  let res
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    throw new AIError('network', error.message || 'Network request failed')
+  }
+  if (!res.ok) throw errorForStatus(res.status, await errorDetail(res))
+  if (!res.body) throw new AIError('parse', 'The provider did not return a stream')
+
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    for (const line of lines) if (line.trim()) onLine(line.trim())
+  }
+  if (buffer.trim()) onLine(buffer.trim())
+}
+
+async function postJson(url, headers, body, signal) {
+  let res
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    throw new AIError('network', error.message || 'Network request failed')
+  }
+  if (!res.ok) throw errorForStatus(res.status, await errorDetail(res))
+  try {
+    return await res.json()
+  } catch {
+    throw new AIError('parse', 'The provider did not return JSON')
+  }
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line)
+  } catch {
+    throw new AIError('parse', 'Malformed streaming response')
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const id = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(id)
+      reject(new DOMException('Aborted', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+// Offline stand-in that answers every task from the note text, for testing without a model
+function mockComplete({ task, input }) {
+  switch (task) {
+    case 'glossary': return JSON.stringify(heuristicGlossary(input).map(g => ({ ...g, definition: `Mock definition of ${g.term}.` })))
+    case 'summarize': return `Mock summary: ${heuristicSummary(input)}`
+    case 'tags': return heuristicTags(input).join(', ') || 'mock'
+    default: return `Mock response for "${task}".`
+  }
+}
+
+// Words hashed into a small vector: notes sharing words come out close, which is all the mock needs
+function mockEmbedding(text) {
+  const vector = new Array(64).fill(0)
+  ;(text.toLowerCase().match(/[a-z]{3,}/g) || []).forEach(word => {
+    let hash = 0
+    for (const ch of word) hash = (hash * 31 + ch.charCodeAt(0)) | 0
+    vector[Math.abs(hash) % 64] += 1
+  })
+  return vector
+}
+
+export const AI_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    fields: [
+      { key: 'baseUrl', label: 'Base URL' },
+      { key: 'model', label: 'Model' },
+      { key: 'embeddingModel', label: 'Embedding model' }
+    ],
+    defaults: { baseUrl: OPENAI_API_BASE, model: OPENAI_MODEL, embeddingModel: 'text-embedding-3-small' },
+    // The API key comes from the sidebar field (or VITE_OPENAI_API_KEY)
+    isConfigured: config => !!config.apiKey,
+    async stream(config, { system, prompt, maxTokens }, { signal, onToken }) {
+      await postStream(`${config.baseUrl}/chat/completions`, { Authorization: `Bearer ${config.apiKey}` }, {
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.2,
+        max_tokens: maxTokens,
+        stream: true
+      }, signal, line => {
+        if (!line.startsWith('data:')) return
+        const payload = line.slice(5).trim()
+        if (payload === '[DONE]') return
+        const token = parseLine(payload)?.choices?.[0]?.delta?.content
+        if (token) onToken(token)
+      })
+    },
+    async embed(config, texts, { signal }) {
+      const data = await postJson(`${config.baseUrl}/embeddings`, { Authorization: `Bearer ${config.apiKey}` }, {
+        model: config.embeddingModel,
+        input: texts
+      }, signal)
+      return (data?.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding)
+    }
+  },
+  ollama: {
+    label: 'Ollama',
+    fields: [
+      { key: 'baseUrl', label: 'Server URL' },
+      { key: 'model', label: 'Model' },
+      { key: 'embeddingModel', label: 'Embedding model' }
+    ],
+    defaults: { baseUrl: 'http://localhost:11434', model: 'llama3.1', embeddingModel: 'nomic-embed-text' },
+    isConfigured: config => !!config.baseUrl && !!config.model,
+    async stream(config, { system, prompt, maxTokens }, { signal, onToken }) {
+      await postStream(`${config.baseUrl}/api/chat`, {}, {
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        stream: true,
+        options: { temperature: 0.2, num_predict: maxTokens }
+      }, signal, line => {
+        const data = parseLine(line)
+        if (data.error) throw new AIError('network', data.error)
+        if (data.message?.content) onToken(data.message.content)
+      })
+    },
+    async embed(config, texts, { signal }) {
+      const data = await postJson(`${config.baseUrl}/api/embed`, {}, { model: config.embeddingModel, input: texts }, signal)
+      return data?.embeddings
+    }
+  },
+  anthropic: {
+    label: 'Anthropic',
+    fields: [
+      { key: 'baseUrl', label: 'Base URL' },
+      { key: 'model', label: 'Model' },
+      { key: 'apiKey', label: 'API key', secret: true }
+    ],
+    defaults: { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest' },
+    isConfigured: config => !!config.apiKey,
+    async stream(config, { system, prompt, maxTokens }, { signal, onToken }) {
+      await postStream(`${config.baseUrl}/messages`, {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }, {
+        model: config.model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature: 0.2,
+        stream: true
+      }, signal, line => {
+        if (!line.startsWith('data:')) return
+        const data = parseLine(line.slice(5).trim())
+        if (data.type === 'error') throw data.error?.type === 'overloaded_error' ? new AIError('quota', data.error.message) : new AIError('network', data.error?.message || 'Stream error')
+        if (data.type === 'content_block_delta' && data.delta?.text) onToken(data.delta.text)
+      })
+    }
+  },
+  mock: {
+    label: 'Mock (offline)',
+    fields: [],
+    defaults: {},
+    isConfigured: () => true,
+    // Emits the canned answer a few characters at a time so the streaming UI can be exercised
+    async stream(config, request, { signal, onToken }) {
+      const text = mockComplete(request)
+      for (let i = 0; i < text.length; i += 4) {
+        await sleep(15, signal)
+        onToken(text.slice(i, i + 4))
+      }
+    },
+    async embed(config, texts) {
+      return texts.map(mockEmbedding)
+    }
+  }
+}
+
+export const DEFAULT_AI_SETTINGS = {
+  providers: {},
+  tasks: {}
+}
+
+export function providerForTask(settings, task) {
+  return settings?.tasks?.[task] || 'openai'
+}
+
+export function providerConfig(settings, providerId) {
+  return { ...AI_PROVIDERS[providerId]?.defaults, ...settings?.providers?.[providerId] }
+}
+
+// Streams a task through its provider. Resolves with { text, result }; rejects with an AIError,
+// or an AbortError when `signal` fires. `input` is the raw note text, used by the mock provider.
+export async function streamAI(task, prompt, settings, input = '', { signal, onToken } = {}) {
+  const providerId = providerForTask(settings, task)
+  const provider = AI_PROVIDERS[providerId]
+  const config = providerConfig(settings, providerId)
+  if (!provider || !provider.isConfigured(config)) throw new AIError('auth', 'No AI provider is configured for this task')
+  let text = ''
+  await provider.stream(config, {
+    task,
+    prompt,
+    input,
+    system: SYSTEM_PROMPT,
+    maxTokens: AI_TASKS[task]?.maxTokens ?? 300
+  }, {
+    signal,
+    onToken: token => {
+      text += token
+      onToken?.(token)
+    }
+  })
+  if (!text.trim()) throw new AIError('parse', 'The provider returned an empty response')
+  const parse = AI_TASKS[task]?.parse || (t => t.trim())
+  return { text, result: parse(text) }
+}
+
+export function isAIAvailable(task, settings) {
+  const providerId = providerForTask(settings, task)
+  const provider = AI_PROVIDERS[providerId]
+  return !!provider && provider.isConfigured(providerConfig(settings, providerId))
+}
+
+// Embeddings need a provider that can make them (Anthropic has no embeddings API)
+export function isEmbeddingAvailable(settings) {
+  const providerId = providerForTask(settings, 'embeddings')
+  const provider = AI_PROVIDERS[providerId]
+  return !!provider?.embed && provider.isConfigured(providerConfig(settings, providerId))
+}
+
+// Names the provider and model, so vectors from different models are never compared
+export function embeddingModel(settings) {
+  const providerId = providerForTask(settings, 'embeddings')
+  return `${providerId}:${providerConfig(settings, providerId).embeddingModel || ''}`
+}
+
+// One vector per text, in order. Rejects with an AIError, or an AbortError when `signal` fires.
+export async function embedTexts(texts, settings, { signal } = {}) {
+  const providerId = providerForTask(settings, 'embeddings')
+  const provider = AI_PROVIDERS[providerId]
+  const config = providerConfig(settings, providerId)
+  if (!provider?.embed || !provider.isConfigured(config)) throw new AIError('auth', 'No embedding provider is configured')
+  const vectors = await provider.embed(config, texts, { signal })
+  if (!Array.isArray(vectors) || vectors.length !== texts.length || vectors.some(v => !Array.isArray(v) || !v.length)) {
+    throw new AIError('parse', 'Expected one embedding per text')
+  }
+  return vectors
+}
+
+// Whether the task's provider is out on the network; a local Ollama and the mock provider are not
+export function needsNetwork(task, settings) {
+  const providerId = providerForTask(settings, task)
+  return providerId !== 'mock' && !isLocalUrl(providerConfig(settings, providerId).baseUrl)
+}
+
+export const AI_PROMPTS = {
+  glossary: text => `Extract up to 10 key terms with brief definitions as JSON array of {term, definition} from this note:\n\n${text}`,
+  summarize: text => `Summarize this note in 1-2 lines:\n\n${text}`,
+  tags: text => `Suggest 3-5 short tags for this note as a comma-separated list:\n\n${text}`
+}
+
+export async function testProvider(providerId, settings) {
+  const provider = AI_PROVIDERS[providerId]
+  const config = providerConfig(settings, providerId)
+  if (!provider.isConfigured(config)) return { ok: false, message: 'Not configured' }
+  let text = ''
+  try {
+    await provider.stream(config, {
+      task: 'test',
+      prompt: 'Reply with the single word: ready',
+      input: '',
+      system: SYSTEM_PROMPT,
+      maxTokens: 10
+    }, { onToken: token => { text += token } })
+    return text ? { ok: true, message: text.trim() } : { ok: false, message: 'Empty response' }
+  } catch (error) {
+    const label = AI_ERROR_LABELS[error.kind]
+    return { ok: false, message: label ? `${label}: ${error.message}` : error.message || 'Request failed' }
+  }
+}
@@ -0,0 +1,100 @@
+import { saveAttachment, loadAttachment, storedAttachmentIds } from './db.js'
+import { htmlFragment } from './html.js'
+import { downloadBlob } from './download.js'
+
+// Images and files inside notes. The bytes live in the attachments store; a note only holds
+// <img data-attachment> or <a class="attachment-chip" data-attachment> markup pointing at them,
+// and lists the ids it uses in note.attachments.
+export const MAX_ATTACHMENT_BYTES = 50 * 1024 * 1024
+
+const KNOWN_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif',
+  pdf: 'application/pdf', txt: 'text/plain', csv: 'text/csv', zip: 'application/zip'
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes}B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)}KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`
+}
+
+export function isImageType(type) {
+  return /^image\//.test(type || '')
+}
+
+// Best guess for files that arrive without a type, e.g. from a zip
+export function typeFromName(name) {
+  return KNOWN_TYPES[(name.match(/\.(\w+)$/)?.[1] || '').toLowerCase()] || 'application/octet-stream'
+}
+
+export function attachmentIds(html) {
+  if (!html) return []
+  const ids = Array.from(htmlFragment(html).querySelectorAll('[data-attachment]'), el => el.getAttribute('data-attachment'))
+  return [...new Set(ids)]
+}
+
+export function storeAttachment(file) {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return Promise.reject(new Error(`Files larger than ${formatBytes(MAX_ATTACHMENT_BYTES)} cannot be attached.`))
+  }
+  const name = file.name || 'attachment'
+  return saveAttachment({ id: crypto.randomUUID(), name, type: file.type || typeFromName(name), blob: file })
+}
+
+// Stores imported attachments ({ id, name, type, blob }) that are not stored here yet
+export async function importAttachments(list) {
+  const stored = await storedAttachmentIds()
+  for (const attachment of list) {
+    if (!stored.has(attachment.id)) await saveAttachment(attachment)
+  }
+}
+
+// The stored attachments the given notes use; ones missing on this device are left out. So are
+// encrypted notes' attachments: their bytes are not encrypted, and must not leave with the note.
+export async function loadNoteAttachments(notes) {
+  const ids = [...new Set(notes.filter(n => !n.encrypted).flatMap(n => n.attachments || []))]
+  return (await Promise.all(ids.map(loadAttachment))).filter(Boolean)
+}
+
+// What exports leave out of `notes`: [{ note, names }] for each encrypted note with stored
+// attachments that no exported note also uses
+export async function withheldAttachments(notes) {
+  const exported = new Set(notes.filter(n => !n.encrypted).flatMap(n => n.attachments || []))
+  const withheld = await Promise.all(notes.filter(n => n.encrypted).map(async note => {
+    const ids = (note.attachments || []).filter(id => !exported.has(id))
+    const stored = (await Promise.all(ids.map(loadAttachment))).filter(Boolean)
+    return { note, names: stored.map(a => a.name) }
+  }))
+  return withheld.filter(w => w.names.length)
+}
+
+// Object URLs for displaying attachments, created once per id
+const urls = new Map()
+
+export function attachmentUrl(id) {
+  if (!urls.has(id)) {
+    const url = loadAttachment(id)
+      .then(a => a ? URL.createObjectURL(a.blob) : null)
+      .catch(error => {
+        console.warn('Failed to load attachment:', error)
+        return null
+      })
+    urls.set(id, url)
+    // Not cached when missing: it may still arrive with an import
+    url.then(value => { if (!value && urls.get(id) === url) urls.delete(id) })
+  }
+  return urls.get(id)
+}
+
+// Drops the decrypted copies, e.g. when the vault locks
+export async function revokeAttachmentUrls() {
+  const pending = [...urls.values()]
+  urls.clear()
+  ;(await Promise.all(pending)).forEach(url => { if (url) URL.revokeObjectURL(url) })
+}
+
+export async function downloadAttachment(id) {
+  const attachment = await loadAttachment(id)
+  if (!attachment) throw new Error('This attachment is not stored on this device.')
+  downloadBlob(attachment.blob, attachment.name)
+}
@@ -0,0 +1,239 @@
+import { sanitizeHtml, htmlToText } from './html.js'
+import { attachmentIds } from './attachments.js'
+import { bytesToBase64, base64ToBytes } from './crypto.js'
+
+// JSON backups: a versioned envelope, migrations from older versions, per-record validation,
+// and the merge plan shown by the import wizard.
+export const EXPORT_VERSION = 3
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ImportError'
+  }
+}
+
+// Each step takes data at version N and returns it at version N + 1
+const MIGRATIONS = {
+  // 1.0 wrote `exportDate`, allowed comma-separated tags and ISO timestamps, and had no notebooks
+  1: data => ({
+    version: 2,
+    exportedAt: data.exportDate ?? null,
+    notebooks: Array.isArray(data.notebooks) ? data.notebooks : [],
+    notes: Array.isArray(data.notes) ? data.notes.map(note => {
+      if (!note || typeof note !== 'object') return note
+      const tags = typeof note.tags === 'string' ? note.tags.split(',').map(t => t.trim()).filter(Boolean) : note.tags
+      return { ...note, tags, createdAt: toTimestamp(note.createdAt), updatedAt: toTimestamp(note.updatedAt) }
+    }) : data.notes
+  }),
+  // 2 had no attachments
+  2: data => ({ ...data, version: 3, attachments: [] })
+}
+
+function toTimestamp(value) {
+  if (typeof value !== 'string') return value
+  const ts = Date.parse(value)
+  return Number.isFinite(ts) ? ts : value
+}
+
+// '1.0' and a missing version are both the original format
+function versionOf(data) {
+  if (data.version === undefined || data.version === '1.0') return 1
+  const version = Number(data.version)
+  if (!Number.isInteger(version) || version < 1) throw new ImportError(`Unknown export version “${data.version}”.`)
+  return version
+}
+
+// `attachments` are the stored attachments ({ id, name, type, blob }) the notes use; their bytes
+// are written as base64. `templates` are the note templates, which older versions ignore.
+export async function buildExport({ notes, notebooks, attachments = [], templates = [] }) {
+  const files = await Promise.all(attachments.map(async ({ id, name, type, blob }) => ({
+    id, name, type, data: bytesToBase64(new Uint8Array(await blob.arrayBuffer()))
+  })))
+  return { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), notebooks, notes, attachments: files, templates }
+}
+
+function isTimestamp(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+// Returns { note } or { error }; `label` names the record in error messages
+function validateNote(raw, label) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${label}: not a note object` }
+  const problems = []
+  if (typeof raw.id !== 'string' || !raw.id) problems.push('missing id')
+  if (raw.title !== undefined && typeof raw.title !== 'string') problems.push('title is not text')
+  if (raw.html !== undefined && raw.html !== null && typeof raw.html !== 'string') problems.push('content is not HTML text')
+  if (raw.tags !== undefined && (!Array.isArray(raw.tags) || raw.tags.some(t => typeof t !== 'string'))) problems.push('tags are not a list of text')
+  if (raw.updatedAt !== undefined && !isTimestamp(raw.updatedAt)) problems.push('invalid updatedAt')
+  if (raw.createdAt !== undefined && !isTimestamp(raw.createdAt)) problems.push('invalid createdAt')
+  if (raw.encrypted && (!raw.encryptedPayload || typeof raw.encryptedPayload !== 'object')) problems.push('encrypted without a payload')
+  if (raw.attachments !== undefined && (!Array.isArray(raw.attachments) || raw.attachments.some(id => typeof id !== 'string'))) problems.push('attachments are not a list of ids')
+  if (raw.deletedAt !== undefined && raw.deletedAt !== null && !isTimestamp(raw.deletedAt)) problems.push('invalid deletedAt')
+  if (problems.length) return { error: `${label}: ${problems.join(', ')}` }
+
+  // Only the fields checked here are taken; storage and collaboration state (`vault`, `collab`,
+  // `crdt`) belong to the device that wrote the file
+  const html = raw.encrypted ? '' : sanitizeHtml(raw.html || '')
+  const now = Date.now()
+  return {
+    note: {
+      id: raw.id,
+      title: raw.title || '',
+      html,
+      text: raw.encrypted ? '' : htmlToText(html),
+      tags: raw.tags || [],
+      summary: typeof raw.summary === 'string' ? raw.summary : '',
+      pinned: !!raw.pinned,
+      encrypted: !!raw.encrypted,
+      encryptedPayload: raw.encrypted ? raw.encryptedPayload : null,
+      // An encrypted note's content can't be read, so its own list is kept
+      attachments: raw.encrypted ? raw.attachments || [] : attachmentIds(html),
+      notebookId: typeof raw.notebookId === 'string' ? raw.notebookId : null,
+      createdAt: raw.createdAt ?? raw.updatedAt ?? now,
+      updatedAt: raw.updatedAt ?? raw.createdAt ?? now,
+      ...(typeof raw.language === 'string' && raw.language ? { language: raw.language } : {}),
+      ...(raw.deletedAt ? { deletedAt: raw.deletedAt } : {})
+    }
+  }
+}
+
+function validateNotebook(raw, label) {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !raw.id || typeof raw.name !== 'string') {
+    return { error: `${label}: not a notebook with an id and a name` }
+  }
+  return { notebook: { id: raw.id, name: raw.name, parentId: typeof raw.parentId === 'string' ? raw.parentId : null, createdAt: raw.createdAt } }
+}
+
+function validateTemplate(raw, label) {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !raw.id || typeof raw.name !== 'string' ||
+    (raw.html !== undefined && typeof raw.html !== 'string')) {
+    return { error: `${label}: not a template with an id, a name and content` }
+  }
+  return {
+    template: {
+      id: raw.id,
+      name: raw.name,
+      title: typeof raw.title === 'string' ? raw.title : '',
+      html: sanitizeHtml(raw.html || ''),
+      tags: Array.isArray(raw.tags) ? raw.tags.filter(t => typeof t === 'string') : []
+    }
+  }
+}
+
+function validateAttachment(raw, label) {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !/^[\w-]{1,64}$/.test(raw.id) ||
+    typeof raw.name !== 'string' || typeof raw.data !== 'string') {
+    return { error: `${label}: not an attachment with an id, a name and data` }
+  }
+  let bytes
+  try {
+    bytes = base64ToBytes(raw.data)
+  } catch {
+    return { error: `${label} (“${raw.name}”): data is not base64` }
+  }
+  const type = typeof raw.type === 'string' && raw.type ? raw.type : 'application/octet-stream'
+  return { attachment: { id: raw.id, name: raw.name, type, blob: new Blob([bytes], { type }) } }
+}
+
+// Parses a backup file's text into { version, notes, notebooks, attachments, templates, errors }. Throws ImportError
+// only when the file as a whole is unusable; bad records are listed in `errors` and skipped.
+export function parseExport(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new ImportError('This file is not valid JSON.')
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.notes)) {
+    throw new ImportError('This is not a PlayPower Notes export: it has no list of notes.')
+  }
+  const fileVersion = versionOf(data)
+  if (fileVersion > EXPORT_VERSION) {
+    throw new ImportError(`This export was made by a newer version of the app (format ${fileVersion}). Update the app to import it.`)
+  }
+  for (let v = fileVersion; v < EXPORT_VERSION; v++) data = MIGRATIONS[v](data)
+
+  const errors = []
+  const notes = []
+  const seen = new Set()
+  data.notes.forEach((raw, i) => {
+    const label = `Note ${i + 1}${typeof raw?.title === 'string' && raw.title ? ` (“${raw.title}”)` : ''}`
+    const { note, error } = validateNote(raw, label)
+    if (error) errors.push(error)
+    else if (seen.has(note.id)) errors.push(`${label}: duplicate id, only the first copy is imported`)
+    else {
+      seen.add(note.id)
+      notes.push(note)
+    }
+  })
+  const notebooks = []
+  ;(Array.isArray(data.notebooks) ? data.notebooks : []).forEach((raw, i) => {
+    const { notebook, error } = validateNotebook(raw, `Notebook ${i + 1}`)
+    if (error) errors.push(error)
+    else notebooks.push(notebook)
+  })
+  const attachments = []
+  ;(Array.isArray(data.attachments) ? data.attachments : []).forEach((raw, i) => {
+    const { attachment, error } = validateAttachment(raw, `Attachment ${i + 1}`)
+    if (error) errors.push(error)
+    else attachments.push(attachment)
+  })
+  const templates = []
+  ;(Array.isArray(data.templates) ? data.templates : []).forEach((raw, i) => {
+    const { template, error } = validateTemplate(raw, `Template ${i + 1}`)
+    if (error) errors.push(error)
+    else templates.push(template)
+  })
+  return { version: fileVersion, notes, notebooks, attachments, templates, errors }
+}
+
+const CONTENT_FIELDS = ['title', 'html', 'encryptedPayload', 'tags', 'summary', 'pinned', 'notebookId', 'deletedAt']
+
+function sameContent(a, b) {
+  return CONTENT_FIELDS.every(f => JSON.stringify(a[f] ?? null) === JSON.stringify(b[f] ?? null))
+}
+
+// One entry per imported note: status is 'new', 'identical', 'newer' (the import is newer than
+// the note here) or 'older'
+export function planImport(localNotes, importedNotes) {
+  const local = new Map(localNotes.map(n => [n.id, n]))
+  return importedNotes.map(note => {
+    const mine = local.get(note.id)
+    if (!mine) return { note, local: null, status: 'new' }
+    if (sameContent(mine, note)) return { note, local: mine, status: 'identical' }
+    return { note, local: mine, status: (note.updatedAt || 0) > (mine.updatedAt || 0) ? 'newer' : 'older' }
+  })
+}
+
+// What the wizard proposes before the user changes anything
+export function defaultChoice(status) {
+  return { new: 'theirs', identical: 'mine', newer: 'theirs', older: 'mine' }[status]
+}
+
+// Applies the choices ('mine' | 'theirs' | 'both', by note id) to the current notes.
+// Returns { notes, counts: { added, replaced, copied, kept } }.
+export function applyImport(localNotes, plan, choices) {
+  const replace = new Map()
+  const added = []
+  const counts = { added: 0, replaced: 0, copied: 0, kept: 0 }
+  for (const entry of plan) {
+    const choice = choices[entry.note.id] ?? defaultChoice(entry.status)
+    if (entry.status === 'new') {
+      added.push(entry.note)
+      counts.added++
+    } else if (choice === 'theirs') {
+      replace.set(entry.note.id, entry.note)
+      counts.replaced++
+    } else if (choice === 'both') {
+      const now = Date.now()
+      added.push({ ...entry.note, id: crypto.randomUUID(), title: `${entry.note.title || 'Untitled'} (imported copy)`, createdAt: now, updatedAt: now })
+      counts.copied++
+    } else {
+      counts.kept++
+    }
+  }
+  const notes = [...added, ...localNotes.map(n => replace.get(n.id) || n)]
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+  return { notes, counts }
+}
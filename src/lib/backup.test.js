@@ -0,0 +1,50 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect } from 'vitest'
+// jsdom's File cannot be read back; Node's can
+import { File } from 'node:buffer'
+import { buildExport, parseExport } from './backup.js'
+import { loadNoteAttachments, storeAttachment, withheldAttachments } from './attachments.js'
+
+function readText(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(blob)
+  })
+}
+
+function note(fields) {
+  return { title: '', html: '', text: '', tags: [], createdAt: 1, updatedAt: 1, encrypted: false, encryptedPayload: null, ...fields }
+}
+
+describe('JSON export round trip', () => {
+  it('bundles plain notes’ attachments and reports the encrypted notes’ ones it leaves out', async () => {
+    const photo = await storeAttachment(new File(['photo bytes'], 'photo.png', { type: 'image/png' }))
+    const scan = await storeAttachment(new File(['scan bytes'], 'scan.pdf', { type: 'application/pdf' }))
+    const plain = note({ id: 'plain', title: 'Plain', html: `<p><img data-attachment="${photo.id}"></p>`, attachments: [photo.id] })
+    const secret = note({ id: 'secret', title: 'Secret', encrypted: true, encryptedPayload: { salt: 's', iv: 'i', ciphertext: 'c' }, attachments: [scan.id] })
+    const notes = [plain, secret]
+
+    const exported = await buildExport({ notes, notebooks: [], attachments: await loadNoteAttachments(notes) })
+    const restored = parseExport(JSON.stringify(exported))
+
+    expect(restored.errors).toEqual([])
+    expect(restored.attachments.map(a => a.id)).toEqual([photo.id])
+    expect(await readText(restored.attachments[0].blob)).toBe('photo bytes')
+    expect(restored.notes.find(n => n.id === 'plain').attachments).toEqual([photo.id])
+    // The encrypted note still refers to its file, which the export could not carry
+    expect(restored.notes.find(n => n.id === 'secret').attachments).toEqual([scan.id])
+    expect(await withheldAttachments(notes)).toEqual([{ note: secret, names: ['scan.pdf'] }])
+  })
+
+  it('reports nothing when an attachment also belongs to an exported plain note', async () => {
+    const shared = await storeAttachment(new File(['x'], 'shared.png', { type: 'image/png' }))
+    const notes = [
+      note({ id: 'a', attachments: [shared.id] }),
+      note({ id: 'b', encrypted: true, encryptedPayload: { salt: 's', iv: 'i', ciphertext: 'c' }, attachments: [shared.id] })
+    ]
+    expect((await loadNoteAttachments(notes)).map(a => a.id)).toEqual([shared.id])
+    expect(await withheldAttachments(notes)).toEqual([])
+  })
+})
@@ -0,0 +1,118 @@
+import * as Y from 'yjs'
+import { WebsocketProvider } from 'y-websocket'
+import { prosemirrorToYXmlFragment } from '@tiptap/y-tiptap'
+import { bytesToBase64, base64ToBytes } from './crypto.js'
+import { loadFromStorage, saveToStorage } from './storage.js'
+import { parseNoteHtml } from './editor.js'
+
+// Collaborative editing: a note's content lives in a Y.Doc (a CRDT) holding the editor's document,
+// kept in sync with other editors through the relay in server/relay.js.
+export const DEFAULT_RELAY_URL = import.meta?.env?.VITE_COLLAB_URL || 'ws://localhost:1234'
+
+const FRAGMENT = 'prosemirror'
+const STATE_SAVE_DELAY = 1000
+const COLLAB_HASH = /^#collab=([^&]+)&relay=(.+)$/
+const COLORS = ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#06b6d4', '#ef4444', '#8b5cf6', '#84cc16']
+
+export function loadCollabUser() {
+  const stored = loadFromStorage('pp_collab_user', null)
+  return stored || { name: '', color: COLORS[Math.floor(Math.random() * COLORS.length)] }
+}
+
+export function saveCollabUser(user) {
+  saveToStorage('pp_collab_user', user)
+}
+
+export function createCollabSession(relay = DEFAULT_RELAY_URL) {
+  return { room: crypto.randomUUID(), relay }
+}
+
+export function collabInviteLink({ room, relay }) {
+  const base = `${window.location.origin}${window.location.pathname}`
+  return `${base}#collab=${encodeURIComponent(room)}&relay=${encodeURIComponent(relay)}`
+}
+
+// Invites only name WebSocket relays; `host` is what the user is asked to trust before joining
+export function parseCollabHash(hash) {
+  const match = COLLAB_HASH.exec(hash || '')
+  if (!match) return null
+  try {
+    const relay = decodeURIComponent(match[2])
+    const { protocol, host } = new URL(relay)
+    if (protocol !== 'ws:' && protocol !== 'wss:') return null
+    return { room: decodeURIComponent(match[1]), relay, host }
+  } catch {
+    return null
+  }
+}
+
+export function clearCollabHash() {
+  window.history.replaceState(null, '', window.location.pathname + window.location.search)
+}
+
+// Only the note that starts a session seeds the document; joiners start empty and receive it,
+// otherwise every participant would add their own copy of the content
+export function seedCollabState(html) {
+  const doc = new Y.Doc()
+  prosemirrorToYXmlFragment(parseNoteHtml(html), doc.getXmlFragment(FRAGMENT))
+  const state = encodeState(doc)
+  doc.destroy()
+  return state
+}
+
+function encodeState(doc) {
+  return bytesToBase64(Y.encodeStateAsUpdate(doc))
+}
+
+// Opens the shared document for a room. The editor binds to { doc, provider, field } through its
+// collaboration extensions; this keeps the saved state, presence and connection status up to date.
+export function openCollabRoom({ collab, state, user, onState, onStatus, onPeers }) {
+  const doc = new Y.Doc()
+  if (state) Y.applyUpdate(doc, base64ToBytes(state))
+
+  const provider = new WebsocketProvider(collab.relay, collab.room, doc)
+  const awareness = provider.awareness
+  awareness.setLocalStateField('user', user)
+
+  let saveTimer = null
+  const flushState = () => {
+    clearTimeout(saveTimer)
+    saveTimer = null
+    onState(encodeState(doc))
+  }
+  doc.on('update', () => {
+    clearTimeout(saveTimer)
+    saveTimer = setTimeout(flushState, STATE_SAVE_DELAY)
+  })
+
+  const emitPeers = () => {
+    const peers = []
+    awareness.getStates().forEach((peer, clientId) => {
+      if (peer.user) peers.push({ clientId, ...peer.user, self: clientId === doc.clientID })
+    })
+    onPeers?.(peers)
+  }
+  awareness.on('change', emitPeers)
+  emitPeers()
+
+  provider.on('status', ({ status }) => onStatus?.(status))
+
+  return {
+    doc,
+    provider,
+    field: FRAGMENT,
+    user,
+    // Merges a state saved elsewhere, e.g. by another tab; CRDT updates are idempotent
+    applyState(nextState) {
+      if (nextState) Y.applyUpdate(doc, base64ToBytes(nextState))
+    },
+    setUser(nextUser) {
+      awareness.setLocalStateField('user', nextUser)
+    },
+    destroy() {
+      if (saveTimer) flushState()
+      provider.destroy()
+      doc.destroy()
+    }
+  }
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest'
+import { collabInviteLink, parseCollabHash } from './collab.js'
+
+describe('parseCollabHash', () => {
+  it('reads back an invite link with the relay host', () => {
+    const link = collabInviteLink({ room: 'room 1', relay: 'wss://relay.example:8443/collab' })
+    expect(parseCollabHash(new URL(link).hash)).toEqual({ room: 'room 1', relay: 'wss://relay.example:8443/collab', host: 'relay.example:8443' })
+  })
+
+  it('ignores invites to anything but a WebSocket relay', () => {
+    ['https://relay.example', 'javascript:alert(1)', 'not a url'].forEach(relay => {
+      expect(parseCollabHash(`#collab=room&relay=${encodeURIComponent(relay)}`)).toBeNull()
+    })
+  })
+
+  it('ignores other hashes and malformed escapes', () => {
+    expect(parseCollabHash('#share=abc')).toBeNull()
+    expect(parseCollabHash('#collab=%E0%A4%A&relay=ws%3A%2F%2Flocalhost%3A1234')).toBeNull()
+  })
+})
@@ -0,0 +1,124 @@
+import { loadFromStorage, saveToStorage } from './storage.js'
+
+// Commands for the palette and keyboard shortcuts. A shortcut is written like 'Mod+Shift+K',
+// where Mod is Ctrl (or Cmd on a Mac). Only changes from the defaults are stored, so new
+// defaults reach people who never rebound anything.
+const SHORTCUTS_KEY = 'pp_shortcuts'
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '')
+
+export const DEFAULT_SHORTCUTS = {
+  palette: 'Mod+K',
+  save: 'Mod+S',
+  // Ctrl+N belongs to the browser (new window) and can't be taken over
+  newNote: 'Alt+N',
+  quickCapture: 'Alt+Q',
+  toggleTheme: 'Alt+Shift+T',
+  showTasks: 'Alt+Shift+K',
+  history: 'Alt+H',
+  encrypt: 'Alt+Shift+E',
+  'ai.summarize': 'Alt+Shift+S',
+  grammar: 'Alt+Shift+G'
+}
+
+// Shortcuts the browser handles itself before the page sees them
+export const RESERVED_SHORTCUTS = new Set(['Mod+N', 'Mod+Shift+N', 'Mod+T', 'Mod+Shift+T', 'Mod+W', 'Mod+Q', 'Mod+Tab'])
+
+// Formatting in the open note; the editor's own shortcuts (Ctrl+B, Ctrl+I, ...) keep working as well
+export const FORMAT_COMMANDS = [
+  { id: 'format.bold', label: 'Bold', run: c => c.toggleBold() },
+  { id: 'format.italic', label: 'Italic', run: c => c.toggleItalic() },
+  { id: 'format.underline', label: 'Underline', run: c => c.toggleUnderline() },
+  { id: 'format.strike', label: 'Strikethrough', run: c => c.toggleStrike() },
+  { id: 'format.code', label: 'Inline code', run: c => c.toggleCode() },
+  { id: 'format.paragraph', label: 'Paragraph', run: c => c.setParagraph() },
+  { id: 'format.h1', label: 'Heading 1', run: c => c.setHeading({ level: 1 }) },
+  { id: 'format.h2', label: 'Heading 2', run: c => c.setHeading({ level: 2 }) },
+  { id: 'format.h3', label: 'Heading 3', run: c => c.setHeading({ level: 3 }) },
+  { id: 'format.codeBlock', label: 'Code block', run: c => c.toggleCodeBlock() },
+  { id: 'format.bulletList', label: 'Bulleted list', run: c => c.toggleBulletList() },
+  { id: 'format.orderedList', label: 'Numbered list', run: c => c.toggleOrderedList() },
+  { id: 'format.taskList', label: 'Checklist', run: c => c.toggleTaskList() },
+  { id: 'format.blockquote', label: 'Quote', run: c => c.toggleBlockquote() },
+  { id: 'format.table', label: 'Insert table', run: c => c.insertTable({ rows: 3, cols: 3, withHeaderRow: true }) },
+  { id: 'format.alignLeft', label: 'Align left', run: c => c.setTextAlign('left') },
+  { id: 'format.alignCenter', label: 'Align center', run: c => c.setTextAlign('center') },
+  { id: 'format.alignRight', label: 'Align right', run: c => c.setTextAlign('right') },
+  { id: 'format.clear', label: 'Clear formatting', run: c => c.unsetAllMarks() },
+  { id: 'format.undo', label: 'Undo', run: c => c.undo() },
+  { id: 'format.redo', label: 'Redo', run: c => c.redo() }
+]
+
+// The shortcut a keydown event stands for, or null for plain typing. Letters and digits come from
+// the physical key, so Alt combinations work on layouts where Alt types another character.
+export function eventShortcut(e) {
+  const code = e.code?.match(/^(?:Key([A-Z])|Digit(\d))$/)
+  const key = code ? code[1] || code[2] : e.key.length === 1 ? e.key.toUpperCase() : e.key
+  if (['Control', 'Meta', 'Alt', 'Shift', 'Dead', 'Unidentified'].includes(key)) return null
+  const mod = e.ctrlKey || e.metaKey
+  if (!mod && !e.altKey && !/^F\d{1,2}$/.test(key)) return null
+  return [mod && 'Mod', e.altKey && 'Alt', e.shiftKey && 'Shift', key === ' ' ? 'Space' : key].filter(Boolean).join('+')
+}
+
+export function formatShortcut(shortcut) {
+  if (!shortcut) return ''
+  return shortcut.split('+').map(part => ({
+    Mod: IS_MAC ? '⌘' : 'Ctrl',
+    Alt: IS_MAC ? '⌥' : 'Alt',
+    Shift: IS_MAC ? '⇧' : 'Shift'
+  })[part] || part).join(IS_MAC ? '' : '+')
+}
+
+// { commandId: shortcut } with the user's changes applied; '' means unbound
+export function loadShortcuts() {
+  return { ...DEFAULT_SHORTCUTS, ...loadFromStorage(SHORTCUTS_KEY, {}) }
+}
+
+export function saveShortcuts(shortcuts) {
+  const changes = {}
+  new Set([...Object.keys(DEFAULT_SHORTCUTS), ...Object.keys(shortcuts)]).forEach(id => {
+    const value = shortcuts[id] || ''
+    if (value !== (DEFAULT_SHORTCUTS[id] || '')) changes[id] = value
+  })
+  saveToStorage(SHORTCUTS_KEY, changes)
+}
+
+// Map of shortcut → command ids, for shortcuts bound to more than one command
+export function shortcutConflicts(shortcuts) {
+  const byShortcut = new Map()
+  Object.entries(shortcuts).forEach(([id, shortcut]) => {
+    if (!shortcut) return
+    byShortcut.set(shortcut, [...(byShortcut.get(shortcut) || []), id])
+  })
+  return new Map([...byShortcut].filter(([, ids]) => ids.length > 1))
+}
+
+// Subsequence match of the query in the text: higher for consecutive letters and word starts.
+// Returns null when the text doesn't contain the query's letters in order.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '')
+  const t = text.toLowerCase()
+  if (!q) return 0
+  let score = 0
+  let at = -1
+  for (const ch of q) {
+    const next = t.indexOf(ch, at + 1)
+    if (next === -1) return null
+    score += next === at + 1 ? 3 : 1
+    if (next === 0 || /[\s\-_/.]/.test(t[next - 1])) score += 2
+    at = next
+  }
+  // Shorter labels win ties, so "Bold" ranks above "Bold the whole line"
+  return score - t.length / 100
+}
+
+// The palette's results: best matches first, listing order for ties
+export function searchCommands(commands, query, limit = 50) {
+  return commands
+    .map((command, order) => ({ command, order, score: fuzzyScore(query, `${command.group} ${command.label}`) }))
+    .filter(r => r.score !== null)
+    .map(r => ({ ...r, score: Math.max(r.score, fuzzyScore(query, r.command.label) ?? -Infinity) }))
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(r => r.command)
+}
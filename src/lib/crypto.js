@@ -0,0 +1,49 @@
+// Crypto helpers (AES-GCM with PBKDF2)
+
+// Chunked so large payloads don't blow the argument limit of String.fromCharCode
+export function bytesToBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+export function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0))
+}
+
+export async function deriveKey(password, salt) {
+  const enc = new TextEncoder()
+  const baseKey = await crypto.subtle.importKey('raw', enc.encode(password), { name: 'PBKDF2' }, false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+export async function encryptString(content, password) {
+  const enc = new TextEncoder()
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const key = await deriveKey(password, salt)
+  const cipherBuf = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(content))
+  return {
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(cipherBuf))
+  }
+}
+
+export async function decryptString(encrypted, password) {
+  const dec = new TextDecoder()
+  const salt = base64ToBytes(encrypted.salt)
+  const iv = base64ToBytes(encrypted.iv)
+  const data = base64ToBytes(encrypted.ciphertext)
+  const key = await deriveKey(password, salt)
+  const plainBuf = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data)
+  return dec.decode(plainBuf)
+}
@@ -0,0 +1,470 @@
+import { loadFromStorage } from './storage.js'
+import { broadcastNoteChanges } from './tabSync.js'
+
+// Note storage backed by IndexedDB: one record per note, only changed notes are written.
+// Falls back to the legacy localStorage array when IndexedDB is unavailable.
+const DB_NAME = 'playpower-notes'
+const DB_VERSION = 4
+const NOTES_STORE = 'notes'
+const META_STORE = 'meta'
+const HISTORY_STORE = 'history'
+const ATTACHMENTS_STORE = 'attachments'
+const EMBEDDINGS_STORE = 'embeddings'
+const LEGACY_KEY = 'pp_notes'
+
+let dbPromise = null
+let useLocalStorage = false
+// Last persisted object per note id; notes are updated immutably so a reference check finds changes
+let persisted = new Map()
+// Stored revision each persisted note is based on, to notice writes from other tabs
+let revisions = new Map()
+// Revision of the stored record each note object was read from
+const readRevisions = new WeakMap()
+let writeQueue = Promise.resolve()
+// Vault encryption: when a cipher is set, records are stored as { <clear fields>, vault: <sealed record> }.
+// `locked` means a vault exists but its key is not loaded, so nothing may be read or written.
+let cipher = null
+let locked = false
+
+const NOTE_CLEAR_FIELDS = ['id']
+// noteId and createdAt stay readable for the history index and retention policy
+const SNAPSHOT_CLEAR_FIELDS = ['id', 'noteId', 'createdAt']
+// Attachments unused for this long may be removed; younger ones can belong to an edit not saved yet
+const ATTACHMENT_GRACE_MS = 60 * 60 * 1000
+
+export function isQuotaError(error) {
+  return !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22
+  )
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'))
+  })
+}
+
+export function setRecordCipher(next, { locked: isLocked = false } = {}) {
+  cipher = next
+  locked = isLocked
+}
+
+function assertUnlocked() {
+  if (locked) throw new Error('Vault is locked')
+}
+
+async function sealRecord(record, clearFields) {
+  assertUnlocked()
+  if (!cipher) return record
+  const clear = {}
+  clearFields.forEach(f => { if (record[f] !== undefined) clear[f] = record[f] })
+  return { ...clear, vault: await cipher.seal(record) }
+}
+
+// Records written before the vault was enabled (or after it was disabled) are read as-is
+async function openRecord(record) {
+  if (!record?.vault) return record
+  assertUnlocked()
+  if (!cipher) throw new Error('Vault is locked')
+  return { ...await cipher.open(record.vault), id: record.id }
+}
+
+// Attachments are stored as { id, name, type, size, createdAt, blob }. Sealed, the name and type go
+// into `vault` and the blob holds the encrypted bytes; size and createdAt stay readable for usage and cleanup.
+async function sealAttachment(attachment) {
+  assertUnlocked()
+  if (!cipher) return attachment
+  const { blob, ...meta } = attachment
+  const { iv, data } = await cipher.sealBytes(await blob.arrayBuffer())
+  return { id: meta.id, size: meta.size, createdAt: meta.createdAt, vault: await cipher.seal(meta), iv, blob: new Blob([data]) }
+}
+
+async function openAttachment(record) {
+  if (!record?.vault) return record
+  assertUnlocked()
+  if (!cipher) throw new Error('Vault is locked')
+  const meta = await cipher.open(record.vault)
+  const data = await cipher.openBytes({ iv: record.iv, data: await record.blob.arrayBuffer() })
+  return { ...meta, id: record.id, blob: new Blob([data], { type: meta.type }) }
+}
+
+async function readLegacyNotes() {
+  const stored = loadFromStorage(LEGACY_KEY, [])
+  if (Array.isArray(stored)) return stored
+  if (stored?.vault) {
+    assertUnlocked()
+    if (cipher) return cipher.open(stored.vault)
+  }
+  return []
+}
+
+async function writeLegacyNotes(notes) {
+  assertUnlocked()
+  const value = cipher ? { vault: await cipher.seal(notes) } : notes
+  // Unlike saveToStorage, let quota errors reach the caller
+  localStorage.setItem(LEGACY_KEY, JSON.stringify(value))
+}
+
+// All writes go through one queue so a slow transaction can't be overtaken by a newer one
+function enqueue(task) {
+  const run = writeQueue.then(task)
+  writeQueue = run.catch(() => {})
+  return run
+}
+
+export function flushWrites() {
+  return writeQueue
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        if (!db.objectStoreNames.contains(NOTES_STORE)) db.createObjectStore(NOTES_STORE, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE)
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true })
+            .createIndex('noteId', 'noteId')
+        }
+        if (!db.objectStoreNames.contains(ATTACHMENTS_STORE)) db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(EMBEDDINGS_STORE)) db.createObjectStore(EMBEDDINGS_STORE, { keyPath: 'id' })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+  return dbPromise
+}
+
+// Moves the old pp_notes array into IndexedDB once; the localStorage copy is only removed after the write commits
+async function migrateFromLocalStorage(db) {
+  const meta = db.transaction(META_STORE, 'readonly').objectStore(META_STORE)
+  if (await request(meta.get('migratedFromLocalStorage'))) return
+  const legacy = (await readLegacyNotes()).filter(n => n?.id)
+  const records = await Promise.all(legacy.map(n => sealRecord(n, NOTE_CLEAR_FIELDS)))
+  const tx = db.transaction([NOTES_STORE, META_STORE], 'readwrite')
+  const store = tx.objectStore(NOTES_STORE)
+  records.forEach(r => store.put(r))
+  tx.objectStore(META_STORE).put(Date.now(), 'migratedFromLocalStorage')
+  await transactionDone(tx)
+  try {
+    localStorage.removeItem(LEGACY_KEY)
+  } catch (error) {
+    console.warn('Failed to remove migrated notes from localStorage:', error)
+  }
+}
+
+export async function loadNotes() {
+  let db = null
+  try {
+    db = await openDb()
+  } catch (error) {
+    console.warn('IndexedDB unavailable, falling back to localStorage:', error)
+    useLocalStorage = true
+  }
+  let notes
+  if (db) {
+    await migrateFromLocalStorage(db)
+    const records = await request(db.transaction(NOTES_STORE, 'readonly').objectStore(NOTES_STORE).getAll())
+    notes = await Promise.all(records.map(openNoteRecord))
+  } else {
+    notes = await readLegacyNotes()
+  }
+  persisted = new Map(notes.map(n => [n.id, n]))
+  revisions = new Map(notes.filter(n => readRevisions.has(n)).map(n => [n.id, readRevisions.get(n)]))
+  return notes
+}
+
+// Sealed records get a fresh IV on every write, so it doubles as a revision id
+function revisionOf(record) {
+  return record.vault ? record.vault.iv : record.updatedAt
+}
+
+async function openNoteRecord(record) {
+  const note = await openRecord(record)
+  readRevisions.set(note, revisionOf(record))
+  return note
+}
+
+// localStorage fallback: another tab wrote this note since we last read or wrote it
+function isStale(stored, base) {
+  return !!stored && !!base && stored.updatedAt !== base.updatedAt
+}
+
+async function readStoredNotes(db, ids) {
+  if (!ids.length) return []
+  const store = db.transaction(NOTES_STORE, 'readonly').objectStore(NOTES_STORE)
+  const records = await Promise.all(ids.map(id => request(store.get(id))))
+  return Promise.all(records.filter(Boolean).map(openNoteRecord))
+}
+
+async function writeLegacyChanges(changed, removed) {
+  // Merge into what is stored now rather than overwriting it, so notes saved by other tabs survive
+  const stored = new Map((await readLegacyNotes()).map(n => [n.id, n]))
+  const conflicts = changed.filter(n => isStale(stored.get(n.id), persisted.get(n.id)))
+  const written = changed.filter(n => !conflicts.includes(n))
+  written.forEach(n => stored.set(n.id, n))
+  removed.forEach(id => stored.delete(id))
+  await writeLegacyNotes(Array.from(stored.values()))
+  return { written, conflicts }
+}
+
+async function writeChanges(notes) {
+  const ids = new Set(notes.map(n => n.id))
+  const changed = notes.filter(n => persisted.get(n.id) !== n)
+  const removed = [...persisted.keys()].filter(id => !ids.has(id))
+  if (!changed.length && !removed.length) return { written: [], removed: [], conflicts: [] }
+
+  let written, conflicts
+  if (useLocalStorage) {
+    ({ written, conflicts } = await writeLegacyChanges(changed, removed))
+  } else {
+    // Seal before opening the transaction: awaiting crypto inside it would let it auto-commit
+    const records = await Promise.all(changed.map(n => sealRecord(n, NOTE_CLEAR_FIELDS)))
+    const db = await openDb()
+    const tx = db.transaction([NOTES_STORE, HISTORY_STORE], 'readwrite')
+    const store = tx.objectStore(NOTES_STORE)
+    const history = tx.objectStore(HISTORY_STORE)
+    written = []
+    conflicts = []
+    // Compare and write in one transaction so no other tab can slip a write in between
+    changed.forEach((note, i) => {
+      const put = () => {
+        store.put(records[i])
+        written.push(note)
+      }
+      if (!revisions.has(note.id)) return put()
+      store.get(note.id).onsuccess = e => {
+        const stored = e.target.result
+        if (stored && revisionOf(stored) !== revisions.get(note.id)) conflicts.push(note)
+        else put()
+      }
+    })
+    removed.forEach(id => {
+      store.delete(id)
+      history.index('noteId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = e => {
+        const cursor = e.target.result
+        if (!cursor) return
+        history.delete(cursor.primaryKey)
+        cursor.continue()
+      }
+    })
+    await transactionDone(tx)
+    written.forEach(n => revisions.set(n.id, revisionOf(records[changed.indexOf(n)])))
+  }
+  written.forEach(n => persisted.set(n.id, n))
+  removed.forEach(id => {
+    persisted.delete(id)
+    revisions.delete(id)
+  })
+  broadcastNoteChanges({ changed: written.map(n => n.id), removed })
+  return { written, removed, conflicts }
+}
+
+// Resolves with { written, removed, conflicts }: removed holds deleted ids, conflicts are notes
+// left unsaved because another tab changed them first
+export function saveNotes(notes) {
+  return enqueue(() => writeChanges(notes))
+}
+
+// Reads the current stored version of some notes, e.g. after another tab reported changing them
+export function loadNotesById(ids) {
+  return enqueue(async () => {
+    if (useLocalStorage) {
+      const wanted = new Set(ids)
+      return (await readLegacyNotes()).filter(n => wanted.has(n.id))
+    }
+    return readStoredNotes(await openDb(), ids)
+  })
+}
+
+// The version this tab last read or wrote, which local edits are based on
+export function persistedVersion(id) {
+  return persisted.get(id)
+}
+
+// Records notes taken over from another tab as the new base, so they are not written back
+export function markPersisted(notes, removedIds = []) {
+  notes.forEach(n => {
+    persisted.set(n.id, n)
+    if (readRevisions.has(n)) revisions.set(n.id, readRevisions.get(n))
+  })
+  removedIds.forEach(id => {
+    persisted.delete(id)
+    revisions.delete(id)
+  })
+}
+
+// Version history snapshots ({ id, noteId, createdAt, ... }); unavailable on the localStorage fallback
+export async function listSnapshots(noteId) {
+  if (useLocalStorage) return []
+  const db = await openDb()
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('noteId')
+  const records = await request(index.getAll(IDBKeyRange.only(noteId)))
+  const snapshots = await Promise.all(records.map(openRecord))
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+export function writeSnapshots({ put = [], remove = [] }) {
+  if (useLocalStorage || (!put.length && !remove.length)) return Promise.resolve()
+  return enqueue(async () => {
+    const records = await Promise.all(put.map(s => sealRecord(s, SNAPSHOT_CLEAR_FIELDS)))
+    const db = await openDb()
+    const tx = db.transaction(HISTORY_STORE, 'readwrite')
+    const store = tx.objectStore(HISTORY_STORE)
+    records.forEach(r => store.put(r))
+    remove.forEach(id => store.delete(id))
+    await transactionDone(tx)
+  })
+}
+
+function assertAttachmentStorage() {
+  if (useLocalStorage) throw new Error('Attachments need IndexedDB, which is not available in this browser.')
+}
+
+// Stores a file for a note; resolves with its { id, name, type, size }
+export function saveAttachment({ id, name, type, blob }) {
+  return enqueue(async () => {
+    assertAttachmentStorage()
+    const attachment = { id, name, type, size: blob.size, createdAt: Date.now(), blob }
+    const record = await sealAttachment(attachment)
+    const db = await openDb()
+    const tx = db.transaction(ATTACHMENTS_STORE, 'readwrite')
+    tx.objectStore(ATTACHMENTS_STORE).put(record)
+    await transactionDone(tx)
+    return { id, name, type, size: attachment.size }
+  })
+}
+
+// Resolves with { id, name, type, size, createdAt, blob }, or null when it is not stored here
+export async function loadAttachment(id) {
+  if (useLocalStorage) return null
+  const db = await openDb()
+  const record = await request(db.transaction(ATTACHMENTS_STORE, 'readonly').objectStore(ATTACHMENTS_STORE).get(id))
+  return record ? openAttachment(record) : null
+}
+
+export async function storedAttachmentIds() {
+  if (useLocalStorage) return new Set()
+  const db = await openDb()
+  return new Set(await request(db.transaction(ATTACHMENTS_STORE, 'readonly').objectStore(ATTACHMENTS_STORE).getAllKeys()))
+}
+
+export async function attachmentUsage() {
+  if (useLocalStorage) return { count: 0, bytes: 0 }
+  const db = await openDb()
+  const records = await request(db.transaction(ATTACHMENTS_STORE, 'readonly').objectStore(ATTACHMENTS_STORE).getAll())
+  return { count: records.length, bytes: records.reduce((sum, r) => sum + (r.size || 0), 0) }
+}
+
+// Deletes attachments that no stored note or snapshot refers to (note.attachments lists the ids
+// a note uses, also while it is encrypted). Resolves with the number removed.
+export function collectAttachmentGarbage() {
+  if (useLocalStorage) return Promise.resolve(0)
+  return enqueue(async () => {
+    const db = await openDb()
+    const read = db.transaction([NOTES_STORE, HISTORY_STORE, ATTACHMENTS_STORE], 'readonly')
+    const [noteRecords, snapshotRecords, attachmentRecords] = await Promise.all([
+      request(read.objectStore(NOTES_STORE).getAll()),
+      request(read.objectStore(HISTORY_STORE).getAll()),
+      request(read.objectStore(ATTACHMENTS_STORE).getAll())
+    ])
+    const cutoff = Date.now() - ATTACHMENT_GRACE_MS
+    const candidates = attachmentRecords.filter(r => r.createdAt < cutoff)
+    if (!candidates.length) return 0
+    const records = await Promise.all([...noteRecords, ...snapshotRecords].map(openRecord))
+    const used = new Set(records.flatMap(r => r.attachments || []))
+    const unused = candidates.filter(r => !used.has(r.id))
+    if (!unused.length) return 0
+    const tx = db.transaction(ATTACHMENTS_STORE, 'readwrite')
+    unused.forEach(r => tx.objectStore(ATTACHMENTS_STORE).delete(r.id))
+    await transactionDone(tx)
+    return unused.length
+  })
+}
+
+// Note vectors for related notes ({ id, model, key, vector }, id being the note's). Only a cache:
+// the localStorage fallback keeps none, and anything missing is computed again.
+export async function loadEmbeddings() {
+  if (useLocalStorage) return []
+  const db = await openDb()
+  const records = await request(db.transaction(EMBEDDINGS_STORE, 'readonly').objectStore(EMBEDDINGS_STORE).getAll())
+  return Promise.all(records.map(openRecord))
+}
+
+export function writeEmbeddings({ put = [], remove = [] }) {
+  if (useLocalStorage || (!put.length && !remove.length)) return Promise.resolve()
+  return enqueue(async () => {
+    const records = await Promise.all(put.map(e => sealRecord(e, NOTE_CLEAR_FIELDS)))
+    const db = await openDb()
+    const tx = db.transaction(EMBEDDINGS_STORE, 'readwrite')
+    const store = tx.objectStore(EMBEDDINGS_STORE)
+    records.forEach(r => store.put(r))
+    remove.forEach(id => store.delete(id))
+    await transactionDone(tx)
+  })
+}
+
+// Re-encrypts every stored note, snapshot and attachment under `nextCipher` (null stores them in plain form)
+export function rewriteAllRecords(nextCipher) {
+  return enqueue(async () => {
+    if (useLocalStorage) {
+      const notes = await readLegacyNotes()
+      setRecordCipher(nextCipher)
+      await writeLegacyNotes(notes)
+      return
+    }
+    const db = await openDb()
+    const read = db.transaction([NOTES_STORE, HISTORY_STORE, ATTACHMENTS_STORE], 'readonly')
+    const [noteRecords, snapshotRecords, attachmentRecords] = await Promise.all([
+      request(read.objectStore(NOTES_STORE).getAll()),
+      request(read.objectStore(HISTORY_STORE).getAll()),
+      request(read.objectStore(ATTACHMENTS_STORE).getAll())
+    ])
+    const notes = await Promise.all(noteRecords.map(openRecord))
+    const snapshots = await Promise.all(snapshotRecords.map(openRecord))
+    const attachments = await Promise.all(attachmentRecords.map(openAttachment))
+
+    setRecordCipher(nextCipher)
+    const sealedNotes = await Promise.all(notes.map(n => sealRecord(n, NOTE_CLEAR_FIELDS)))
+    const sealedSnapshots = await Promise.all(snapshots.map(s => sealRecord(s, SNAPSHOT_CLEAR_FIELDS)))
+    const sealedAttachments = await Promise.all(attachments.map(sealAttachment))
+    const tx = db.transaction([NOTES_STORE, HISTORY_STORE, ATTACHMENTS_STORE, EMBEDDINGS_STORE], 'readwrite')
+    // Cached vectors are dropped rather than re-encrypted; they are made again when needed
+    tx.objectStore(EMBEDDINGS_STORE).clear()
+    sealedNotes.forEach(r => tx.objectStore(NOTES_STORE).put(r))
+    sealedSnapshots.forEach(r => tx.objectStore(HISTORY_STORE).put(r))
+    sealedAttachments.forEach(r => tx.objectStore(ATTACHMENTS_STORE).put(r))
+    await transactionDone(tx)
+    sealedNotes.forEach(r => { if (revisions.has(r.id)) revisions.set(r.id, revisionOf(r)) })
+    // Same notes, new revisions: tabs that go on writing pick those up before their next save
+    broadcastNoteChanges({ changed: notes.map(n => n.id) })
+  })
+}
+
+export async function estimateUsage() {
+  try {
+    if (!navigator.storage?.estimate) return null
+    const { usage, quota } = await navigator.storage.estimate()
+    return { usage, quota }
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,79 @@
+// Word-level diff (Myers' O(ND) algorithm) used by the version history panel
+
+// Past this many edits the diff is shown as a full replacement rather than computed
+const MAX_EDIT_DISTANCE = 2000
+
+function tokenize(text) {
+  return (text || '').split(/(\s+)/).filter(Boolean)
+}
+
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const v = { 1: 0 }
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push({ ...v })
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) { x++; y++ }
+      v[k] = x
+      if (x >= n && y >= m) return backtrack(trace, a, b)
+    }
+  }
+  return [
+    ...a.map(token => ({ type: 'del', token })),
+    ...b.map(token => ({ type: 'add', token }))
+  ]
+}
+
+function backtrack(trace, a, b) {
+  const ops = []
+  let x = a.length
+  let y = b.length
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]
+    const k = x - y
+    const prevK = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? k + 1 : k - 1
+    const prevX = v[prevK]
+    const prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'same', token: a[x - 1] })
+      x--; y--
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'add', token: b[y - 1] })
+      else ops.push({ type: 'del', token: a[x - 1] })
+    }
+    x = prevX
+    y = prevY
+  }
+  return ops.reverse()
+}
+
+// Returns [{ type: 'same' | 'add' | 'del', text }] turning `before` into `after`
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB-- }
+
+  const ops = [
+    ...a.slice(0, start).map(token => ({ type: 'same', token })),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(token => ({ type: 'same', token }))
+  ]
+  const parts = []
+  for (const op of ops) {
+    const last = parts[parts.length - 1]
+    if (last && last.type === op.type) last.text += op.token
+    else parts.push({ type: op.type, text: op.token })
+  }
+  return parts
+}
@@ -0,0 +1,15 @@
+// Triggers a browser download for an in-memory blob
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+export function dateStamp() {
+  return new Date().toISOString().split('T')[0]
+}
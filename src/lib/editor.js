@@ -0,0 +1,410 @@
+import { Extension, InputRule, Mark, Node, getSchema, mergeAttributes } from '@tiptap/core'
+import StarterKit from '@tiptap/starter-kit'
+import Paragraph from '@tiptap/extension-paragraph'
+import { TaskList, TaskItem } from '@tiptap/extension-list'
+import { TableKit } from '@tiptap/extension-table'
+import { TextStyle, FontSize } from '@tiptap/extension-text-style'
+import TextAlign from '@tiptap/extension-text-align'
+import CodeBlockLowlight from '@tiptap/extension-code-block-lowlight'
+import { Placeholder } from '@tiptap/extensions'
+import Collaboration from '@tiptap/extension-collaboration'
+import CollaborationCaret from '@tiptap/extension-collaboration-caret'
+import { DOMParser as PMDOMParser } from '@tiptap/pm/model'
+import { Plugin, PluginKey } from '@tiptap/pm/state'
+import Suggestion from '@tiptap/suggestion'
+import { createLowlight, common } from 'lowlight'
+import { htmlFragment } from './html.js'
+import { storeAttachment, attachmentUrl, downloadAttachment, formatBytes, isImageType } from './attachments.js'
+
+// The note editor's document model (ProseMirror via Tiptap). Notes are still stored as HTML;
+// whatever the schema does not know is dropped on load, so every kind of markup older notes
+// contain has a rule here.
+export const lowlight = createLowlight(common)
+
+export const CODE_LANGUAGES = lowlight.listLanguages().sort()
+
+export const FONT_SIZES = ['12', '14', '16', '20', '24']
+
+// Lines typed into the old contentEditable were <div>s, often carrying text-align.
+// Only a div without block children is a paragraph; others just group their children.
+const BLOCK_CHILD = 'p, div, h1, h2, h3, h4, h5, h6, ul, ol, pre, blockquote, table, hr'
+const NoteParagraph = Paragraph.extend({
+  parseHTML() {
+    return [
+      { tag: 'p' },
+      { tag: 'div', priority: 40, getAttrs: node => node.querySelector(BLOCK_CHILD) ? false : null }
+    ]
+  }
+})
+
+// The old editor's font sizes were <font style="font-size: Npx">, or <font size="N"> (1-7) where
+// the style was never applied; both become text style marks
+const FONT_TAG_SIZES = { 1: '10px', 2: '13px', 3: '16px', 4: '18px', 5: '24px', 6: '32px', 7: '48px' }
+
+function fontTagSize(el) {
+  return el.nodeName === 'FONT' ? FONT_TAG_SIZES[el.getAttribute('size')] || null : null
+}
+
+const NoteTextStyle = TextStyle.extend({
+  parseHTML() {
+    return [
+      ...this.parent(),
+      { tag: 'font', consuming: false, getAttrs: el => el.style.fontSize || fontTagSize(el) ? {} : false }
+    ]
+  }
+})
+
+const NoteFontSize = FontSize.extend({
+  addGlobalAttributes() {
+    return this.parent().map(({ attributes, ...rest }) => ({
+      ...rest,
+      attributes: {
+        ...attributes,
+        fontSize: { ...attributes.fontSize, parseHTML: el => attributes.fontSize.parseHTML(el) || fontTagSize(el) }
+      }
+    }))
+  }
+})
+
+// Grammar marks are written into the note by the grammar check and removed as they are resolved
+const GrammarMark = Mark.create({
+  name: 'grammarError',
+  inclusive: false,
+  excludes: '',
+  addAttributes() {
+    return {
+      match: {
+        default: null,
+        parseHTML: el => el.getAttribute('data-match'),
+        renderHTML: attrs => ({ 'data-match': attrs.match })
+      }
+    }
+  },
+  parseHTML() {
+    return [{ tag: 'span.grammar-error' }]
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['span', mergeAttributes({ class: 'grammar-error' }, HTMLAttributes), 0]
+  }
+})
+
+const GlossaryMark = Mark.create({
+  name: 'glossaryTerm',
+  inclusive: false,
+  addAttributes() {
+    return { title: { default: null } }
+  },
+  parseHTML() {
+    return [{ tag: 'span.glossary-term' }]
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['span', mergeAttributes({ class: 'glossary-term' }, HTMLAttributes), 0]
+  }
+})
+
+// id, name, size and type of the stored file, kept as data-* attributes
+function attachmentAttributes() {
+  const attr = (name, parse = v => v) => ({
+    default: null,
+    parseHTML: el => el.hasAttribute(`data-${name}`) ? parse(el.getAttribute(`data-${name}`)) : null,
+    renderHTML: attrs => attrs[name] === null ? {} : { [`data-${name}`]: attrs[name] }
+  })
+  return { attachment: attr('attachment'), name: attr('name'), size: attr('size', Number), mime: attr('mime') }
+}
+
+const AttachmentImage = Node.create({
+  name: 'attachmentImage',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  draggable: true,
+  addAttributes: attachmentAttributes,
+  parseHTML() {
+    return [{ tag: 'img[data-attachment]' }]
+  },
+  renderHTML({ node, HTMLAttributes }) {
+    return ['img', mergeAttributes(HTMLAttributes, { alt: node.attrs.name || '' })]
+  },
+  // The stored markup has no src; the image is shown from the attachments store
+  addNodeView() {
+    return ({ node }) => {
+      const dom = document.createElement('img')
+      dom.className = 'attachment-image'
+      dom.alt = node.attrs.name || ''
+      dom.title = node.attrs.name || ''
+      attachmentUrl(node.attrs.attachment).then(url => {
+        if (url) dom.src = url
+        else {
+          dom.classList.add('missing')
+          dom.title = `${node.attrs.name || 'Image'} is not stored on this device`
+        }
+      })
+      return { dom }
+    }
+  }
+})
+
+const AttachmentFile = Node.create({
+  name: 'attachmentFile',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  draggable: true,
+  addAttributes: attachmentAttributes,
+  parseHTML() {
+    return [{ tag: 'a.attachment-chip[data-attachment]', priority: 60 }]
+  },
+  renderHTML({ node, HTMLAttributes }) {
+    return ['a', mergeAttributes({ class: 'attachment-chip' }, HTMLAttributes), node.attrs.name || 'Attachment']
+  },
+  addNodeView() {
+    return ({ node }) => {
+      const dom = document.createElement('span')
+      dom.className = 'attachment-chip'
+      dom.title = `Download ${node.attrs.name || 'attachment'}`
+      dom.textContent = `📎 ${node.attrs.name || 'Attachment'}${node.attrs.size ? ` · ${formatBytes(node.attrs.size)}` : ''}`
+      dom.addEventListener('click', () => {
+        downloadAttachment(node.attrs.attachment).catch(error => alert(error.message))
+      })
+      return { dom }
+    }
+  }
+})
+
+// Stores the files and inserts them at `at` (a document position) or at the selection.
+// Images are shown inline, other files as download chips.
+export async function insertAttachments(editor, files, at) {
+  const nodes = []
+  for (const file of files) {
+    try {
+      const { id, name, type, size } = await storeAttachment(file)
+      nodes.push({ type: isImageType(type) ? 'attachmentImage' : 'attachmentFile', attrs: { attachment: id, name, size, mime: type } })
+    } catch (error) {
+      console.error('Attachment error:', error)
+      alert(`Could not attach “${file.name || 'file'}”: ${error.message}`)
+    }
+  }
+  if (!nodes.length || editor.isDestroyed) return
+  const content = nodes.flatMap((node, i) => i ? [{ type: 'text', text: ' ' }, node] : [node])
+  if (at === undefined) editor.chain().focus().insertContent(content).run()
+  else editor.chain().focus().insertContentAt(Math.min(at, editor.state.doc.content.size), content).run()
+}
+
+// Pasted and dropped files become attachments. A paste that also carries text (e.g. from an
+// office app, which adds a picture of the selection) is left to the normal paste handling.
+const Attachments = Extension.create({
+  name: 'attachments',
+  addProseMirrorPlugins() {
+    const editor = this.editor
+    return [new Plugin({
+      props: {
+        handlePaste(view, event) {
+          const files = Array.from(event.clipboardData?.files || [])
+          if (!files.length || event.clipboardData.getData('text/plain')) return false
+          insertAttachments(editor, files)
+          return true
+        },
+        handleDrop(view, event, slice, moved) {
+          const files = Array.from(event.dataTransfer?.files || [])
+          if (moved || !files.length) return false
+          event.preventDefault()
+          const at = view.posAtCoords({ left: event.clientX, top: event.clientY })?.pos
+          insertAttachments(editor, files, at)
+          return true
+        }
+      }
+    })]
+  }
+})
+
+// The menu shown while typing [[: a plain DOM list, positioned by the suggestion plugin
+function noteLinkMenu() {
+  let element = null
+  let unmount = null
+  let items = []
+  let selected = 0
+  let command = null
+
+  const draw = () => {
+    const options = items.map((item, i) => {
+      const option = document.createElement('button')
+      option.type = 'button'
+      option.className = `note-link-option${i === selected ? ' active' : ''}${item.create ? ' create' : ''}`
+      option.textContent = item.create ? `Link to new note “${item.title}”` : item.title
+      option.addEventListener('mousedown', e => {
+        e.preventDefault()
+        command(item)
+      })
+      return option
+    })
+    if (!options.length) {
+      const empty = document.createElement('div')
+      empty.className = 'note-link-empty'
+      empty.textContent = 'Type a note title'
+      options.push(empty)
+    }
+    element.replaceChildren(...options)
+  }
+  const update = props => {
+    items = props.items
+    command = props.command
+    selected = 0
+    draw()
+  }
+
+  return {
+    onStart: props => {
+      element = document.createElement('div')
+      element.className = 'note-link-menu'
+      update(props)
+      unmount = props.mount(element)
+    },
+    onUpdate: update,
+    onKeyDown: ({ event }) => {
+      if (!items.length) return false
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        selected = (selected + (event.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length
+        draw()
+        return true
+      }
+      if (event.key === 'Enter' || event.key === 'Tab') {
+        command(items[selected])
+        return true
+      }
+      return false
+    },
+    onExit: () => {
+      unmount?.()
+      element = null
+    }
+  }
+}
+
+// A [[link]] to another note. `search(query)` lists { id, title, create? } for the autocomplete and
+// `resolve(title)` finds the id of a note by title; without them the node only parses and renders.
+const NoteLink = Node.create({
+  name: 'noteLink',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  addOptions() {
+    return { search: null, resolve: null }
+  },
+  addAttributes() {
+    return {
+      id: {
+        default: null,
+        parseHTML: el => el.getAttribute('data-note-id') || null,
+        renderHTML: attrs => attrs.id ? { 'data-note-id': attrs.id } : {}
+      },
+      title: {
+        default: '',
+        parseHTML: el => el.getAttribute('data-title') || el.textContent,
+        renderHTML: attrs => ({ 'data-title': attrs.title })
+      }
+    }
+  },
+  parseHTML() {
+    return [{ tag: 'a.note-link', priority: 60 }]
+  },
+  renderHTML({ node, HTMLAttributes }) {
+    return ['a', mergeAttributes({ class: 'note-link' }, HTMLAttributes), node.attrs.title]
+  },
+  renderText({ node }) {
+    return `[[${node.attrs.title}]]`
+  },
+  // Typing the closing ]] links the title, e.g. when it was typed without picking from the menu
+  addInputRules() {
+    return [new InputRule({
+      find: /\[\[([^[\]\n]+)\]\]$/,
+      handler: ({ state, range, match }) => {
+        const title = match[1].trim()
+        if (!title) return null
+        state.tr.replaceWith(range.from, range.to, this.type.create({ id: this.options.resolve?.(title) ?? null, title }))
+      }
+    })]
+  },
+  addProseMirrorPlugins() {
+    if (!this.options.search) return []
+    return [Suggestion({
+      editor: this.editor,
+      pluginKey: new PluginKey('noteLinkSuggestion'),
+      char: '[[',
+      allowSpaces: true,
+      allowedPrefixes: null,
+      items: ({ query }) => this.options.search(query),
+      command: ({ editor, range, props }) => {
+        editor.chain().focus().insertContentAt(range, [
+          { type: 'noteLink', attrs: { id: props.id, title: props.title } },
+          { type: 'text', text: ' ' }
+        ]).run()
+      },
+      render: noteLinkMenu
+    })]
+  }
+})
+
+// Checklist items can carry a due date ('YYYY-MM-DD' or 'YYYY-MM-DD HH:MM') and an assignee,
+// kept as data-due / data-assignee on the <li> (see lib/tasks.js)
+const NoteTaskItem = TaskItem.extend({
+  addAttributes() {
+    return {
+      ...this.parent?.(),
+      due: {
+        default: null,
+        parseHTML: el => el.getAttribute('data-due') || null,
+        renderHTML: attrs => attrs.due ? { 'data-due': attrs.due } : {}
+      },
+      assignee: {
+        default: null,
+        parseHTML: el => el.getAttribute('data-assignee') || null,
+        renderHTML: attrs => attrs.assignee ? { 'data-assignee': attrs.assignee } : {}
+      }
+    }
+  }
+})
+
+// `collab` is { doc, provider, user } while the note is edited together; undo history then
+// comes from the shared document, so only this user's own changes are undone.
+// `noteLinks` is { search, resolve } for [[links]] (see NoteLink).
+export function createExtensions({ collab = null, placeholder = '', noteLinks = null } = {}) {
+  return [
+    StarterKit.configure({
+      paragraph: false,
+      codeBlock: false,
+      undoRedo: collab ? false : undefined,
+      link: { openOnClick: false, autolink: true }
+    }),
+    NoteParagraph,
+    CodeBlockLowlight.configure({ lowlight }),
+    TaskList,
+    NoteTaskItem.configure({ nested: true }),
+    TableKit.configure({ table: { resizable: false } }),
+    NoteTextStyle,
+    NoteFontSize,
+    TextAlign.configure({ types: ['heading', 'paragraph'] }),
+    GrammarMark,
+    GlossaryMark,
+    AttachmentImage,
+    AttachmentFile,
+    Attachments,
+    NoteLink.configure(noteLinks || {}),
+    Placeholder.configure({ placeholder }),
+    ...(collab ? [
+      Collaboration.configure({ document: collab.doc, field: collab.field }),
+      CollaborationCaret.configure({ provider: collab.provider, user: collab.user })
+    ] : [])
+  ]
+}
+
+let schema = null
+
+export function editorSchema() {
+  schema ??= getSchema(createExtensions())
+  return schema
+}
+
+// Parses stored HTML into a ProseMirror document the way the editor would load it
+export function parseNoteHtml(html) {
+  return PMDOMParser.fromSchema(editorSchema()).parse(htmlFragment(html))
+}
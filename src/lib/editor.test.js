@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import { getHTMLFromFragment } from '@tiptap/core'
+import { editorSchema, parseNoteHtml } from './editor.js'
+
+// Stored HTML as the editor would save it after loading it
+function roundTrip(html) {
+  return getHTMLFromFragment(parseNoteHtml(html).content, editorSchema())
+}
+
+describe('parseNoteHtml', () => {
+  it('keeps font sizes set by the old editor', () => {
+    expect(roundTrip('<div>Hello <font style="font-size: 20px;">big</font> world</div>'))
+      .toBe('<p>Hello <span style="font-size: 20px;">big</span> world</p>')
+  })
+
+  it('maps legacy <font size> to a pixel size', () => {
+    expect(roundTrip('<div><font size="5">large</font></div>')).toBe('<p><span style="font-size: 24px;">large</span></p>')
+  })
+
+  it('drops <font> without a size', () => {
+    expect(roundTrip('<div><font face="Arial">plain</font></div>')).toBe('<p>plain</p>')
+  })
+
+  it('keeps sizes set with the current editor', () => {
+    expect(roundTrip('<p><span style="font-size: 14px;">small</span></p>')).toBe('<p><span style="font-size: 14px;">small</span></p>')
+  })
+})
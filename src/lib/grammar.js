@@ -0,0 +1,132 @@
+import { isLocalUrl } from './network.js'
+
+// Grammar checking via LanguageTool (public API or a self-hosted server set by VITE_LT_API_URL)
+const LT_API_URL = import.meta?.env?.VITE_LT_API_URL || 'https://api.languagetool.org/v2'
+
+// A LanguageTool server on this machine also works offline
+export const GRAMMAR_NEEDS_NETWORK = !isLocalUrl(LT_API_URL)
+
+export const AUTO_LANGUAGE = 'auto'
+
+// Used until the server's own list loads, or when it cannot be reached
+export const FALLBACK_LANGUAGES = [
+  { code: 'en-US', name: 'English (US)' },
+  { code: 'en-GB', name: 'English (GB)' },
+  { code: 'de-DE', name: 'German' },
+  { code: 'fr', name: 'French' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt-PT', name: 'Portuguese' },
+  { code: 'nl', name: 'Dutch' }
+]
+
+export const DEFAULT_DICTIONARY = { words: [], rules: [] }
+
+let languagesPromise = null
+
+export function fetchLanguages() {
+  languagesPromise ??= fetch(`${LT_API_URL}/languages`)
+    .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+    .then(list => {
+      // The server lists both base languages and variants; keep one entry per code
+      const seen = new Map()
+      for (const lang of list) if (!seen.has(lang.longCode)) seen.set(lang.longCode, { code: lang.longCode, name: lang.name })
+      return Array.from(seen.values()).sort((a, b) => a.name.localeCompare(b.name))
+    })
+    .catch(() => {
+      languagesPromise = null
+      return FALLBACK_LANGUAGES
+    })
+  return languagesPromise
+}
+
+// Resolves with { matches, language }, where language is what the server checked against.
+// Each match gets a stable `id` so marks in the editor can point back to it.
+export async function checkGrammar(text, language = AUTO_LANGUAGE) {
+  const params = new URLSearchParams({ text, language })
+  if (language === AUTO_LANGUAGE) params.set('preferredVariants', 'en-US,de-DE,pt-PT')
+  const res = await fetch(`${LT_API_URL}/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params
+  })
+  if (!res.ok) throw new Error(`LanguageTool responded with HTTP ${res.status}`)
+  const data = await res.json()
+  return {
+    matches: (data?.matches || []).map((m, id) => ({ ...m, id, word: text.slice(m.offset, m.offset + m.length) })),
+    language: data?.language?.detectedLanguage?.code || data?.language?.code || language
+  }
+}
+
+export function isSpellingMatch(match) {
+  return match.rule?.issueType === 'misspelling'
+}
+
+export function filterIgnored(matches, dictionary) {
+  const words = new Set(dictionary.words.map(w => w.toLowerCase()))
+  const rules = new Set(dictionary.rules.map(r => r.id))
+  return matches.filter(m => !rules.has(m.rule?.id) && !(isSpellingMatch(m) && words.has(m.word.toLowerCase())))
+}
+
+export function clearGrammarMarks(root) {
+  root.querySelectorAll('span.grammar-error').forEach(s => {
+    const parent = s.parentNode
+    while (s.firstChild) parent.insertBefore(s.firstChild, s)
+    parent.removeChild(s)
+  })
+  root.normalize()
+}
+
+// Wraps each match's text in a span carrying the match id; offsets are in textContent order
+export function markGrammarMatches(root, matches) {
+  let offset = 0
+  function walk(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const nodeStart = offset
+      const nodeEnd = offset + node.nodeValue.length
+      const applicable = matches.filter(m => !(m.offset + m.length <= nodeStart || m.offset >= nodeEnd))
+      if (applicable.length) {
+        const frag = document.createDocumentFragment()
+        let cursor = 0
+        for (const m of applicable.sort((a, b) => a.offset - b.offset)) {
+          const start = Math.max(cursor, m.offset - nodeStart)
+          const end = Math.min(node.nodeValue.length, m.offset + m.length - nodeStart)
+          if (end <= start) continue
+          if (start > cursor) frag.appendChild(document.createTextNode(node.nodeValue.slice(cursor, start)))
+          const span = document.createElement('span')
+          span.className = 'grammar-error'
+          span.dataset.match = m.id
+          span.textContent = node.nodeValue.slice(start, end)
+          frag.appendChild(span)
+          cursor = end
+        }
+        if (cursor < node.nodeValue.length) frag.appendChild(document.createTextNode(node.nodeValue.slice(cursor)))
+        node.parentNode.replaceChild(frag, node)
+      }
+      offset = nodeEnd
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      for (const child of Array.from(node.childNodes)) walk(child)
+    }
+  }
+  walk(root)
+}
+
+// Replaces (or, with replacement === null, just unmarks) the spans for the given match ids.
+// A match split across formatting gets the replacement in its first span only.
+export function resolveGrammarMarks(root, replacements) {
+  const done = new Set()
+  for (const span of Array.from(root.querySelectorAll('span.grammar-error'))) {
+    const id = Number(span.dataset.match)
+    if (!replacements.has(id)) continue
+    const replacement = replacements.get(id)
+    if (replacement === null) {
+      const parent = span.parentNode
+      while (span.firstChild) parent.insertBefore(span.firstChild, span)
+      parent.removeChild(span)
+    } else {
+      span.replaceWith(document.createTextNode(done.has(id) ? '' : replacement))
+      done.add(id)
+    }
+  }
+  root.normalize()
+}
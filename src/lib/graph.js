@@ -0,0 +1,113 @@
+import { htmlFragment } from './html.js'
+import { linkEdges } from './links.js'
+
+// The note graph: [[links]] are the edges; shared tags and shared glossary terms can be shown
+// as extra, weaker edges.
+
+// A tag or term used by more notes than this is too common to say much, and would add n² edges
+const MAX_SHARED_GROUP = 12
+
+const terms = new WeakMap()
+
+// Glossary terms marked in a note (span.glossary-term), lower-cased
+function glossaryTerms(note) {
+  if (!terms.has(note)) {
+    const found = note.encrypted || !note.html?.includes('glossary-term') ? [] : Array.from(
+      htmlFragment(note.html).querySelectorAll('span.glossary-term'),
+      el => el.textContent.trim().toLowerCase()
+    )
+    terms.set(note, [...new Set(found.filter(Boolean))])
+  }
+  return terms.get(note)
+}
+
+function sharedEdges(notes, keysOf, kind) {
+  const groups = new Map()
+  notes.forEach(note => keysOf(note).forEach(key => {
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(note.id)
+  }))
+  const edges = new Map()
+  groups.forEach((ids, key) => {
+    if (ids.length < 2 || ids.length > MAX_SHARED_GROUP) return
+    ids.forEach((a, i) => ids.slice(i + 1).forEach(b => {
+      const id = a < b ? `${a}|${b}` : `${b}|${a}`
+      if (edges.has(id)) edges.get(id).labels.push(key)
+      else edges.set(id, { from: a, to: b, kind, labels: [key] })
+    }))
+  })
+  return [...edges.values()]
+}
+
+// { nodes: [{ id, title, degree }], edges: [{ from, to, kind: 'link' | 'tag' | 'glossary', labels? }] }
+export function buildGraph(notes, { tags = false, glossary = false } = {}) {
+  const edges = [
+    ...linkEdges(notes).map(e => ({ ...e, kind: 'link' })),
+    ...(tags ? sharedEdges(notes, n => n.tags || [], 'tag') : []),
+    ...(glossary ? sharedEdges(notes, glossaryTerms, 'glossary') : [])
+  ]
+  const degree = new Map()
+  edges.forEach(e => {
+    degree.set(e.from, (degree.get(e.from) || 0) + 1)
+    degree.set(e.to, (degree.get(e.to) || 0) + 1)
+  })
+  const nodes = notes.map(n => ({ id: n.id, title: n.title || 'Untitled', degree: degree.get(n.id) || 0 }))
+  return { nodes, edges }
+}
+
+// Force-directed layout (Fruchterman–Reingold) inside width × height. Starts from a circle so
+// the same graph always gets the same picture. Returns a Map of id → { x, y }.
+export function layoutGraph({ nodes, edges }, { width, height, padding = 40 }) {
+  const positions = new Map()
+  const n = nodes.length
+  if (!n) return positions
+  const cx = width / 2
+  const cy = height / 2
+  const points = nodes.map((node, i) => {
+    const angle = (2 * Math.PI * i) / n
+    return { id: node.id, x: cx + Math.cos(angle) * width / 3, y: cy + Math.sin(angle) * height / 3, dx: 0, dy: 0 }
+  })
+  const index = new Map(points.map((p, i) => [p.id, i]))
+  const links = edges.map(e => [index.get(e.from), index.get(e.to), e.kind === 'link' ? 1 : 0.4])
+  const k = Math.sqrt((width * height) / n) * 0.75
+  const iterations = n > 300 ? 80 : 250
+  let temperature = width / 10
+
+  for (let step = 0; step < iterations; step++) {
+    points.forEach(p => { p.dx = 0; p.dy = 0 })
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const a = points[i]
+        const b = points[j]
+        const dx = a.x - b.x || 0.01
+        const dy = a.y - b.y || 0.01
+        const dist2 = dx * dx + dy * dy
+        const force = (k * k) / dist2
+        a.dx += dx * force; a.dy += dy * force
+        b.dx -= dx * force; b.dy -= dy * force
+      }
+    }
+    links.forEach(([i, j, weight]) => {
+      const a = points[i]
+      const b = points[j]
+      const dx = a.x - b.x
+      const dy = a.y - b.y
+      const dist = Math.sqrt(dx * dx + dy * dy) || 0.01
+      const force = (dist / k) * weight
+      a.dx -= dx * force; a.dy -= dy * force
+      b.dx += dx * force; b.dy += dy * force
+    })
+    // A weak pull to the centre keeps unconnected notes from drifting to the edges
+    points.forEach(p => {
+      p.dx += (cx - p.x) * 0.02
+      p.dy += (cy - p.y) * 0.02
+      const length = Math.sqrt(p.dx * p.dx + p.dy * p.dy) || 1
+      const move = Math.min(length, temperature)
+      p.x = Math.min(width - padding, Math.max(padding, p.x + (p.dx / length) * move))
+      p.y = Math.min(height - padding, Math.max(padding, p.y + (p.dy / length) * move))
+    })
+    temperature *= 0.97
+  }
+  points.forEach(p => positions.set(p.id, { x: p.x, y: p.y }))
+  return positions
+}
@@ -0,0 +1,89 @@
+import { listSnapshots, writeSnapshots } from './db.js'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Edits within this window are folded into one snapshot, unless the text jumps by LARGE_CHANGE_CHARS
+const GROUP_WINDOW_MS = 10 * MINUTE
+const LARGE_CHANGE_CHARS = 500
+const MAX_SNAPSHOTS_PER_NOTE = 200
+
+// Retention: everything from the last day, then one per hour for a week, one per day for a month
+const RETENTION_TIERS = [
+  { maxAge: DAY, bucket: 0 },
+  { maxAge: 7 * DAY, bucket: HOUR },
+  { maxAge: 30 * DAY, bucket: DAY }
+]
+
+const listeners = new Set()
+let queue = Promise.resolve()
+
+export function onHistoryChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Returns the ids of snapshots the retention policy drops; `snapshots` must be newest first
+export function pruneSnapshots(snapshots, now = Date.now()) {
+  const seenBuckets = new Set()
+  const remove = []
+  let kept = 0
+  for (const s of snapshots) {
+    const age = now - s.createdAt
+    const tier = RETENTION_TIERS.find(t => age <= t.maxAge)
+    let keep = !!tier && kept < MAX_SNAPSHOTS_PER_NOTE
+    if (keep && tier.bucket) {
+      const key = `${tier.bucket}:${Math.floor(s.createdAt / tier.bucket)}`
+      keep = !seenBuckets.has(key)
+      seenBuckets.add(key)
+    }
+    if (keep) kept++
+    else remove.push(s.id)
+  }
+  return remove
+}
+
+async function writeSnapshot(note, reason, force) {
+  const snapshots = await listSnapshots(note.id)
+  // Encrypting a note must not leave its plaintext behind in history
+  if (note.encrypted) {
+    await writeSnapshots({ remove: snapshots.map(s => s.id) })
+    return
+  }
+
+  const now = Date.now()
+  const latest = snapshots[0]
+  if (latest && latest.html === (note.html || '') && latest.title === (note.title || '')) {
+    // Nothing new to store, but a checkpoint still stops later edits from folding into it
+    if (force && !latest.sealed) await writeSnapshots({ put: [{ ...latest, sealed: true }] })
+    return
+  }
+
+  const grouped = !force && latest && !latest.sealed && latest.reason === 'edit' && reason === 'edit' &&
+    now - latest.startedAt < GROUP_WINDOW_MS &&
+    Math.abs((latest.text || '').length - (note.text || '').length) < LARGE_CHANGE_CHARS
+  const snapshot = {
+    ...(grouped ? { id: latest.id, startedAt: latest.startedAt } : { startedAt: now }),
+    noteId: note.id,
+    createdAt: now,
+    reason,
+    sealed: force,
+    title: note.title || '',
+    html: note.html || '',
+    text: note.text || '',
+    attachments: note.attachments || []
+  }
+  const rest = grouped ? snapshots.slice(1) : snapshots
+  const remove = pruneSnapshots([snapshot, ...rest], now).filter(id => id !== undefined)
+  await writeSnapshots({ put: [snapshot], remove })
+}
+
+// `reason` is 'edit' for autosaves; checkpoints taken before a rewrite pass force=true
+export function recordSnapshot(note, { reason = 'edit', force = false } = {}) {
+  const run = queue.then(() => writeSnapshot(note, reason, force))
+  queue = run
+    .then(() => listeners.forEach(l => l(note.id)))
+    .catch(error => console.warn('Failed to record note history:', error))
+  return queue
+}
@@ -0,0 +1,76 @@
+import DOMPurify from 'dompurify'
+
+// The one sanitizer for note HTML. Everything that becomes note content passes through it:
+// imports, share links, synced notes, markup built from AI or LanguageTool output, and the
+// editor and viewers before they render. The allow-list covers what the editor can represent
+// plus the legacy markup older notes contain.
+const ALLOWED_TAGS = [
+  'p', 'div', 'br', 'span', 'font', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del', 'sub', 'sup', 'mark',
+  'code', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+  'ul', 'ol', 'li', 'label', 'input', 'a', 'img',
+  'table', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+]
+const ALLOWED_ATTR = [
+  'href', 'title', 'class', 'style', 'start', 'type', 'checked', 'colspan', 'rowspan', 'size',
+  'data-match', 'data-type', 'data-checked', 'alt', 'data-attachment', 'data-name', 'data-size', 'data-mime',
+  'data-note-id', 'data-title', 'data-due', 'data-assignee'
+]
+const ALLOWED_CLASSES = [/^grammar-error$/, /^glossary-term$/, /^attachment-chip$/, /^note-link$/, /^language-[\w+#-]+$/, /^hljs(-[\w-]+)?$/]
+const ALLOWED_STYLES = ['text-align', 'font-size']
+const SAFE_URL = /^(?:https?:|mailto:|tel:|#|\/(?!\/)|\.{1,2}\/)/i
+
+const purifier = DOMPurify()
+
+purifier.addHook('uponSanitizeAttribute', (node, data) => {
+  const { attrName } = data
+  if (attrName === 'class') {
+    const kept = data.attrValue.split(/\s+/).filter(c => ALLOWED_CLASSES.some(re => re.test(c)))
+    data.attrValue = kept.join(' ')
+    data.keepAttr = kept.length > 0
+  } else if (attrName === 'style') {
+    const kept = ALLOWED_STYLES
+      .map(prop => [prop, node.style?.getPropertyValue(prop)])
+      .filter(([, value]) => value && /^[\w\s.%-]+$/.test(value))
+    data.attrValue = kept.map(([prop, value]) => `${prop}: ${value};`).join(' ')
+    data.keepAttr = kept.length > 0
+  } else if (attrName === 'href') {
+    data.keepAttr = SAFE_URL.test(data.attrValue.trim())
+  } else if (attrName === 'type' || attrName === 'checked') {
+    // Task list checkboxes are the only inputs notes contain
+    data.keepAttr = node.nodeName !== 'INPUT' || attrName === 'checked' || data.attrValue === 'checkbox'
+  } else if (attrName === 'data-attachment' || attrName === 'data-note-id') {
+    data.keepAttr = /^[\w-]{1,64}$/.test(data.attrValue)
+  } else if (attrName === 'size') {
+    // Legacy <font size> from the old editor's font size control
+    data.keepAttr = node.nodeName === 'FONT' && /^[1-7]$/.test(data.attrValue)
+  } else if (attrName === 'data-size') {
+    data.keepAttr = /^\d+$/.test(data.attrValue)
+  } else if (attrName === 'data-due') {
+    data.keepAttr = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?$/.test(data.attrValue)
+  }
+})
+
+purifier.addHook('afterSanitizeAttributes', node => {
+  if (node.nodeName === 'INPUT' && node.getAttribute('type') !== 'checkbox') node.remove()
+  // Images are only ever attachments, which have no src: nothing in a note loads from elsewhere
+  if (node.nodeName === 'IMG' && !node.hasAttribute('data-attachment')) node.remove()
+  if (node.nodeName === 'A' && node.hasAttribute('href')) node.setAttribute('rel', 'noopener noreferrer')
+})
+
+export function sanitizeHtml(html) {
+  if (!html) return ''
+  return purifier.sanitize(String(html), { ALLOWED_TAGS, ALLOWED_ATTR: [...ALLOWED_ATTR, 'rel'], ALLOW_DATA_ATTR: false })
+}
+
+// A sanitized, detached copy of some HTML to read or rework. It belongs to an inert document,
+// so nothing in it loads or runs while it is being worked on.
+export function htmlFragment(html) {
+  const root = document.implementation.createHTMLDocument('').createElement('div')
+  root.innerHTML = sanitizeHtml(html)
+  return root
+}
+
+// Plain-text view of editor HTML, as stored in note.text
+export function htmlToText(html) {
+  return htmlFragment(html).textContent || ''
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest'
+import { sanitizeHtml, htmlToText } from './html.js'
+
+// Parses sanitized output so assertions look at what a browser would build, not at string details
+function parse(html) {
+  const root = document.createElement('div')
+  root.innerHTML = sanitizeHtml(html)
+  return root
+}
+
+function attributesOf(root) {
+  return [...root.querySelectorAll('*')].flatMap(el => [...el.attributes].map(a => `${el.nodeName.toLowerCase()}[${a.name}=${a.value}]`))
+}
+
+// No script elements, no event handlers and no script URLs anywhere in the result
+function expectInert(html) {
+  const root = parse(html)
+  expect(root.querySelector('script, iframe, object, embed, svg, math, style, form, base, meta, link')).toBeNull()
+  attributesOf(root).forEach(attr => {
+    expect(attr).not.toMatch(/^\w+\[on/i)
+    expect(attr).not.toMatch(/(javascript|vbscript|data):/i)
+  })
+  return root
+}
+
+describe('sanitizeHtml', () => {
+  it('keeps the markup the editor writes', () => {
+    const html = '<h2>Plan</h2><p style="text-align: center;"><strong>bold</strong> <a href="https://example.com">link</a></p>' +
+      '<ul data-type="taskList"><li data-type="taskItem" data-checked="true" data-due="2024-05-31"><label><input type="checkbox" checked=""></label><p>done</p></li></ul>'
+    const root = parse(html)
+    expect(root.querySelector('h2').textContent).toBe('Plan')
+    expect(root.querySelector('p').getAttribute('style')).toBe('text-align: center;')
+    expect(root.querySelector('a').getAttribute('href')).toBe('https://example.com')
+    expect(root.querySelector('a').getAttribute('rel')).toBe('noopener noreferrer')
+    expect(root.querySelector('li').getAttribute('data-due')).toBe('2024-05-31')
+    expect(root.querySelector('input').getAttribute('type')).toBe('checkbox')
+  })
+
+  it('removes script elements and their content', () => {
+    const root = expectInert('<p>before</p><script>alert(1)</script><p>after</p>')
+    expect(root.textContent).toBe('beforeafter')
+    expectInert('<scr<script>ipt>alert(1)</script>')
+    expectInert('<div><script src="https://evil.example/x.js"></script></div>')
+  })
+
+  it('removes event handler attributes', () => {
+    expectInert('<img src=x onerror=alert(1)>')
+    expectInert('<img data-attachment="abc" onerror="alert(1)">')
+    expectInert('<p onclick="alert(1)" onmouseover="alert(2)">text</p>')
+    expectInert('<a href="#" onfocus="alert(1)" autofocus>x</a>')
+    expectInert('<body onload=alert(1)>')
+    expectInert('<details open ontoggle=alert(1)>')
+  })
+
+  it('only keeps images that are attachments', () => {
+    expect(parse('<img src="https://tracker.example/pixel.gif">').querySelector('img')).toBeNull()
+    expect(parse('<img src=x onerror=alert(1)>').querySelector('img')).toBeNull()
+    const img = parse('<img data-attachment="abc-123" alt="photo">').querySelector('img')
+    expect(img.getAttribute('data-attachment')).toBe('abc-123')
+    expect(img.hasAttribute('src')).toBe(false)
+  })
+
+  it('drops javascript: and data: links', () => {
+    const payloads = [
+      '<a href="javascript:alert(1)">x</a>',
+      '<a href="JaVaScRiPt:alert(1)">x</a>',
+      '<a href=" javascript:alert(1)">x</a>',
+      '<a href="java&#x09;script:alert(1)">x</a>',
+      '<a href="&#106;avascript:alert(1)">x</a>',
+      '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+      '<a href="vbscript:msgbox(1)">x</a>',
+      '<a href="//evil.example">x</a>'
+    ]
+    payloads.forEach(html => {
+      const a = expectInert(html).querySelector('a')
+      expect(a.hasAttribute('href')).toBe(false)
+      expect(a.textContent).toBe('x')
+    })
+  })
+
+  it('keeps safe links', () => {
+    ['https://example.com', 'http://example.com', 'mailto:a@example.com', 'tel:123', '#top', '/notes', './a', '../b'].forEach(href => {
+      expect(parse(`<a href="${href}">x</a>`).querySelector('a').getAttribute('href')).toBe(href)
+    })
+  })
+
+  it('removes svg and math payloads', () => {
+    expectInert('<svg onload=alert(1)><circle r="5"></circle></svg>')
+    expectInert('<svg><script>alert(1)</script></svg>')
+    expectInert('<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>')
+    expectInert('<svg><animate onbegin=alert(1) attributeName=x dur=1s>')
+    expectInert('<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>')
+    expectInert('<math><maction actiontype="statusline" xlink:href="javascript:alert(1)">x</maction></math>')
+    expectInert('<form><math><mtext></form><form><mglyph><svg><mtext><style><path id="</style><img onerror=alert(1) src>">')
+  })
+
+  it('keeps only plain text-align and font-size styles', () => {
+    expectInert('<style>body { background: url(javascript:alert(1)) }</style><p>x</p>')
+    expect(parse('<p style="background: url(javascript:alert(1))">x</p>').querySelector('p').hasAttribute('style')).toBe(false)
+    expect(parse('<p style="position: fixed; top: 0; left: 0; width: 100%; height: 100%">x</p>').querySelector('p').hasAttribute('style')).toBe(false)
+    expect(parse('<p style="font-size: expression(alert(1))">x</p>').querySelector('p').hasAttribute('style')).toBe(false)
+    const p = parse('<p style="text-align: right; background-image: url(https://tracker.example/x.gif)">x</p>').querySelector('p')
+    expect(p.getAttribute('style')).toBe('text-align: right;')
+  })
+
+  it('removes inputs other than checkboxes', () => {
+    ['text', 'password', 'hidden', 'submit', 'image', 'file'].forEach(type => {
+      expect(parse(`<p><input type="${type}" value="x"></p>`).querySelector('input')).toBeNull()
+    })
+    expect(parse('<p><input value="x"></p>').querySelector('input')).toBeNull()
+    expect(parse('<p><input type="image" src="x" onerror="alert(1)"></p>').querySelector('input')).toBeNull()
+    expect(parse('<input type="checkbox" checked>').querySelector('input').getAttribute('type')).toBe('checkbox')
+  })
+
+  it('removes embedding and form elements', () => {
+    expectInert('<iframe src="javascript:alert(1)"></iframe>')
+    expectInert('<iframe srcdoc="<script>alert(1)</script>"></iframe>')
+    expectInert('<object data="javascript:alert(1)"></object><embed src="x.swf">')
+    expectInert('<form action="javascript:alert(1)"><button>go</button></form>')
+    expectInert('<base href="https://evil.example/"><meta http-equiv="refresh" content="0;url=javascript:alert(1)">')
+    expectInert('<link rel="stylesheet" href="https://evil.example/x.css">')
+  })
+
+  it('drops classes and data attributes it does not know', () => {
+    const p = parse('<p class="grammar-error modal-backdrop" data-foo="x" data-attachment="../../etc">x</p>').querySelector('p')
+    expect(p.getAttribute('class')).toBe('grammar-error')
+    expect(p.hasAttribute('data-foo')).toBe(false)
+    expect(p.hasAttribute('data-attachment')).toBe(false)
+  })
+
+  it('keeps legacy font sizes only on <font>', () => {
+    expect(parse('<font size="7">x</font>').querySelector('font').getAttribute('size')).toBe('7')
+    expect(parse('<font size="9">x</font>').querySelector('font').hasAttribute('size')).toBe(false)
+    expect(parse('<p size="3">x</p>').querySelector('p').hasAttribute('size')).toBe(false)
+  })
+
+  it('returns an empty string for empty input', () => {
+    expect(sanitizeHtml('')).toBe('')
+    expect(sanitizeHtml(null)).toBe('')
+    expect(sanitizeHtml(undefined)).toBe('')
+  })
+})
+
+describe('htmlToText', () => {
+  it('reads text without running anything', () => {
+    expect(htmlToText('<p>hello <img src=x onerror=alert(1)>world</p><script>alert(1)</script>')).toBe('hello world')
+  })
+})
@@ -0,0 +1,76 @@
+import { htmlFragment } from './html.js'
+
+// [[Wiki links]] between notes. A link is stored as <a class="note-link" data-note-id data-title>
+// and points at a note id; links without an id, or whose note is gone, fall back to the title
+// (e.g. Markdown imports, or a link typed before its note existed).
+const links = new WeakMap()
+
+function titleKey(title) {
+  return (title || '').trim().toLowerCase()
+}
+
+// [{ id, title }] for each link in a note; cached per note object, which is replaced on every change
+export function noteLinks(note) {
+  if (!links.has(note)) {
+    const found = note.encrypted || !note.html?.includes('note-link') ? [] : Array.from(
+      htmlFragment(note.html).querySelectorAll('a.note-link'),
+      el => ({ id: el.getAttribute('data-note-id') || null, title: el.getAttribute('data-title') || el.textContent })
+    )
+    links.set(note, found)
+  }
+  return links.get(note)
+}
+
+// Resolves links against a set of notes; the most recently listed note wins a title clash
+export function createLinkResolver(notes) {
+  const byId = new Map(notes.map(n => [n.id, n]))
+  const byTitle = new Map()
+  notes.forEach(n => {
+    const key = titleKey(n.title)
+    if (key && !byTitle.has(key)) byTitle.set(key, n)
+  })
+  return link => (link.id && byId.get(link.id)) || byTitle.get(titleKey(link.title)) || null
+}
+
+// One { from, to } per linked pair of notes
+export function linkEdges(notes) {
+  const resolve = createLinkResolver(notes)
+  const edges = new Map()
+  notes.forEach(note => noteLinks(note).forEach(link => {
+    const target = resolve(link)
+    if (target && target.id !== note.id) edges.set(`${note.id}>${target.id}`, { from: note.id, to: target.id })
+  }))
+  return [...edges.values()]
+}
+
+// Link titles shown in other notes follow a rename. When `oldTitle` is given (the note was what
+// that title resolved to), links that only name it by title are attached to it as well.
+// Returns the html unchanged when nothing refers to the note.
+export function renameLinks(html, id, newTitle, oldTitle = null) {
+  if (!html?.includes('note-link')) return html
+  const root = htmlFragment(html)
+  let changed = false
+  root.querySelectorAll('a.note-link').forEach(el => {
+    const linkId = el.getAttribute('data-note-id')
+    const matches = linkId
+      ? linkId === id
+      : !!titleKey(oldTitle) && titleKey(el.getAttribute('data-title') || el.textContent) === titleKey(oldTitle)
+    if (!matches) return
+    el.setAttribute('data-note-id', id)
+    el.setAttribute('data-title', newTitle)
+    el.textContent = newTitle
+    changed = true
+  })
+  return changed ? root.innerHTML : html
+}
+
+// Titles offered by the [[ autocomplete: prefix matches first, then other matches
+export function searchLinkTargets(notes, query, limit = 8) {
+  const q = titleKey(query)
+  const matches = notes.filter(n => n.title && titleKey(n.title).includes(q))
+  matches.sort((a, b) => Number(!titleKey(a.title).startsWith(q)) - Number(!titleKey(b.title).startsWith(q)) ||
+    (b.updatedAt || 0) - (a.updatedAt || 0))
+  const items = matches.slice(0, limit).map(n => ({ id: n.id, title: n.title }))
+  if (q && !matches.some(n => titleKey(n.title) === q)) items.push({ id: null, title: query.trim(), create: true })
+  return items
+}
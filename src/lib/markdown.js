@@ -0,0 +1,388 @@
+import JSZip from 'jszip'
+import { marked } from 'marked'
+import TurndownService from 'turndown'
+import { htmlToText, sanitizeHtml } from './html.js'
+import { dateStamp } from './download.js'
+import { attachmentIds, loadNoteAttachments, isImageType, typeFromName } from './attachments.js'
+
+// Markdown import/export. Notes are written as .md files with YAML front-matter carrying
+// the metadata; encrypted notes keep their encryptedPayload in the front-matter and have no body.
+// Attachments go into the zip as attachments/<id>/<name> and are linked from the Markdown.
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  emDelimiter: '*'
+})
+
+export function attachmentPath(id, name) {
+  return `attachments/${id}/${(name || 'attachment').replace(/[\\/]/g, '_')}`
+}
+
+function attachmentLink(node) {
+  const path = attachmentPath(node.getAttribute('data-attachment'), node.getAttribute('data-name'))
+  return path.split('/').map(encodeURIComponent).join('/')
+}
+
+function escapeLabel(text) {
+  return (text || '').replace(/([\\[\]])/g, '\\$1')
+}
+
+turndown.addRule('attachmentImage', {
+  filter: node => node.nodeName === 'IMG' && node.hasAttribute('data-attachment'),
+  replacement: (content, node) => `![${escapeLabel(node.getAttribute('alt'))}](${attachmentLink(node)})`
+})
+
+turndown.addRule('attachmentFile', {
+  filter: node => node.nodeName === 'A' && node.classList.contains('attachment-chip'),
+  replacement: (content, node) => `[${escapeLabel(node.getAttribute('data-name') || content)}](${attachmentLink(node)})`
+})
+
+// [[Title]] is the common Markdown notation for links between notes
+turndown.addRule('noteLink', {
+  filter: node => node.nodeName === 'A' && node.classList.contains('note-link'),
+  replacement: (content, node) => `[[${node.getAttribute('data-title') || content}]]`
+})
+
+// GFM task lists and tables, written for the editor's own markup: checkboxes sit in a <label>
+// and cells hold paragraphs, which turndown-plugin-gfm's rules do not expect
+turndown.addRule('taskItem', {
+  filter: node => node.nodeName === 'LI' && node.getAttribute('data-type') === 'taskItem',
+  replacement: (content, node) => {
+    const box = node.getAttribute('data-checked') === 'true' ? '[x]' : '[ ]'
+    // Kept tight: no blank line between an item's text and the list nested under it
+    const body = content.trim().replace(/\n{2,}(?=[-*+] |\d+\. )/g, '\n').replace(/\n/g, '\n    ')
+    return `- ${box} ${body}\n`
+  }
+})
+
+turndown.addRule('taskCheckbox', {
+  filter: node => node.nodeName === 'LABEL' && node.parentNode.getAttribute('data-type') === 'taskItem',
+  replacement: () => ''
+})
+
+function tableRows(table) {
+  return Array.from(table.rows)
+}
+
+// Markdown tables have one header row and no merged cells; other tables stay HTML
+function isMarkdownTable(table) {
+  const rows = tableRows(table)
+  const width = rows[0]?.cells.length
+  return !!width &&
+    Array.from(rows[0].cells).every(cell => cell.nodeName === 'TH') &&
+    rows.every(row => row.cells.length === width && Array.from(row.cells).every(cell => cell.colSpan === 1 && cell.rowSpan === 1))
+}
+
+turndown.addRule('table', {
+  filter: 'table',
+  replacement: (content, node) => isMarkdownTable(node) ? `\n\n${content.trim()}\n\n` : `\n\n${node.outerHTML}\n\n`
+})
+
+turndown.addRule('tableSection', {
+  filter: ['thead', 'tbody', 'tfoot'],
+  replacement: content => content
+})
+
+turndown.addRule('tableRow', {
+  filter: 'tr',
+  replacement: (content, node) => {
+    const row = `|${content}\n`
+    if (tableRows(node.closest('table'))[0] !== node) return row
+    return `${row}|${' --- |'.repeat(node.cells.length)}\n`
+  }
+})
+
+// A cell is one line: its paragraphs are joined with <br>, and pipes are escaped
+turndown.addRule('tableCell', {
+  filter: ['th', 'td'],
+  replacement: content => ` ${content.trim().replace(/\n+/g, '<br>').replace(/\|/g, '\\|')} |`
+})
+
+turndown.addRule('tableColumns', {
+  filter: 'colgroup',
+  replacement: () => ''
+})
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/
+
+// Scalars are written as JSON, which is valid YAML, so strings never need YAML escaping rules
+function toYaml(data) {
+  return Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n')
+}
+
+function parseYamlScalar(raw) {
+  const value = raw.trim()
+  if (!value) return ''
+  if (/^["[{]/.test(value)) {
+    try { return JSON.parse(value) } catch { /* fall through to plain text */ }
+  }
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'")
+  if (value === 'true' || value === 'false') return value === 'true'
+  if (value === 'null' || value === '~') return null
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value)
+  return value
+}
+
+// Handles the flat `key: value` and `key:\n  - item` shapes used by common Markdown tools
+function parseYaml(text) {
+  const data = {}
+  let listKey = null
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue
+    const item = line.match(/^\s+-\s+(.*)$/)
+    if (item && listKey) {
+      data[listKey].push(parseYamlScalar(item[1]))
+      continue
+    }
+    const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/)
+    if (!pair) continue
+    listKey = null
+    if (pair[2].trim() === '') {
+      data[pair[1]] = []
+      listKey = pair[1]
+    } else {
+      data[pair[1]] = parseYamlScalar(pair[2])
+    }
+  }
+  return data
+}
+
+function toIso(ts) {
+  return ts ? new Date(ts).toISOString() : undefined
+}
+
+function fromIso(value, fallback) {
+  const ts = typeof value === 'number' ? value : Date.parse(value)
+  return Number.isFinite(ts) ? ts : fallback
+}
+
+export function noteToMarkdown(note) {
+  const meta = {
+    id: note.id,
+    title: note.title || '',
+    tags: note.tags || [],
+    pinned: !!note.pinned,
+    summary: note.summary || '',
+    createdAt: toIso(note.createdAt),
+    updatedAt: toIso(note.updatedAt),
+    encrypted: note.encrypted || undefined,
+    encryptedPayload: note.encrypted ? note.encryptedPayload : undefined,
+    attachments: note.encrypted && note.attachments?.length ? note.attachments : undefined
+  }
+  const body = note.encrypted ? '' : turndown.turndown(note.html || '')
+  const heading = note.title ? `# ${note.title}\n\n` : ''
+  return `---\n${toYaml(meta)}\n---\n\n${heading}${body}\n`
+}
+
+// Links and images pointing at files bundled with the Markdown become attachments.
+// `resolve(src)` returns { id, name, type, size } for a bundled file, or null.
+function linkAttachments(html, resolve) {
+  const root = document.implementation.createHTMLDocument('').createElement('div')
+  root.innerHTML = html
+  root.querySelectorAll('img[src], a[href]').forEach(el => {
+    const file = resolve(el.getAttribute(el.nodeName === 'IMG' ? 'src' : 'href'))
+    if (!file) return
+    const image = el.nodeName === 'IMG' && isImageType(file.type)
+    const node = root.ownerDocument.createElement(image ? 'img' : 'a')
+    node.setAttribute('data-attachment', file.id)
+    node.setAttribute('data-name', file.name)
+    node.setAttribute('data-size', String(file.size))
+    node.setAttribute('data-mime', file.type)
+    if (image) node.setAttribute('alt', el.getAttribute('alt') || file.name)
+    else {
+      node.className = 'attachment-chip'
+      node.textContent = file.name
+    }
+    el.replaceWith(node)
+  })
+  return root.innerHTML
+}
+
+// Turns [[Title]] in text (not code) into note links; they find their note by title
+function linkNoteTitles(html) {
+  if (!html.includes('[[')) return html
+  const root = document.implementation.createHTMLDocument('').createElement('div')
+  root.innerHTML = html
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT)
+  const textNodes = []
+  while (walker.nextNode()) {
+    if (walker.currentNode.nodeValue.includes('[[') && !walker.currentNode.parentElement.closest('code, pre, a')) textNodes.push(walker.currentNode)
+  }
+  textNodes.forEach(node => {
+    const parts = node.nodeValue.split(/\[\[([^[\]\n]+)\]\]/)
+    if (parts.length === 1) return
+    const fragment = root.ownerDocument.createDocumentFragment()
+    parts.forEach((part, i) => {
+      if (i % 2 === 0) {
+        if (part) fragment.appendChild(root.ownerDocument.createTextNode(part))
+        return
+      }
+      const link = root.ownerDocument.createElement('a')
+      link.className = 'note-link'
+      link.setAttribute('data-title', part.trim())
+      link.textContent = part.trim()
+      fragment.appendChild(link)
+    })
+    node.replaceWith(fragment)
+  })
+  return root.innerHTML
+}
+
+// GFM task lists become checklists: marked writes each item's checkbox as its first element
+function checklists(html) {
+  if (!html.includes('checkbox')) return html
+  const root = document.implementation.createHTMLDocument('').createElement('div')
+  root.innerHTML = html
+  root.querySelectorAll('ul').forEach(list => {
+    const items = Array.from(list.children)
+    const boxes = items.map(li => {
+      const first = li.firstElementChild?.nodeName === 'P' ? li.firstElementChild.firstChild : li.firstChild
+      return first?.nodeName === 'INPUT' && first.type === 'checkbox' ? first : null
+    })
+    if (!items.length || boxes.includes(null)) return
+    list.setAttribute('data-type', 'taskList')
+    items.forEach((li, i) => {
+      li.setAttribute('data-type', 'taskItem')
+      li.setAttribute('data-checked', String(boxes[i].checked))
+      boxes[i].remove()
+    })
+  })
+  return root.innerHTML
+}
+
+export function markdownToNote(markdown, filename = '', resolveAttachment = null) {
+  const match = markdown.match(FRONT_MATTER)
+  const meta = match ? parseYaml(match[1]) : {}
+  let body = match ? markdown.slice(match[0].length) : markdown
+
+  // The title heading written by noteToMarkdown (or the first heading of a plain file) becomes the title
+  const heading = body.match(/^\s*#\s+(.+?)\s*#*\s*(\r?\n|$)/)
+  let title = typeof meta.title === 'string' ? meta.title : ''
+  if (heading && (!title || heading[1] === title)) {
+    title = heading[1]
+    body = body.slice(heading[0].length)
+  }
+  if (!title) title = filename.replace(/^.*\//, '').replace(/\.(md|markdown)$/i, '')
+
+  const encrypted = meta.encrypted === true && !!meta.encryptedPayload
+  const rendered = encrypted ? '' : marked.parse(body.trim())
+  const html = sanitizeHtml(checklists(linkNoteTitles(resolveAttachment ? linkAttachments(rendered, resolveAttachment) : rendered)))
+  const now = Date.now()
+  return {
+    id: typeof meta.id === 'string' && meta.id ? meta.id : crypto.randomUUID(),
+    title,
+    html,
+    text: htmlToText(html),
+    pinned: meta.pinned === true,
+    encrypted,
+    summary: typeof meta.summary === 'string' ? meta.summary : '',
+    tags: Array.isArray(meta.tags) ? meta.tags.map(String) : [],
+    createdAt: fromIso(meta.createdAt, now),
+    updatedAt: fromIso(meta.updatedAt, now),
+    encryptedPayload: encrypted ? meta.encryptedPayload : null,
+    attachments: encrypted
+      ? (Array.isArray(meta.attachments) ? meta.attachments.filter(id => typeof id === 'string') : [])
+      : attachmentIds(html)
+  }
+}
+
+export function slugify(title) {
+  return (title || 'untitled')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'untitled'
+}
+
+export function markdownFilename(note, taken = new Set()) {
+  const base = slugify(note.title)
+  let name = `${base}.md`
+  for (let i = 2; taken.has(name); i++) name = `${base}-${i}.md`
+  taken.add(name)
+  return name
+}
+
+// Several notes, or a note with attachments, are bundled into one zip; a single note is a plain .md file
+export async function exportMarkdown(notes) {
+  if (notes.length === 1 && !notes[0].attachments?.length) {
+    return {
+      blob: new Blob([noteToMarkdown(notes[0])], { type: 'text/markdown' }),
+      filename: markdownFilename(notes[0])
+    }
+  }
+  const zip = new JSZip()
+  const taken = new Set()
+  notes.forEach(n => zip.file(markdownFilename(n, taken), noteToMarkdown(n)))
+  for (const attachment of await loadNoteAttachments(notes)) {
+    zip.file(attachmentPath(attachment.id, attachment.name), attachment.blob)
+  }
+  return {
+    blob: await zip.generateAsync({ type: 'blob' }),
+    filename: `playpower-notes-${dateStamp()}-markdown.zip`
+  }
+}
+
+export function isMarkdownImport(file) {
+  return /\.(md|markdown|zip)$/i.test(file.name)
+}
+
+// Resolves a link in the Markdown file at `from` to a path inside the zip
+function zipPath(from, src) {
+  if (!src || /^[a-z][\w+.-]*:|^\/\/|^#/i.test(src)) return null
+  let path
+  try {
+    path = decodeURIComponent(src.split(/[?#]/)[0])
+  } catch {
+    return null
+  }
+  const parts = from.split('/').slice(0, -1)
+  for (const part of path.split('/')) {
+    if (part === '..') parts.pop()
+    else if (part && part !== '.') parts.push(part)
+  }
+  return parts.join('/')
+}
+
+// Resolves with { notes, attachments }; attachments ({ id, name, type, blob }) are the bundled
+// files the notes link to, and are stored only once the import is confirmed
+export async function importMarkdown(file) {
+  if (!/\.zip$/i.test(file.name)) return { notes: [markdownToNote(await file.text(), file.name)], attachments: [] }
+
+  const zip = await JSZip.loadAsync(file)
+  const files = Object.values(zip.files).filter(f => !f.dir && !f.name.startsWith('__MACOSX/'))
+  const blobs = new Map()
+  for (const f of files.filter(f => !/\.(md|markdown)$/i.test(f.name))) blobs.set(f.name, await f.async('blob'))
+
+  // Files exported from here keep their id; others get a new one, once per file
+  const attachments = new Map()
+  const resolve = from => src => {
+    const path = zipPath(from, src)
+    if (!path || !blobs.has(path)) return null
+    if (!attachments.has(path)) {
+      const name = path.split('/').pop()
+      const type = typeFromName(name)
+      const id = path.match(/^attachments\/([\w-]{1,64})\/[^/]+$/)?.[1] || crypto.randomUUID()
+      attachments.set(path, { id, name, type, blob: new Blob([blobs.get(path)], { type }) })
+    }
+    const { id, name, type, blob } = attachments.get(path)
+    return { id, name, type, size: blob.size }
+  }
+  const notes = await Promise.all(files
+    .filter(f => /\.(md|markdown)$/i.test(f.name))
+    .map(async f => markdownToNote(await f.async('string'), f.name, resolve(f.name))))
+  // Encrypted notes can't link their attachments, so the ones named after their id are kept too
+  const listed = new Set(notes.flatMap(n => n.encrypted ? n.attachments : []))
+  for (const [path, blob] of blobs) {
+    const id = path.match(/^attachments\/([\w-]{1,64})\/[^/]+$/)?.[1]
+    if (id && listed.has(id) && !attachments.has(path)) {
+      const name = path.split('/').pop()
+      attachments.set(path, { id, name, type: typeFromName(name), blob })
+    }
+  }
+  return { notes, attachments: [...attachments.values()] }
+}
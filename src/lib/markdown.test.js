@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { getHTMLFromFragment } from '@tiptap/core'
+import { editorSchema, parseNoteHtml } from './editor.js'
+import { noteToMarkdown, markdownToNote } from './markdown.js'
+
+// HTML as the editor saves it
+function editorHtml(html) {
+  return getHTMLFromFragment(parseNoteHtml(html).content, editorSchema())
+}
+
+function bodyOf(note) {
+  return noteToMarkdown(note).split(/\n---\n\n/)[1]
+}
+
+// Export to Markdown and import again, then load the result into the editor
+function roundTrip(html) {
+  const note = { id: 'n1', title: 'Note', html: editorHtml(html), createdAt: 1, updatedAt: 1 }
+  return editorHtml(markdownToNote(noteToMarkdown(note)).html)
+}
+
+const CHECKLIST = '<ul data-type="taskList">' +
+  '<li data-type="taskItem" data-checked="true"><p>done</p></li>' +
+  '<li data-type="taskItem" data-checked="false"><p>to do</p>' +
+    '<ul data-type="taskList"><li data-type="taskItem" data-checked="false"><p>nested</p></li></ul></li>' +
+  '</ul>'
+
+const TABLE = '<table><tbody>' +
+  '<tr><th><p>Name</p></th><th><p>Qty</p></th></tr>' +
+  '<tr><td><p><strong>Apples</strong></p></td><td><p>3 | 4</p></td></tr>' +
+  '</tbody></table>'
+
+describe('Markdown export', () => {
+  it('writes checklists as GFM task lists', () => {
+    expect(bodyOf({ title: '', html: editorHtml(CHECKLIST) })).toBe('- [x] done\n- [ ] to do\n    - [ ] nested\n')
+  })
+
+  it('writes tables with a header row as GFM tables', () => {
+    expect(bodyOf({ title: '', html: editorHtml(TABLE) })).toBe('| Name | Qty |\n| --- | --- |\n| **Apples** | 3 \\| 4 |\n')
+  })
+
+  it('keeps tables Markdown cannot express as HTML', () => {
+    const merged = '<table><tbody><tr><th colspan="2"><p>Both</p></th></tr><tr><td><p>a</p></td><td><p>b</p></td></tr></tbody></table>'
+    expect(bodyOf({ title: '', html: editorHtml(merged) })).toMatch(/^<table/)
+  })
+})
+
+describe('Markdown round trip', () => {
+  it('keeps checklists', () => {
+    expect(roundTrip(CHECKLIST)).toBe(editorHtml(CHECKLIST))
+  })
+
+  it('keeps checklist items with several paragraphs, between other blocks', () => {
+    const html = '<p>Before</p><ul data-type="taskList"><li data-type="taskItem" data-checked="false"><p>first</p><p>second</p></li></ul><p>After</p>'
+    expect(roundTrip(html)).toBe(editorHtml(html))
+  })
+
+  it('keeps tables', () => {
+    expect(roundTrip(TABLE)).toBe(editorHtml(TABLE))
+  })
+
+  it('keeps tables without a header row', () => {
+    const plain = '<table><tbody><tr><td><p>a</p></td><td><p>b</p></td></tr></tbody></table>'
+    expect(roundTrip(plain)).toBe(editorHtml(plain))
+  })
+
+  it('leaves ordinary lists alone', () => {
+    const list = '<ul><li><p>one</p></li><li><p>two</p></li></ul>'
+    expect(roundTrip(list)).toBe(editorHtml(list))
+  })
+})
+
+describe('Markdown import', () => {
+  it('reads GFM task lists written by other tools', () => {
+    const note = markdownToNote('# Groceries\n\n- [ ] milk\n- [X] eggs\n')
+    expect(editorHtml(note.html)).toBe(editorHtml('<ul data-type="taskList"><li data-type="taskItem" data-checked="false"><p>milk</p></li><li data-type="taskItem" data-checked="true"><p>eggs</p></li></ul>'))
+  })
+})
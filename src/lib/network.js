@@ -0,0 +1,25 @@
+// Connectivity. navigator.onLine only knows whether there is a network at all, so features that
+// talk to a server on this machine (a local Ollama or LanguageTool) keep working without one.
+export function isOnline() {
+  return navigator.onLine !== false
+}
+
+// Calls `callback(online)` when the connection comes or goes; returns an unsubscribe function
+export function onOnlineChange(callback) {
+  const online = () => callback(true)
+  const offline = () => callback(false)
+  window.addEventListener('online', online)
+  window.addEventListener('offline', offline)
+  return () => {
+    window.removeEventListener('online', online)
+    window.removeEventListener('offline', offline)
+  }
+}
+
+export function isLocalUrl(url) {
+  try {
+    return /^(localhost|127(\.\d+){3}|\[::1\])$/.test(new URL(url, window.location.href).hostname)
+  } catch {
+    return false
+  }
+}
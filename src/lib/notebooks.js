@@ -0,0 +1,52 @@
+// Notebooks form a tree through parentId (null for top level); notes point at one via notebookId
+
+export function createNotebook(name, parentId = null) {
+  return { id: crypto.randomUUID(), name, parentId, createdAt: Date.now() }
+}
+
+export function childrenByParent(notebooks) {
+  const map = new Map()
+  for (const nb of [...notebooks].sort((a, b) => a.name.localeCompare(b.name))) {
+    const key = nb.parentId ?? null
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(nb)
+  }
+  return map
+}
+
+// The notebook itself plus everything nested below it
+export function descendantIds(notebooks, id) {
+  const children = childrenByParent(notebooks)
+  const ids = new Set()
+  const stack = [id]
+  while (stack.length) {
+    const current = stack.pop()
+    if (ids.has(current)) continue
+    ids.add(current)
+    ;(children.get(current) || []).forEach(nb => stack.push(nb.id))
+  }
+  return ids
+}
+
+export function canMoveNotebook(notebooks, id, parentId) {
+  return parentId === null || !descendantIds(notebooks, id).has(parentId)
+}
+
+// Removing a notebook lifts its child notebooks and notes up to its parent
+export function removeNotebook(notebooks, notes, id) {
+  const target = notebooks.find(nb => nb.id === id)
+  const parentId = target?.parentId ?? null
+  return {
+    notebooks: notebooks
+      .filter(nb => nb.id !== id)
+      .map(nb => nb.parentId === id ? { ...nb, parentId } : nb),
+    notes: notes.map(n => n.notebookId === id ? { ...n, notebookId: parentId, updatedAt: Date.now() } : n)
+  }
+}
+
+export function notebookPath(notebooks, id) {
+  const byId = new Map(notebooks.map(nb => [nb.id, nb]))
+  const path = []
+  for (let nb = byId.get(id); nb && path.length < notebooks.length; nb = byId.get(nb.parentId)) path.unshift(nb.name)
+  return path.join(' / ')
+}
@@ -0,0 +1,217 @@
+import JSZip from 'jszip'
+import { htmlFragment } from './html.js'
+import { clearGrammarMarks } from './grammar.js'
+import { createLinkResolver } from './links.js'
+import { attachmentIds, attachmentUrl, formatBytes, loadNoteAttachments } from './attachments.js'
+import { attachmentPath, slugify } from './markdown.js'
+import { dateStamp } from './download.js'
+
+// Notes for people outside the app: a print-ready page (saved as PDF from the print dialog) and
+// "Export as website", a zip of static pages. Only the writing goes out; glossary and grammar
+// highlights and the editor around them stay behind. Encrypted notes are never published as
+// they are: callers pass unlocked copies or leave them out.
+
+const PAGE_CSS = `
+:root { color-scheme: light; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 16px/1.6 system-ui, -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; background: #fff; }
+main, .site-header { max-width: 46rem; margin: 0 auto; padding: 0 1.25rem; }
+main { padding-bottom: 3rem; }
+.site-header { padding-top: 1.25rem; padding-bottom: 1.25rem; border-bottom: 1px solid #d8dee4; margin-bottom: 2rem; }
+.site-header a { color: inherit; font-weight: 600; text-decoration: none; }
+h1, h2, h3 { line-height: 1.25; margin: 1.5em 0 0.5em; }
+h1.note-title { margin-top: 0; }
+a { color: #4f46e5; }
+.meta { color: #656d76; font-size: 0.875rem; margin: -0.25rem 0 1.5rem; }
+.tag { display: inline-block; margin-right: 0.375rem; padding: 0 0.5rem; border-radius: 1rem; background: #eef2ff; color: #4338ca; font-size: 0.8rem; text-decoration: none; }
+blockquote { margin: 1rem 0; padding: 0.25rem 1rem; border-left: 3px solid #c7d2fe; color: #424a53; }
+pre { overflow-x: auto; padding: 0.75rem 1rem; border-radius: 6px; background: #f6f8fa; font-size: 0.875rem; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #d8dee4; padding: 0.375rem 0.75rem; text-align: left; vertical-align: top; }
+img { max-width: 100%; height: auto; }
+ul[data-type="taskList"] { list-style: none; padding-left: 0.25rem; }
+ul[data-type="taskList"] li { display: flex; gap: 0.5rem; }
+ul[data-type="taskList"] li[data-checked="true"] > div { color: #656d76; text-decoration: line-through; }
+ul[data-type="taskList"] p { margin: 0; }
+.attachment-chip { display: inline-block; padding: 0 0.5rem; border: 1px solid #d8dee4; border-radius: 4px; text-decoration: none; }
+.note-list { list-style: none; padding: 0; }
+.note-list li { padding: 0.75rem 0; border-bottom: 1px solid #eaeef2; }
+.note-list a.note-link { font-weight: 600; }
+.note-list p { margin: 0.25rem 0 0; color: #424a53; font-size: 0.9rem; }
+@media print {
+  body { font-size: 11pt; }
+  main, .site-header { max-width: none; padding: 0; }
+  a { color: inherit; }
+  pre, blockquote, table, img { break-inside: avoid; }
+}
+`
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch])
+}
+
+function unwrap(el) {
+  el.replaceWith(...el.childNodes)
+}
+
+// The note's html as a reader sees it. `linkHref(link)` gives the address of a [[link]]'s page
+// (links without one become plain text); `attachmentSrc(id, name)` gives an attachment's address.
+function readableHtml(html, { linkHref, attachmentSrc }) {
+  const root = htmlFragment(html)
+  clearGrammarMarks(root)
+  root.querySelectorAll('span.glossary-term').forEach(unwrap)
+  root.querySelectorAll('a.note-link').forEach(a => {
+    const title = a.getAttribute('data-title') || a.textContent
+    const href = linkHref({ id: a.getAttribute('data-note-id'), title })
+    if (!href) return a.replaceWith(title)
+    a.setAttribute('href', href)
+    a.removeAttribute('data-note-id')
+    a.removeAttribute('data-title')
+  })
+  root.querySelectorAll('img[data-attachment]').forEach(img => {
+    const src = attachmentSrc(img.getAttribute('data-attachment'), img.getAttribute('data-name'))
+    if (src) img.setAttribute('src', src)
+    else img.remove()
+  })
+  root.querySelectorAll('a.attachment-chip').forEach(a => {
+    const name = a.getAttribute('data-name') || a.textContent
+    const size = Number(a.getAttribute('data-size'))
+    a.textContent = size ? `📎 ${name} (${formatBytes(size)})` : `📎 ${name}`
+    const href = attachmentSrc(a.getAttribute('data-attachment'), name)
+    if (href) a.setAttribute('href', href)
+  })
+  root.querySelectorAll('input[type="checkbox"]').forEach(box => box.setAttribute('disabled', ''))
+  return root.innerHTML
+}
+
+function page({ title, description = '', body, css, root = '', siteTitle = '' }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(siteTitle && title !== siteTitle ? `${title} – ${siteTitle}` : title)}</title>
+${description ? `<meta name="description" content="${escapeHtml(description)}">\n` : ''}${css ? `<style>${css}</style>` : `<link rel="stylesheet" href="${root}style.css">`}
+</head>
+<body>
+${siteTitle ? `<header class="site-header"><a href="${root}index.html">${escapeHtml(siteTitle)}</a></header>\n` : ''}<main>
+${body}
+</main>
+</body>
+</html>
+`
+}
+
+function formatDate(ts) {
+  return ts ? new Date(ts).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }) : ''
+}
+
+function noteArticle(note, html, tagHref) {
+  const tags = (note.tags || []).filter(tag => tag.trim()).map(tag => tagHref
+    ? `<a class="tag" href="${tagHref(tag)}">${escapeHtml(tag)}</a>`
+    : `<span class="tag">${escapeHtml(tag)}</span>`).join('')
+  const meta = [note.updatedAt && `Updated ${escapeHtml(formatDate(note.updatedAt))}`, tags].filter(Boolean).join(' · ')
+  return `<article>
+<h1 class="note-title">${escapeHtml(note.title || 'Untitled')}</h1>
+${meta ? `<p class="meta">${meta}</p>\n` : ''}${html}
+</article>`
+}
+
+// Prints one note through a hidden frame holding only the print page, so the browser's print
+// dialog (and its "Save as PDF") sees nothing of the app around it
+export async function printNote(note) {
+  const sources = new Map(await Promise.all(attachmentIds(note.html).map(async id => [id, await attachmentUrl(id)])))
+  const html = readableHtml(note.html, {
+    linkHref: () => null,
+    attachmentSrc: id => sources.get(id) || null
+  })
+  const frame = document.createElement('iframe')
+  frame.className = 'print-frame'
+  frame.setAttribute('aria-hidden', 'true')
+  frame.srcdoc = page({ title: note.title || 'Untitled', description: note.summary, body: noteArticle(note, html), css: PAGE_CSS })
+  await new Promise(resolve => {
+    frame.onload = resolve
+    document.body.appendChild(frame)
+  })
+  const view = frame.contentWindow
+  // Images must be decoded before printing, or they come out blank
+  await Promise.all(Array.from(view.document.images, img => img.decode().catch(() => {})))
+  view.addEventListener('afterprint', () => frame.remove())
+  view.focus()
+  view.print()
+}
+
+function uniqueSlug(text, taken) {
+  const base = slugify(text)
+  let slug = base
+  for (let i = 2; taken.has(slug); i++) slug = `${base}-${i}`
+  taken.add(slug)
+  return slug
+}
+
+// A zip with index.html, one page per note (notes/), one per tag (tags/), style.css and the
+// attachments the notes use. [[Links]] between exported notes point at each other's pages.
+export async function exportSite(notes, { title = 'Notes' } = {}) {
+  const zip = new JSZip()
+  const noteSlugs = new Set()
+  const pages = new Map(notes.map(n => [n.id, `${uniqueSlug(n.title, noteSlugs)}.html`]))
+  const resolve = createLinkResolver(notes)
+  const tagSlugs = new Set()
+  const tags = new Map()
+  notes.forEach(n => (n.tags || []).forEach(tag => {
+    const key = tag.trim().toLowerCase()
+    if (!key) return
+    if (!tags.has(key)) tags.set(key, { name: key, file: `${uniqueSlug(key, tagSlugs)}.html`, notes: [] })
+    if (!tags.get(key).notes.includes(n)) tags.get(key).notes.push(n)
+  }))
+  const sorted = [...notes].sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt || 0) - (a.updatedAt || 0))
+  const tagHref = root => tag => `${root}tags/${encodeURIComponent(tags.get(tag.trim().toLowerCase()).file)}`
+  const attachmentHref = root => (id, name) => `${root}${attachmentPath(id, name).split('/').map(encodeURIComponent).join('/')}`
+
+  const noteList = (list, root) => `<ul class="note-list">
+${list.map(n => `<li><a class="note-link" href="${root}notes/${encodeURIComponent(pages.get(n.id))}">${escapeHtml(n.title || 'Untitled')}</a>${n.summary ? `<p>${escapeHtml(n.summary)}</p>` : ''}</li>`).join('\n')}
+</ul>`
+
+  zip.file('style.css', PAGE_CSS.trimStart())
+  zip.file('index.html', page({
+    title,
+    siteTitle: title,
+    description: `${notes.length} note${notes.length === 1 ? '' : 's'}`,
+    body: `<h1>${escapeHtml(title)}</h1>
+${noteList(sorted, '')}
+${tags.size ? `<h2>Tags</h2>\n<p>${[...tags.values()].map(t => `<a class="tag" href="tags/${encodeURIComponent(t.file)}">${escapeHtml(t.name)}</a>`).join(' ')}</p>` : ''}`
+  }))
+  notes.forEach(note => {
+    const html = readableHtml(note.html, {
+      linkHref: link => {
+        const target = resolve(link)
+        return target ? encodeURIComponent(pages.get(target.id)) : null
+      },
+      attachmentSrc: attachmentHref('../')
+    })
+    zip.file(`notes/${pages.get(note.id)}`, page({
+      title: note.title || 'Untitled',
+      siteTitle: title,
+      description: note.summary,
+      root: '../',
+      body: noteArticle(note, html, tagHref('../'))
+    }))
+  })
+  tags.forEach(tag => {
+    zip.file(`tags/${tag.file}`, page({
+      title: `Tagged “${tag.name}”`,
+      siteTitle: title,
+      root: '../',
+      description: `${tag.notes.length} note${tag.notes.length === 1 ? '' : 's'} tagged ${tag.name}`,
+      body: `<h1>Tagged “${escapeHtml(tag.name)}”</h1>\n${noteList(sorted.filter(n => tag.notes.includes(n)), '../')}`
+    }))
+  })
+  for (const attachment of await loadNoteAttachments(notes)) {
+    zip.file(attachmentPath(attachment.id, attachment.name), attachment.blob)
+  }
+  return {
+    blob: await zip.generateAsync({ type: 'blob' }),
+    filename: `${slugify(title)}-site-${dateStamp()}.zip`
+  }
+}
@@ -0,0 +1,60 @@
+// Installable app: the service worker that keeps the app shell for offline use, the
+// "update available" prompt, and files opened with the app from the operating system.
+
+let waiting = null
+const updateListeners = new Set()
+let applyingUpdate = false
+
+function offerUpdate(worker) {
+  waiting = worker
+  updateListeners.forEach(listener => listener())
+}
+
+// Registers /sw.js in production builds (the dev server has no built shell to cache)
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  navigator.serviceWorker.register('/sw.js').then(registration => {
+    // Only a replacement is an update; the very first install just starts caching
+    if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting)
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker)
+      })
+    })
+    // Tabs can stay open for days; look for a new version now and then
+    setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000)
+  }).catch(error => console.warn('Service worker registration failed:', error))
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (applyingUpdate) window.location.reload()
+  })
+}
+
+// Calls `listener` when a new version is ready to take over; returns an unsubscribe function
+export function onUpdateAvailable(listener) {
+  updateListeners.add(listener)
+  if (waiting) listener()
+  return () => updateListeners.delete(listener)
+}
+
+// Lets the waiting version take over; the page reloads once it has
+export function applyUpdate() {
+  if (!waiting) return
+  applyingUpdate = true
+  waiting.postMessage('skipWaiting')
+}
+
+// Files the app was opened with (a backup or Markdown file double-clicked in the file manager,
+// see file_handlers in the manifest). Files arriving before this is called are held by the browser.
+// A file that cannot be read (moved, deleted, permission revoked) goes to `onError` with its name.
+export function onLaunchFiles(callback, onError) {
+  if (!('launchQueue' in window)) return
+  window.launchQueue.setConsumer(async params => {
+    if (!params.files?.length) return
+    const results = await Promise.allSettled(params.files.map(handle => handle.getFile()))
+    results.forEach((result, i) => { if (result.status === 'rejected') onError(params.files[i].name, result.reason) })
+    const files = results.filter(r => r.status === 'fulfilled').map(r => r.value)
+    if (files.length) callback(files)
+  })
+}
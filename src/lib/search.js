@@ -0,0 +1,207 @@
+// Ranked full-text search over notes: BM25 scoring with title boost, prefix and typo tolerance,
+// and query operators (tag:, is:, before:, after:, "quoted phrases").
+
+const TITLE_WEIGHT = 3
+const PREFIX_WEIGHT = 0.8
+const FUZZY_WEIGHT = 0.6
+const PHRASE_BONUS = 2
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+}
+
+function termFrequencies(tokens) {
+  const tf = new Map()
+  tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1))
+  return tf
+}
+
+function parseDate(value) {
+  const ts = Date.parse(value)
+  return Number.isFinite(ts) ? ts : null
+}
+
+export function parseQuery(input) {
+  const query = { terms: [], phrases: [], tags: [], is: [], before: null, after: null }
+  const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"?|(\S+)/g
+  let m
+  while ((m = re.exec(input || ''))) {
+    const op = (m[1] || m[3] || '').toLowerCase()
+    const value = m[2] ?? m[4]
+    if (op === 'tag') query.tags.push(value.toLowerCase())
+    else if (op === 'is') query.is.push(value.toLowerCase())
+    else if (op === 'before' && parseDate(value) !== null) query.before = parseDate(value)
+    else if (op === 'after' && parseDate(value) !== null) query.after = parseDate(value)
+    else if (m[5] !== undefined) {
+      const phrase = m[5].trim().toLowerCase()
+      if (tokenize(phrase).length > 1) query.phrases.push(phrase)
+      else query.terms.push(...tokenize(phrase))
+    }
+    else query.terms.push(...tokenize(m[0]))
+  }
+  return query
+}
+
+export function isEmptyQuery(query) {
+  return !query.terms.length && !query.phrases.length && !query.tags.length &&
+    !query.is.length && query.before === null && query.after === null
+}
+
+export function buildSearchIndex(notes) {
+  const docs = notes.map(note => {
+    const body = tokenize(note.text)
+    return {
+      note,
+      title: termFrequencies(tokenize(note.title)),
+      body: termFrequencies(body),
+      length: body.length
+    }
+  })
+  const df = new Map()
+  docs.forEach(d => new Set([...d.title.keys(), ...d.body.keys()]).forEach(t => df.set(t, (df.get(t) || 0) + 1)))
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1
+  return { docs, df, vocab: [...df.keys()], avgLength, expansions: new Map() }
+}
+
+// Bounded Levenshtein distance; returns max + 1 as soon as the distance is known to exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      rowMin = Math.min(rowMin, cur[j])
+    }
+    if (rowMin > max) return max + 1
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+function allowedEdits(term) {
+  if (term.length < 4) return 0
+  return term.length < 8 ? 1 : 2
+}
+
+// Maps a query term to the indexed terms it matches, weighted by how exact the match is
+function expandTerm(index, term) {
+  if (index.expansions.has(term)) return index.expansions.get(term)
+  const matches = new Map()
+  const maxEdits = allowedEdits(term)
+  for (const word of index.vocab) {
+    if (word === term) matches.set(word, 1)
+    else if (term.length >= 2 && word.startsWith(term)) matches.set(word, PREFIX_WEIGHT)
+    else if (maxEdits && editDistance(term, word, maxEdits) <= maxEdits) matches.set(word, FUZZY_WEIGHT)
+  }
+  index.expansions.set(term, matches)
+  return matches
+}
+
+function bm25(tf, length, avgLength) {
+  if (!tf) return 0
+  return (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength))
+}
+
+function matchesFilters(note, query) {
+  const tags = (note.tags || []).map(t => String(t).toLowerCase())
+  if (!query.tags.every(t => tags.includes(t))) return false
+  for (const flag of query.is) {
+    if (flag === 'pinned' && !note.pinned) return false
+    if (flag === 'encrypted' && !note.encrypted) return false
+  }
+  const ts = note.updatedAt || note.createdAt || 0
+  if (query.before !== null && ts >= query.before) return false
+  if (query.after !== null && ts <= query.after) return false
+  return true
+}
+
+// Returns [{ note, score, words }] best first; `words` are the indexed terms that matched, for highlighting
+export function searchNotes(index, query) {
+  const total = index.docs.length
+  const results = []
+  for (const doc of index.docs) {
+    if (!matchesFilters(doc.note, query)) continue
+    let score = 0
+    const words = new Set()
+    let matchedAll = true
+    for (const term of query.terms) {
+      let best = 0
+      for (const [word, weight] of expandTerm(index, term)) {
+        const inTitle = doc.title.get(word)
+        const inBody = doc.body.get(word)
+        if (!inTitle && !inBody) continue
+        const idf = Math.log(1 + (total - index.df.get(word) + 0.5) / (index.df.get(word) + 0.5))
+        const termScore = weight * idf * (TITLE_WEIGHT * bm25(inTitle, 1, 1) + bm25(inBody, doc.length, index.avgLength))
+        best = Math.max(best, termScore)
+        words.add(word)
+      }
+      if (!best) { matchedAll = false; break }
+      score += best
+    }
+    if (!matchedAll) continue
+    const title = (doc.note.title || '').toLowerCase()
+    const text = (doc.note.text || '').toLowerCase()
+    if (!query.phrases.every(p => title.includes(p) || text.includes(p))) continue
+    query.phrases.forEach(p => { score += PHRASE_BONUS * (title.includes(p) ? TITLE_WEIGHT : 1) })
+    results.push({ note: doc.note, score, words })
+  }
+  return results.sort((a, b) => (b.score - a.score) || (b.note.updatedAt - a.note.updatedAt))
+}
+
+// Character ranges of matched words and phrases in `text`, merged and sorted
+function matchRanges(text, words, phrases) {
+  const ranges = []
+  for (const m of (text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (words.has(m[0].toLowerCase())) ranges.push([m.index, m.index + m[0].length])
+  }
+  const lower = (text || '').toLowerCase()
+  for (const p of phrases) {
+    for (let i = lower.indexOf(p); i >= 0; i = lower.indexOf(p, i + p.length)) ranges.push([i, i + p.length])
+  }
+  ranges.sort((a, b) => a[0] - b[0])
+  const merged = []
+  for (const r of ranges) {
+    const last = merged[merged.length - 1]
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1])
+    else merged.push([...r])
+  }
+  return merged
+}
+
+function toSegments(text, ranges, start = 0, end = text.length) {
+  const segments = []
+  let cursor = start
+  for (const [s, e] of ranges) {
+    if (e <= start || s >= end) continue
+    if (s > cursor) segments.push({ text: text.slice(cursor, s), match: false })
+    segments.push({ text: text.slice(Math.max(s, cursor), Math.min(e, end)), match: true })
+    cursor = Math.min(e, end)
+  }
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false })
+  return segments
+}
+
+export function highlight(text, words, phrases = []) {
+  return toSegments(text || '', matchRanges(text, words, phrases))
+}
+
+// A window of the text around the first match, as [{ text, match }] segments
+export function snippet(text, words, phrases = [], length = 120) {
+  const source = (text || '').replace(/\s+/g, ' ').trim()
+  const ranges = matchRanges(source, words, phrases)
+  if (!ranges.length) return [{ text: source.slice(0, length), match: false }]
+  let start = Math.max(0, ranges[0][0] - Math.floor(length / 3))
+  if (start > 0) {
+    const space = source.indexOf(' ', start)
+    if (space >= 0 && space < ranges[0][0]) start = space + 1
+  }
+  const end = Math.min(source.length, start + length)
+  const segments = toSegments(source, ranges, start, end)
+  if (start > 0) segments.unshift({ text: '…', match: false })
+  if (end < source.length) segments.push({ text: '…', match: false })
+  return segments
+}
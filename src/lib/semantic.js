@@ -0,0 +1,211 @@
+import { tokenize } from './search.js'
+import { embedTexts, embeddingModel, isEmbeddingAvailable, needsNetwork } from './ai.js'
+import { loadEmbeddings, writeEmbeddings } from './db.js'
+import { isOnline } from './network.js'
+
+// Related notes and search by meaning. With an embeddings provider notes are compared by the
+// vectors it returns; without one (or when it fails) by TF-IDF word vectors made here. Encrypted
+// and trashed notes are never embedded, and their vectors are dropped.
+
+const MAX_INPUT = 8000
+const BATCH_SIZE = 32
+// Below these a match is noise; embedding similarities run higher than word overlap
+const MIN_SCORE = { embeddings: 0.3, local: 0.05 }
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+  'out', 'has', 'him', 'his', 'how', 'its', 'let', 'may', 'who', 'why', 'did', 'get', 'got', 'too', 'use',
+  'this', 'that', 'with', 'from', 'your', 'have', 'about', 'there', 'their', 'which', 'will', 'into', 'only',
+  'also', 'been', 'were', 'when', 'what', 'where', 'then', 'than', 'because', 'while', 'these', 'those',
+  'such', 'some', 'more', 'most', 'they', 'them', 'would', 'could', 'should', 'just', 'very', 'each', 'over'
+])
+
+// Crude suffix stripping so "meeting", "meetings" and "meet" count as one word
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y'
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3)
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2)
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+function termCounts(text) {
+  const counts = new Map()
+  tokenize(text).forEach(token => {
+    if (token.length < 3 || STOP_WORDS.has(token) || /^\d+$/.test(token)) return
+    const term = stem(token)
+    counts.set(term, (counts.get(term) || 0) + 1)
+  })
+  return counts
+}
+
+function embeddable(note) {
+  return !note.encrypted && !note.deletedAt && !!(note.title || note.text || '').trim()
+}
+
+function noteInput(note) {
+  return `${note.title || ''}\n${note.text || ''}`.slice(0, MAX_INPUT)
+}
+
+// FNV-1a; tells whether a note changed since its vector was made without keeping its text
+function hashText(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193)
+  return (hash >>> 0).toString(36) + text.length.toString(36)
+}
+
+// Word counts per note id, redone only when the note's text (or title) changes
+const termCache = new Map()
+
+function noteTerms(note) {
+  const input = noteInput(note)
+  const cached = termCache.get(note.id)
+  if (cached?.input === input) return cached.counts
+  const counts = termCounts(input)
+  termCache.set(note.id, { input, counts })
+  return counts
+}
+
+function normalize(vector) {
+  let norm = 0
+  vector.forEach(w => { norm += w * w })
+  norm = Math.sqrt(norm)
+  if (norm) vector.forEach((w, term) => vector.set(term, w / norm))
+  return vector
+}
+
+// TF-IDF over `notes`: returns the notes' vectors and a way to make one for other text
+function localModel(notes) {
+  const df = new Map()
+  notes.forEach(note => noteTerms(note).forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)))
+  const idf = term => Math.log((notes.length + 1) / ((df.get(term) || 0) + 1)) + 1
+  const weigh = counts => {
+    const vector = new Map()
+    counts.forEach((count, term) => vector.set(term, (1 + Math.log(count)) * idf(term)))
+    return normalize(vector)
+  }
+  return {
+    vectors: new Map(notes.map(note => [note.id, weigh(noteTerms(note))])),
+    vectorFor: text => weigh(termCounts(text))
+  }
+}
+
+function sparseCosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a]
+  let dot = 0
+  small.forEach((w, term) => { dot += w * (large.get(term) || 0) })
+  return dot
+}
+
+function denseCosine(a, b) {
+  let dot = 0
+  let na = 0
+  let nb = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    na += a[i] * a[i]
+    nb += b[i] * b[i]
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0
+}
+
+// Stored vectors by note id: { id, model, key, vector }
+let embeddingCache = null
+// Embedding runs one at a time, so two callers never pay for the same note
+let embeddingQueue = Promise.resolve()
+
+async function cachedEmbeddings() {
+  if (!embeddingCache) {
+    try {
+      embeddingCache = new Map((await loadEmbeddings()).map(e => [e.id, e]))
+    } catch (error) {
+      console.warn('Failed to load stored embeddings:', error)
+      embeddingCache = new Map()
+    }
+  }
+  return embeddingCache
+}
+
+// Vectors for `notes` (all embeddable), embedding only the notes that are new or changed
+function ensureEmbeddings(notes, settings, signal) {
+  const run = embeddingQueue.then(async () => {
+    const cache = await cachedEmbeddings()
+    const model = embeddingModel(settings)
+    const keys = new Map(notes.map(n => [n.id, hashText(noteInput(n))]))
+    const stale = notes.filter(n => cache.get(n.id)?.model !== model || cache.get(n.id)?.key !== keys.get(n.id))
+    const put = []
+    try {
+      for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+        const batch = stale.slice(i, i + BATCH_SIZE)
+        const vectors = await embedTexts(batch.map(noteInput), settings, { signal })
+        batch.forEach((note, j) => {
+          const record = { id: note.id, model, key: keys.get(note.id), vector: vectors[j] }
+          cache.set(note.id, record)
+          put.push(record)
+        })
+      }
+    } finally {
+      const remove = [...cache.keys()].filter(id => !keys.has(id))
+      remove.forEach(id => cache.delete(id))
+      writeEmbeddings({ put, remove }).catch(error => console.warn('Failed to store embeddings:', error))
+    }
+    return new Map(notes.map(n => [n.id, cache.get(n.id).vector]))
+  })
+  embeddingQueue = run.catch(() => {})
+  return run
+}
+
+function canEmbed(settings) {
+  return isEmbeddingAvailable(settings) && (isOnline() || !needsNetwork('embeddings', settings))
+}
+
+function rank(entries, limit, minScore) {
+  return entries.filter(e => e.score >= minScore).sort((a, b) => b.score - a.score).slice(0, limit)
+}
+
+// Runs `withEmbeddings`, falling back to `withWords` when there is no provider or it fails.
+// Resolves with { results, engine: 'embeddings' | 'local', error }.
+async function withFallback(settings, withEmbeddings, withWords) {
+  let error = null
+  if (canEmbed(settings)) {
+    try {
+      return { results: await withEmbeddings(), engine: 'embeddings', error }
+    } catch (e) {
+      if (e.name === 'AbortError') throw e
+      console.warn('Embeddings failed, using local word matching:', e)
+      error = e
+    }
+  }
+  return { results: withWords(), engine: 'local', error }
+}
+
+// The notes most like `note` among `notes`, as [{ note, score }]
+export function relatedNotes(note, notes, settings, { signal, limit = 5 } = {}) {
+  if (!embeddable(note)) return Promise.resolve({ results: [], engine: null, error: null })
+  const candidates = notes.filter(n => n.id !== note.id && embeddable(n))
+  const all = [note, ...candidates]
+  return withFallback(settings, async () => {
+    const vectors = await ensureEmbeddings(all, settings, signal)
+    const own = vectors.get(note.id)
+    return rank(candidates.map(n => ({ note: n, score: denseCosine(own, vectors.get(n.id)) })), limit, MIN_SCORE.embeddings)
+  }, () => {
+    const { vectors } = localModel(all)
+    const own = vectors.get(note.id)
+    return rank(candidates.map(n => ({ note: n, score: sparseCosine(own, vectors.get(n.id)) })), limit, MIN_SCORE.local)
+  })
+}
+
+// `notes` ranked by how close they are to what `query` describes, as [{ note, score }]
+export function searchByMeaning(query, notes, settings, { signal, limit = 30 } = {}) {
+  const candidates = notes.filter(embeddable)
+  if (!query.trim() || !candidates.length) return Promise.resolve({ results: [], engine: null, error: null })
+  return withFallback(settings, async () => {
+    const vectors = await ensureEmbeddings(candidates, settings, signal)
+    const [own] = await embedTexts([query.slice(0, MAX_INPUT)], settings, { signal })
+    return rank(candidates.map(n => ({ note: n, score: denseCosine(own, vectors.get(n.id)) })), limit, MIN_SCORE.embeddings)
+  }, () => {
+    const { vectors, vectorFor } = localModel(candidates)
+    const own = vectorFor(query)
+    return rank(candidates.map(n => ({ note: n, score: sparseCosine(own, vectors.get(n.id)) })), limit, MIN_SCORE.local)
+  })
+}
@@ -0,0 +1,75 @@
+import { bytesToBase64, base64ToBytes, encryptString, decryptString } from './crypto.js'
+import { sanitizeHtml } from './html.js'
+
+// Share links carry the whole note in the URL fragment, so nothing is sent to a server.
+// Format: #share=p.<payload> (plain) or #share=e.<payload> (password protected)
+const SHARE_PARAM = 'share'
+const SHARE_VERSION = 1
+
+function toBase64Url(str) {
+  return bytesToBase64(new TextEncoder().encode(str))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = b64 + '='.repeat((4 - b64.length % 4) % 4)
+  return new TextDecoder().decode(base64ToBytes(padded))
+}
+
+function text(value) {
+  return typeof value === 'string' ? value : ''
+}
+
+// Also reads decoded links, so every field is checked for its type
+function pickSharedFields(note) {
+  return {
+    v: SHARE_VERSION,
+    title: text(note.title),
+    html: text(note.html),
+    tags: Array.isArray(note.tags) ? note.tags.filter(t => typeof t === 'string') : [],
+    summary: text(note.summary)
+  }
+}
+
+export async function createShareLink(note, password) {
+  if (note.encrypted) throw new Error('Decrypt the note before sharing it.')
+  const json = JSON.stringify(pickSharedFields(note))
+  const token = password
+    ? 'e.' + toBase64Url(JSON.stringify(await encryptString(json, password)))
+    : 'p.' + toBase64Url(json)
+  const { origin, pathname } = window.location
+  return `${origin}${pathname}#${SHARE_PARAM}=${token}`
+}
+
+// Returns { encrypted, data } for a share fragment, or null when the hash is not a share link
+export function parseShareHash(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''))
+  const token = params.get(SHARE_PARAM)
+  if (!token) return null
+  const kind = token.slice(0, 2)
+  if (kind !== 'p.' && kind !== 'e.') return null
+  try {
+    return { encrypted: kind === 'e.', data: JSON.parse(fromBase64Url(token.slice(2))) }
+  } catch {
+    return null
+  }
+}
+
+export async function openSharedNote(parsed, password) {
+  const payload = parsed.encrypted
+    ? JSON.parse(await decryptString(parsed.data, password))
+    : parsed.data
+  if (!payload || typeof payload !== 'object' || payload.v !== SHARE_VERSION) {
+    throw new Error('Unsupported share link.')
+  }
+  const note = pickSharedFields(payload)
+  return { ...note, html: sanitizeHtml(note.html) }
+}
+
+export function clearShareHash() {
+  const { pathname, search } = window.location
+  window.history.replaceState(null, '', pathname + search)
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { createShareLink, parseShareHash, openSharedNote } from './share.js'
+
+const payload = {
+  title: 'Shared',
+  html: '<p>hi</p><img src=x onerror="alert(1)"><script>alert(2)</script><a href="javascript:alert(3)">x</a>',
+  tags: ['a'],
+  summary: ''
+}
+
+function hashOf(link) {
+  return new URL(link).hash
+}
+
+describe('openSharedNote', () => {
+  it('sanitizes the html of a plain share link', async () => {
+    const note = await openSharedNote(parseShareHash(hashOf(await createShareLink(payload))))
+    expect(note.title).toBe('Shared')
+    expect(note.html).toBe('<p>hi</p><a>x</a>')
+  })
+
+  it('sanitizes the html of a password protected share link', async () => {
+    const parsed = parseShareHash(hashOf(await createShareLink(payload, 'secret')))
+    expect(parsed.encrypted).toBe(true)
+    const note = await openSharedNote(parsed, 'secret')
+    expect(note.html).toBe('<p>hi</p><a>x</a>')
+  })
+
+  it('drops fields of the wrong type', async () => {
+    const note = await openSharedNote({ encrypted: false, data: { v: 1, title: {}, html: 5, tags: [{}, 'ok', 3], summary: ['x'] } })
+    expect(note).toEqual({ v: 1, title: '', html: '', tags: ['ok'], summary: '' })
+  })
+
+  it('rejects links from another version', async () => {
+    await expect(openSharedNote({ encrypted: false, data: { v: 99, html: '' } })).rejects.toThrow('Unsupported share link.')
+  })
+})
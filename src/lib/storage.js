@@ -0,0 +1,18 @@
+// Storage helpers - using localStorage for small settings
+export function saveToStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn('Failed to save to localStorage:', error)
+  }
+}
+
+export function loadFromStorage(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch (error) {
+    console.warn('Failed to load from localStorage:', error)
+    return fallback
+  }
+}
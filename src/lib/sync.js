@@ -0,0 +1,305 @@
+import { loadFromStorage, saveToStorage } from './storage.js'
+import { loadNotesById } from './db.js'
+import { sanitizeHtml } from './html.js'
+
+// Offline-first sync with the server in server/sync.js. Saved changes are queued by note id
+// (in localStorage, so the queue survives reloads and is shared by all tabs); one tab at a time
+// pushes the queue and pulls whatever changed on the server since the last revision it saw.
+// When both sides changed a note, the newer updatedAt wins.
+const STATE_KEY = 'pp_sync_state'
+const STATUS_KEY = 'pp_sync_status'
+const LOCK_NAME = 'playpower-sync'
+const SYNC_INTERVAL = 30 * 1000
+const PUSH_DELAY = 2000
+
+export const DEFAULT_SYNC_SETTINGS = { enabled: false, url: '', token: '' }
+
+// Encrypted notes leave the device as ciphertext plus the bookkeeping needed to place them; the
+// title, tags, summary and attachment list stay on the device that has them
+const ENCRYPTED_NOTE_FIELDS = ['id', 'encrypted', 'encryptedPayload', 'pinned', 'notebookId', 'createdAt', 'updatedAt', 'deletedAt']
+const DEVICE_FIELDS = ['title', 'tags', 'summary', 'attachments']
+
+export class SyncError extends Error {
+  constructor(kind, message) {
+    super(message)
+    this.name = 'SyncError'
+    this.kind = kind
+  }
+}
+
+function emptyState(server = '') {
+  // revs: server revision each note was last synced at; synced: its updatedAt at that point
+  return { server, lastRev: 0, revs: {}, synced: {}, queue: {} }
+}
+
+function loadState() {
+  return { ...emptyState(), ...loadFromStorage(STATE_KEY, null) }
+}
+
+// Re-read before every change: other tabs add to the queue too
+function updateState(change) {
+  const state = loadState()
+  change(state)
+  saveToStorage(STATE_KEY, state)
+  return state
+}
+
+export function toSyncPayload(note) {
+  if (!note.encrypted) return note
+  return Object.fromEntries(ENCRYPTED_NOTE_FIELDS.filter(f => note[f] !== undefined).map(f => [f, note[f]]))
+}
+
+// `local` is this device's copy, if any: an encrypted note arriving from the server keeps its fields
+function fromSyncPayload(note, local) {
+  const synced = { text: '', summary: '', tags: [], pinned: false, ...note, html: sanitizeHtml(note.html) }
+  if (!note.encrypted || !local) return synced
+  return { ...synced, ...Object.fromEntries(DEVICE_FIELDS.filter(f => local[f] !== undefined).map(f => [f, local[f]])) }
+}
+
+// Called by every tab after it saves; notes that just arrived from the server are not sent back
+export function queueSyncChanges(written, removed = []) {
+  if (!written.length && !removed.length) return
+  updateState(state => {
+    written.forEach(n => { if (state.synced[n.id] !== n.updatedAt) state.queue[n.id] = 'put' })
+    removed.forEach(id => { state.queue[id] = 'delete' })
+  })
+}
+
+export function pendingSyncCount() {
+  return Object.keys(loadState().queue).length
+}
+
+function createApi({ url, token }) {
+  const base = url.replace(/\/+$/, '')
+  return async function api(path, { method = 'GET', body } = {}) {
+    let res
+    try {
+      res = await fetch(`${base}/api${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+      })
+    } catch (error) {
+      throw new SyncError('network', error.message || 'Could not reach the sync server')
+    }
+    const data = await res.json().catch(() => ({}))
+    if (res.status === 401) throw new SyncError('auth', data.error || 'The sync token was rejected')
+    if (!res.ok && res.status !== 409) throw new SyncError('server', data.error || `Sync server responded with HTTP ${res.status}`)
+    return { status: res.status, body: data }
+  }
+}
+
+// { ok, message } for the settings dialog
+export async function testSyncServer(settings) {
+  try {
+    const { body } = await createApi(settings)('/me')
+    return { ok: true, message: `Signed in as ${body.user}` }
+  } catch (error) {
+    return { ok: false, message: error.message }
+  }
+}
+
+// onRemote(notes, removedIds) merges server changes into the app; onStatus(status, message) reports
+// 'syncing' | 'synced' | 'offline' | 'error'; localNoteIds() lists every note for a first upload.
+// Returns { syncNow, notifyLocalChanges, stop }.
+export function startSync(settings, { onRemote, onStatus, localNoteIds }) {
+  const api = createApi(settings)
+  let accountChecked = false
+  let stopped = false
+  let leader = false
+  let releaseLock = null
+  let intervalId = null
+  let pushTimer = null
+  let running = null
+  let again = false
+
+  function setStatus(status, message = '') {
+    onStatus(status, message)
+    // Tabs that are not syncing show the leader's status
+    saveToStorage(STATUS_KEY, { status, message, at: Date.now() })
+  }
+
+  // Starting against a different server or account: forget what was synced and upload every note
+  async function checkAccount() {
+    const { body } = await api('/me')
+    const account = `${settings.url.replace(/\/+$/, '')} ${body.user}`
+    if (loadState().server !== account) {
+      const state = emptyState(account)
+      localNoteIds().forEach(id => { state.queue[id] = 'put' })
+      saveToStorage(STATE_KEY, state)
+    }
+    accountChecked = true
+  }
+
+  function markSynced(id, rev, updatedAt) {
+    updateState(state => {
+      state.revs[id] = rev
+      if (updatedAt === undefined) delete state.synced[id]
+      else state.synced[id] = updatedAt
+      delete state.queue[id]
+    })
+  }
+
+  // The server's copy won: hand it to the app and record it as synced
+  function acceptRemote(entry, local) {
+    if (entry.deleted) {
+      markSynced(entry.id, entry.rev)
+      onRemote([], [entry.id])
+    } else {
+      markSynced(entry.id, entry.rev, entry.note.updatedAt)
+      onRemote([fromSyncPayload(entry.note, local)], [])
+    }
+  }
+
+  async function pushNote(note, baseRev, retried = false) {
+    const { status, body } = await api(`/notes/${encodeURIComponent(note.id)}`, {
+      method: 'PUT',
+      body: { note: toSyncPayload(note), baseRev }
+    })
+    if (status !== 409) return markSynced(note.id, body.rev, note.updatedAt)
+    const remoteTime = body.deleted ? body.deletedAt : body.note?.updatedAt
+    if ((note.updatedAt || 0) > (remoteTime || 0)) {
+      // Ours is newer: overwrite, based on the revision we were just shown
+      if (!retried) return pushNote(note, body.rev, true)
+      return
+    }
+    acceptRemote(body, note)
+  }
+
+  async function pushDelete(id, baseRev) {
+    const query = baseRev === undefined ? '' : `?baseRev=${baseRev}`
+    const { status, body } = await api(`/notes/${encodeURIComponent(id)}${query}`, { method: 'DELETE' })
+    // Edited elsewhere after we last synced: the edit wins over the deletion
+    if (status === 409) acceptRemote(body)
+    else markSynced(id, body.rev)
+  }
+
+  async function push() {
+    const { queue, revs } = loadState()
+    const ids = Object.keys(queue)
+    if (!ids.length) return
+    const notes = new Map((await loadNotesById(ids)).map(n => [n.id, n]))
+    for (const id of ids) {
+      if (stopped) return
+      if (queue[id] === 'delete' || !notes.has(id)) await pushDelete(id, revs[id])
+      else await pushNote(notes.get(id), revs[id])
+    }
+  }
+
+  async function pull() {
+    const { lastRev } = loadState()
+    const { body } = await api(`/notes?since=${lastRev}`)
+    const { queue } = loadState()
+    const wanted = body.changes.filter(c => queue[c.id] || c.note?.encrypted).map(c => c.id)
+    const local = new Map((await loadNotesById(wanted)).map(n => [n.id, n]))
+    const notes = []
+    const removed = []
+    updateState(state => {
+      for (const change of body.changes) {
+        const mine = local.get(change.id)
+        const remoteTime = change.deleted ? change.deletedAt : change.note.updatedAt
+        if (state.queue[change.id] && mine && (mine.updatedAt || 0) > (remoteTime || 0)) {
+          // Our pending edit is newer; push it on top of this revision
+          state.revs[change.id] = change.rev
+          continue
+        }
+        if (change.deleted) {
+          removed.push(change.id)
+          delete state.synced[change.id]
+        } else {
+          notes.push(fromSyncPayload(change.note, mine))
+          state.synced[change.id] = change.note.updatedAt
+        }
+        state.revs[change.id] = change.rev
+        delete state.queue[change.id]
+      }
+      state.lastRev = body.rev
+    })
+    if (notes.length || removed.length) onRemote(notes, removed)
+  }
+
+  async function cycle() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      setStatus('offline', 'Changes will sync when you are back online')
+      return
+    }
+    setStatus('syncing')
+    try {
+      if (!accountChecked) await checkAccount()
+      await push()
+      await pull()
+      setStatus('synced')
+    } catch (error) {
+      if (error.kind === 'network') setStatus('offline', error.message)
+      else setStatus('error', error.message)
+    }
+  }
+
+  // One cycle at a time; a request made during a cycle runs once it finishes
+  function syncNow() {
+    if (stopped || !leader) return Promise.resolve()
+    if (running) {
+      again = true
+      return running
+    }
+    running = cycle().finally(() => {
+      running = null
+      if (again) {
+        again = false
+        syncNow()
+      }
+    })
+    return running
+  }
+
+  function schedulePush() {
+    clearTimeout(pushTimer)
+    pushTimer = setTimeout(syncNow, PUSH_DELAY)
+  }
+
+  const onStorage = e => {
+    if (e.key === STATE_KEY && leader) schedulePush()
+    if (e.key === STATUS_KEY && !leader && e.newValue) {
+      const { status, message } = JSON.parse(e.newValue)
+      onStatus(status, message)
+    }
+  }
+  const onOnline = () => syncNow()
+  const onOffline = () => leader && setStatus('offline', 'Changes will sync when you are back online')
+
+  function becomeLeader() {
+    leader = true
+    intervalId = setInterval(syncNow, SYNC_INTERVAL)
+    syncNow()
+  }
+
+  window.addEventListener('storage', onStorage)
+  window.addEventListener('online', onOnline)
+  window.addEventListener('offline', onOffline)
+
+  // Only one tab syncs at a time; the others take over when it closes
+  if (navigator.locks) {
+    navigator.locks.request(LOCK_NAME, () => new Promise(resolve => {
+      releaseLock = resolve
+      if (stopped) resolve()
+      else becomeLeader()
+    }))
+  } else {
+    becomeLeader()
+  }
+
+  return {
+    syncNow,
+    // Local saves in this tab; other tabs' saves arrive through the storage event
+    notifyLocalChanges: () => leader && schedulePush(),
+    stop() {
+      stopped = true
+      clearInterval(intervalId)
+      clearTimeout(pushTimer)
+      window.removeEventListener('storage', onStorage)
+      window.removeEventListener('online', onOnline)
+      window.removeEventListener('offline', onOffline)
+      releaseLock?.()
+    }
+  }
+}
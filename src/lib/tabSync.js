@@ -0,0 +1,73 @@
+// Change notifications between open tabs of the app. Messages carry note ids and vault states
+// only; receivers read the notes back from storage, so nothing decrypted crosses the channel.
+// Uses BroadcastChannel where available, otherwise the `storage` event on a scratch key.
+const CHANNEL_NAME = 'playpower-notes'
+const STORAGE_KEY = 'pp_tab_sync'
+
+export const TAB_ID = crypto.randomUUID()
+
+const listeners = new Set()
+let channel = null
+
+function dispatch(message) {
+  if (!message || message.from === TAB_ID) return
+  listeners.forEach(listener => listener(message))
+}
+
+function connect() {
+  if (channel !== null) return
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = e => dispatch(e.data)
+  } else {
+    channel = false
+    window.addEventListener('storage', e => {
+      if (e.key !== STORAGE_KEY || !e.newValue) return
+      try {
+        dispatch(JSON.parse(e.newValue))
+      } catch {
+        // ignore malformed values written by something else
+      }
+    })
+  }
+}
+
+function post(message) {
+  connect()
+  if (channel) {
+    channel.postMessage(message)
+    return
+  }
+  try {
+    // The nonce makes every write a change, so the event fires even for repeated messages
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...message, nonce: Math.random() }))
+  } catch {
+    // best effort: the other tabs will catch up on their next load
+  }
+}
+
+function subscribe(type, listener) {
+  connect()
+  const wrapped = message => { if (message.type === type) listener(message) }
+  listeners.add(wrapped)
+  return () => listeners.delete(wrapped)
+}
+
+// { changed: [id], removed: [id] }
+export function broadcastNoteChanges({ changed = [], removed = [] }) {
+  if (!changed.length && !removed.length) return
+  post({ type: 'notes', from: TAB_ID, changed, removed })
+}
+
+export function onRemoteNoteChanges(listener) {
+  return subscribe('notes', listener)
+}
+
+// state: 'enabled' | 'locked' | 'disabling' (records are being decrypted) | 'disabled'
+export function broadcastVaultChange(state) {
+  post({ type: 'vault', from: TAB_ID, state })
+}
+
+export function onRemoteVaultChange(listener) {
+  return subscribe('vault', listener)
+}
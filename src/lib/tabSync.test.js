@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest'
+
+// Each import after resetModules is a separate tab with its own TAB_ID and channel
+async function openTab() {
+  vi.resetModules()
+  return import('./tabSync.js')
+}
+
+function nextMessage(subscribe) {
+  return new Promise(resolve => {
+    const stop = subscribe(message => {
+      stop()
+      resolve(message)
+    })
+  })
+}
+
+describe('tab sync', () => {
+  it('tells the other tabs about vault changes, and not the sender', async () => {
+    const sender = await openTab()
+    const other = await openTab()
+    const own = vi.fn()
+    sender.onRemoteVaultChange(own)
+    const received = nextMessage(other.onRemoteVaultChange)
+    sender.broadcastVaultChange('locked')
+    expect(await received).toMatchObject({ type: 'vault', from: sender.TAB_ID, state: 'locked' })
+    expect(own).not.toHaveBeenCalled()
+  })
+
+  it('keeps note and vault messages apart', async () => {
+    const sender = await openTab()
+    const other = await openTab()
+    const vault = vi.fn()
+    other.onRemoteVaultChange(vault)
+    const received = nextMessage(other.onRemoteNoteChanges)
+    sender.broadcastNoteChanges({ changed: ['a'] })
+    expect(await received).toMatchObject({ type: 'notes', changed: ['a'], removed: [] })
+    expect(vault).not.toHaveBeenCalled()
+  })
+})
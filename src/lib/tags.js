@@ -0,0 +1,38 @@
+// Tag helpers used by the tag browser; tags are compared case-insensitively
+
+function normalize(tag) {
+  return String(tag).trim().toLowerCase()
+}
+
+export function tagCounts(notes) {
+  const counts = new Map()
+  for (const n of notes) {
+    for (const tag of new Set((n.tags || []).map(normalize).filter(Boolean))) {
+      counts.set(tag, (counts.get(tag) || 0) + 1)
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag))
+}
+
+// Replaces every tag in `from` with `to` (or drops them when `to` is empty), de-duplicating the result.
+// Renaming onto an existing tag therefore merges the two.
+export function replaceTags(notes, from, to) {
+  const sources = new Set(from.map(normalize))
+  const target = to ? normalize(to) : ''
+  return notes.map(n => {
+    const tags = n.tags || []
+    if (!tags.some(t => sources.has(normalize(t)))) return n
+    const next = []
+    for (const t of tags) {
+      const value = sources.has(normalize(t)) ? target : t
+      if (value && !next.some(existing => normalize(existing) === normalize(value))) next.push(value)
+    }
+    return { ...n, tags: next, updatedAt: Date.now() }
+  })
+}
+
+export function tagQuery(tag) {
+  return /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`
+}
@@ -0,0 +1,114 @@
+import { htmlFragment } from './html.js'
+import { loadFromStorage, saveToStorage } from './storage.js'
+
+// Checklist items across notes. An item is an <li data-type="taskItem"> and can carry
+// data-due ('YYYY-MM-DD' or 'YYYY-MM-DD HH:MM', local time) and data-assignee. Items are
+// addressed by their position among the note's task items, checked against their text.
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOTIFIED_KEY = 'pp_task_notified'
+
+const tasks = new WeakMap()
+
+function taskElements(root) {
+  return Array.from(root.querySelectorAll('li[data-type="taskItem"]'))
+}
+
+// The item's own text, without the items nested under it
+function taskText(li) {
+  const body = li.querySelector(':scope > div') || li
+  return Array.from(body.querySelectorAll(':scope > p'), p => p.textContent.trim()).filter(Boolean).join(' ')
+}
+
+// [{ index, text, checked, due, assignee }] for each item in a note; cached per note object
+export function noteTasks(note) {
+  if (!tasks.has(note)) {
+    const found = note.encrypted || !note.html?.includes('taskItem') ? [] : taskElements(htmlFragment(note.html)).map((li, index) => ({
+      index,
+      text: taskText(li),
+      checked: li.getAttribute('data-checked') === 'true',
+      due: li.getAttribute('data-due') || null,
+      assignee: li.getAttribute('data-assignee') || null
+    }))
+    tasks.set(note, found)
+  }
+  return tasks.get(note)
+}
+
+// When an item falls due: the given time, or the start of the day when it only has a date
+export function dueTime(due) {
+  const match = due?.match(/^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}))?$/)
+  if (!match) return null
+  const [, y, m, d, hh = '0', mm = '0'] = match
+  return new Date(+y, m - 1, +d, +hh, +mm).getTime()
+}
+
+function startOfDay(time) {
+  const date = new Date(time)
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+}
+
+// 'overdue' | 'today' | 'upcoming' for an open item with a due date, otherwise null.
+// A date without a time is overdue once that day is over.
+export function taskStatus(task, now = Date.now()) {
+  const at = dueTime(task.due)
+  if (task.checked || at === null) return null
+  const hasTime = task.due.includes(' ')
+  if (hasTime ? at < now : at < startOfDay(now)) return 'overdue'
+  return at < startOfDay(now) + DAY_MS ? 'today' : 'upcoming'
+}
+
+// Every open item across the notes: [{ note, task, status }], soonest due first, undated last
+export function openTasks(notes, now = Date.now()) {
+  const list = notes.flatMap(note => noteTasks(note)
+    .filter(task => !task.checked && task.text)
+    .map(task => ({ note, task, status: taskStatus(task, now) })))
+  return list.sort((a, b) => (dueTime(a.task.due) ?? Infinity) - (dueTime(b.task.due) ?? Infinity) ||
+    (b.note.updatedAt || 0) - (a.note.updatedAt || 0))
+}
+
+// Ticks the index-th item in the html on or off. Returns null when that item is gone or no longer
+// has the given text, e.g. because the note changed since the list was shown.
+export function setTaskChecked(html, index, checked, text) {
+  const root = htmlFragment(html)
+  const li = taskElements(root)[index]
+  if (!li || taskText(li) !== text) return null
+  li.setAttribute('data-checked', String(checked))
+  const box = li.querySelector(':scope > label > input[type="checkbox"]')
+  if (box) {
+    if (checked) box.setAttribute('checked', 'checked')
+    else box.removeAttribute('checked')
+  }
+  return root.innerHTML
+}
+
+// Shows a browser notification for each open item that fell due within the last day and has not
+// been announced yet. Needs Notification permission; clicking one calls onOpen(noteId).
+export function notifyDueTasks(notes, onOpen, now = Date.now()) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+  const notified = loadFromStorage(NOTIFIED_KEY, {})
+  let changed = false
+  openTasks(notes, now).forEach(({ note, task }) => {
+    const at = dueTime(task.due)
+    const key = `${note.id}|${task.due}|${task.text}`
+    if (at === null || at > now || at < now - DAY_MS || notified[key]) return
+    notified[key] = at
+    changed = true
+    const notification = new Notification(task.text, {
+      body: `Due ${task.due}${task.assignee ? ` • ${task.assignee}` : ''} • ${note.title || 'Untitled'}`,
+      tag: key
+    })
+    notification.onclick = () => {
+      window.focus()
+      onOpen(note.id)
+      notification.close()
+    }
+  })
+  // Announcements older than the window can't repeat, so they need not be remembered
+  Object.keys(notified).forEach(key => {
+    if (notified[key] < now - 2 * DAY_MS) {
+      delete notified[key]
+      changed = true
+    }
+  })
+  if (changed) saveToStorage(NOTIFIED_KEY, notified)
+}
@@ -0,0 +1,107 @@
+import { htmlFragment, htmlToText, sanitizeHtml } from './html.js'
+import { clearGrammarMarks } from './grammar.js'
+
+// Note templates: { id, name, title, html, tags }. Placeholders in the title and content are
+// filled in when a note is made from the template; {{cursor}} marks where typing starts.
+
+export const PLACEHOLDERS = [
+  { token: '{{date}}', label: 'Today’s date (2024-05-31)' },
+  { token: '{{time}}', label: 'The time (14:05)' },
+  { token: '{{weekday}}', label: 'The day of the week' },
+  { token: '{{cursor}}', label: 'Where the cursor starts' }
+]
+
+// Stands in for {{cursor}} in a new note until the editor has put the cursor there
+export const CURSOR_MARK = '\u2063'
+
+const task = '<li data-type="taskItem" data-checked="false"><p></p></li>'
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'meeting',
+    name: 'Meeting minutes',
+    title: 'Meeting – {{date}}',
+    tags: ['meeting'],
+    html: '<p>{{weekday}} {{date}}, {{time}}</p><h2>Attendees</h2><ul><li><p>{{cursor}}</p></li></ul>' +
+      '<h2>Agenda</h2><ul><li><p></p></li></ul><h2>Notes</h2><p></p>' +
+      `<h2>Action items</h2><ul data-type="taskList">${task}</ul>`
+  },
+  {
+    id: 'bug',
+    name: 'Bug report',
+    title: 'Bug: ',
+    tags: ['bug'],
+    html: '<h2>Summary</h2><p>{{cursor}}</p><h2>Steps to reproduce</h2><ol><li><p></p></li></ol>' +
+      '<h2>Expected</h2><p></p><h2>Actual</h2><p></p><h2>Environment</h2><p>Reported {{date}} {{time}}</p>'
+  },
+  {
+    id: 'daily',
+    name: 'Daily log',
+    title: 'Daily log – {{weekday}} {{date}}',
+    tags: ['daily'],
+    html: `<h2>Plan</h2><ul data-type="taskList"><li data-type="taskItem" data-checked="false"><p>{{cursor}}</p></li>${task}</ul>` +
+      '<h2>Done</h2><ul><li><p></p></li></ul><h2>Notes</h2><p></p>'
+  }
+]
+
+function pad(n) {
+  return String(n).padStart(2, '0')
+}
+
+function fill(text, now, cursor) {
+  const values = {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    weekday: now.toLocaleDateString(undefined, { weekday: 'long' }),
+    cursor
+  }
+  return text.replace(/\{\{\s*(date|time|weekday|cursor)\s*\}\}/gi, (_, name) => values[name.toLowerCase()])
+}
+
+// The fields of a new note made from `template`. Its content holds CURSOR_MARK where the first
+// {{cursor}} was; any later ones are dropped, as the cursor can only start in one place.
+export function fillTemplate(template, now = new Date()) {
+  const filled = fill(template.html || '', now, CURSOR_MARK)
+  const first = filled.indexOf(CURSOR_MARK)
+  const html = sanitizeHtml(first < 0 ? filled : filled.slice(0, first + 1) + filled.slice(first + 1).replaceAll(CURSOR_MARK, ''))
+  return {
+    title: fill(template.title || '', now, '').trim(),
+    html,
+    text: htmlToText(html).replace(CURSOR_MARK, ''),
+    tags: [...(template.tags || [])]
+  }
+}
+
+// Moves the cursor to CURSOR_MARK in the editor and removes the mark, outside the undo history.
+// Returns false when the content has no mark.
+export function placeCursor(editor) {
+  let at = -1
+  editor.state.doc.descendants((node, pos) => {
+    if (at >= 0) return false
+    if (node.isText && node.text.includes(CURSOR_MARK)) at = pos + node.text.indexOf(CURSOR_MARK)
+  })
+  if (at < 0) return false
+  editor.chain()
+    .command(({ tr }) => {
+      tr.delete(at, at + 1).setMeta('addToHistory', false)
+      return true
+    })
+    .setTextSelection(at)
+    .focus()
+    .run()
+  return true
+}
+
+// A note's content as template content: no grammar or glossary highlights, and no attachments,
+// whose files belong to the note they were added to
+export function templateHtml(html) {
+  const root = htmlFragment(html)
+  clearGrammarMarks(root)
+  root.querySelectorAll('span.glossary-term').forEach(el => el.replaceWith(...el.childNodes))
+  root.querySelectorAll('[data-attachment]').forEach(el => el.remove())
+  return root.innerHTML
+}
+
+export function createTemplate(fields = {}) {
+  return { id: crypto.randomUUID(), name: 'New template', title: '', html: '', tags: [], ...fields }
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import { fillTemplate, CURSOR_MARK } from './templates.js'
+
+const now = new Date(2024, 4, 31, 14, 5)
+
+describe('fillTemplate', () => {
+  it('fills in the date and time placeholders', () => {
+    const note = fillTemplate({ title: 'Standup – {{date}}', html: '<p>{{ time }}</p>', tags: ['team'] }, now)
+    expect(note.title).toBe('Standup – 2024-05-31')
+    expect(note.html).toBe('<p>14:05</p>')
+    expect(note.tags).toEqual(['team'])
+  })
+
+  it('marks where {{cursor}} was and leaves it out of the text', () => {
+    const note = fillTemplate({ title: '{{cursor}}Notes', html: '<p>Agenda: {{cursor}}</p>' }, now)
+    expect(note.title).toBe('Notes')
+    expect(note.html).toBe(`<p>Agenda: ${CURSOR_MARK}</p>`)
+    expect(note.text).toBe('Agenda: ')
+  })
+
+  it('keeps only the first of several {{cursor}} placeholders', () => {
+    const note = fillTemplate({ html: '<p>{{cursor}}a</p><p>b{{cursor}}</p><p>{{cursor}}</p>' }, now)
+    expect(note.html).toBe(`<p>${CURSOR_MARK}a</p><p>b</p><p></p>`)
+    expect(note.text).toBe('ab')
+  })
+})
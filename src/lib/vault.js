@@ -0,0 +1,179 @@
+import { encryptString, decryptString, bytesToBase64, base64ToBytes } from './crypto.js'
+import { loadFromStorage, saveToStorage } from './storage.js'
+import { setRecordCipher, rewriteAllRecords, flushWrites } from './db.js'
+import { revokeAttachmentUrls } from './attachments.js'
+import { broadcastVaultChange } from './tabSync.js'
+
+// Vault mode: one random data key encrypts the note store and the secure settings. The data key is
+// stored wrapped with the master password (encryptString, i.e. PBKDF2 + AES-GCM), so changing the
+// password only re-wraps the key and never re-encrypts the data.
+const VAULT_CONFIG_KEY = 'pp_vault' // { version, wrappedKey, idleMinutes }
+const SECURE_SETTINGS_KEY = 'pp_secure' // sealed object holding the SECURE_SETTINGS values
+const SECURE_SETTINGS = ['pp_openai', 'pp_notebooks', 'pp_ai', 'pp_dictionary', 'pp_sync', 'pp_templates']
+export const DEFAULT_IDLE_MINUTES = 10
+
+let dataKey = null
+let secureCache = null
+let securePending = Promise.resolve()
+
+export function getVaultConfig() {
+  return loadFromStorage(VAULT_CONFIG_KEY, null)
+}
+
+export function isVaultEnabled() {
+  return !!getVaultConfig()?.wrappedKey
+}
+
+export function isVaultUnlocked() {
+  return !!dataKey
+}
+
+// Nothing touches the note store until the vault is unlocked
+if (isVaultEnabled()) setRecordCipher(null, { locked: true })
+
+async function seal(value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = new TextEncoder().encode(JSON.stringify(value))
+  const cipherBuf = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, dataKey, data)
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(cipherBuf)) }
+}
+
+async function open(sealed) {
+  const plainBuf = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+    dataKey,
+    base64ToBytes(sealed.ciphertext)
+  )
+  return JSON.parse(new TextDecoder().decode(plainBuf))
+}
+
+// Binary variant for attachments: the bytes stay binary instead of going through JSON and base64
+async function sealBytes(bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, dataKey, bytes)
+  return { iv: bytesToBase64(iv), data }
+}
+
+function openBytes(sealed) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, dataKey, sealed.data)
+}
+
+const recordCipher = { seal, open, sealBytes, openBytes }
+
+function importDataKey(raw) {
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+}
+
+// Throws when the password is wrong (AES-GCM authentication fails)
+async function unwrapKey(password) {
+  return base64ToBytes(await decryptString(getVaultConfig().wrappedKey, password))
+}
+
+function persistSecureSettings() {
+  const snapshot = { ...secureCache }
+  securePending = securePending
+    .then(async () => saveToStorage(SECURE_SETTINGS_KEY, await seal(snapshot)))
+    .catch(error => console.warn('Failed to save vault settings:', error))
+}
+
+export async function unlockVault(password) {
+  const raw = await unwrapKey(password)
+  dataKey = await importDataKey(raw)
+  const stored = loadFromStorage(SECURE_SETTINGS_KEY, null)
+  secureCache = stored ? await open(stored) : {}
+  setRecordCipher(recordCipher)
+}
+
+// Waits for pending writes so nothing is lost (or written in plain form) once the key is dropped.
+// Other tabs lock too, unless this lock is itself following one of theirs.
+export async function lockVault({ broadcast = true } = {}) {
+  await flushWrites()
+  await securePending
+  dataKey = null
+  secureCache = null
+  setRecordCipher(null, { locked: true })
+  await revokeAttachmentUrls()
+  if (broadcast) broadcastVaultChange('locked')
+}
+
+// Another tab enabled or is disabling the vault, so this tab's key (or lack of one) no longer
+// matches the store. Stop writing with it right away: after 'enabled' nothing may be written until
+// this tab unlocks, otherwise records are plain. A remote 'locked' goes through lockVault instead.
+export function followRemoteVault(state) {
+  if (state === 'locked') return
+  dataKey = null
+  secureCache = null
+  setRecordCipher(null, { locked: state === 'enabled' })
+}
+
+export async function enableVault(password, idleMinutes = DEFAULT_IDLE_MINUTES) {
+  const raw = crypto.getRandomValues(new Uint8Array(32))
+  const wrappedKey = await encryptString(bytesToBase64(raw), password)
+  // Config first: records are read as plain until rewritten, so a failure part-way loses nothing
+  saveToStorage(VAULT_CONFIG_KEY, { version: 1, wrappedKey, idleMinutes })
+  // Before rewriting, so other tabs stop writing plain records as early as possible
+  broadcastVaultChange('enabled')
+  dataKey = await importDataKey(raw)
+  secureCache = {}
+  SECURE_SETTINGS.forEach(key => {
+    const value = loadFromStorage(key, undefined)
+    if (value !== undefined) secureCache[key] = value
+  })
+  await rewriteAllRecords(recordCipher)
+  saveToStorage(SECURE_SETTINGS_KEY, await seal(secureCache))
+  SECURE_SETTINGS.forEach(key => localStorage.removeItem(key))
+}
+
+export async function disableVault(password) {
+  await unwrapKey(password)
+  broadcastVaultChange('disabling')
+  try {
+    await rewriteAllRecords(null)
+  } catch (error) {
+    setRecordCipher(recordCipher)
+    // The vault stays on; the other tabs have dropped their key and must unlock again
+    broadcastVaultChange('enabled')
+    throw error
+  }
+  Object.entries(secureCache || {}).forEach(([key, value]) => saveToStorage(key, value))
+  localStorage.removeItem(SECURE_SETTINGS_KEY)
+  localStorage.removeItem(VAULT_CONFIG_KEY)
+  dataKey = null
+  secureCache = null
+  broadcastVaultChange('disabled')
+}
+
+export async function changeMasterPassword(currentPassword, nextPassword) {
+  const raw = await unwrapKey(currentPassword)
+  const wrappedKey = await encryptString(bytesToBase64(raw), nextPassword)
+  saveToStorage(VAULT_CONFIG_KEY, { ...getVaultConfig(), wrappedKey })
+}
+
+export function setIdleMinutes(idleMinutes) {
+  saveToStorage(VAULT_CONFIG_KEY, { ...getVaultConfig(), idleMinutes })
+}
+
+// Settings that live inside the vault when it is enabled, and in plain localStorage otherwise
+export function loadSecureSetting(key, fallback) {
+  if (secureCache) return key in secureCache ? secureCache[key] : fallback
+  if (isVaultEnabled()) return fallback
+  return loadFromStorage(key, fallback)
+}
+
+export function saveSecureSetting(key, value) {
+  if (secureCache) {
+    secureCache[key] = value
+    persistSecureSettings()
+  } else if (!isVaultEnabled()) {
+    saveToStorage(key, value)
+  }
+}
+
+export function removeSecureSetting(key) {
+  if (secureCache) {
+    delete secureCache[key]
+    persistSecureSettings()
+  } else if (!isVaultEnabled()) {
+    localStorage.removeItem(key)
+  }
+}
@@ -2,9 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import VaultGate from './components/VaultGate.jsx'
+import { registerServiceWorker } from './lib/pwa.js'
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <VaultGate>
+      {vault => <App vault={vault} />}
+    </VaultGate>
   </StrictMode>,
 )
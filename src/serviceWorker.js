@@ -0,0 +1,35 @@
+// Service worker for offline use. The build (see vite.config.js) replaces self.__SHELL__ with
+// { version, files }: the app shell for this build, cached on install. Notes never pass through
+// here; they live in IndexedDB.
+const { version, files } = self.__SHELL__
+const CACHE = `pp-shell-${version}`
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(files)))
+})
+
+// Older shells are dropped once this version takes over
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key.startsWith('pp-shell-') && key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()))
+})
+
+// A new version waits until the page asks it to take over (the "update available" prompt)
+self.addEventListener('message', event => {
+  if (event.data === 'skipWaiting') self.skipWaiting()
+})
+
+// Shell files come from the cache; every page load is the single-page app, i.e. index.html.
+// Anything else (sync server, AI providers, LanguageTool) goes to the network as usual.
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+  const path = request.mode === 'navigate' ? '/' : url.pathname
+  if (!files.includes(path)) return
+  event.respondWith(caches.open(CACHE)
+    .then(cache => cache.match(path))
+    .then(cached => cached || fetch(request)))
+})
@@ -1,7 +1,38 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits /sw.js from src/serviceWorker.js with the list of files that make up this build's app shell
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const built = Object.keys(bundle).filter(file => !file.endsWith('.map') && file !== 'index.html')
+      const publicFiles = readdirSync('public')
+      const files = ['/', ...[...built, ...publicFiles].map(file => `/${file}`)]
+      const source = readFileSync('src/serviceWorker.js', 'utf8')
+      // Built file names carry content hashes; public files, index.html and the worker are hashed here
+      const hash = createHash('sha256').update(source)
+      built.forEach(file => hash.update(file))
+      publicFiles.forEach(file => hash.update(readFileSync(`public/${file}`)))
+      hash.update(bundle['index.html']?.source || '')
+      const version = hash.digest('hex').slice(0, 12)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace('= self.__SHELL__', `= ${JSON.stringify({ version, files })}`)
+      })
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  test: {
+    environment: 'jsdom'
+  }
 })